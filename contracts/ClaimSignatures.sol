@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/// @title ClaimSignatures
+/// @notice EIP-712 claim messages signed off-chain by a beneficiary and submitted by any relayer
+// solhint-disable-next-line indent
+abstract contract ClaimSignatures is EIP712 {
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256(
+            "Claim(address beneficiary,uint8 investmentIndex,uint256 maxAmount,uint256 nonce,uint256 deadline)"
+        );
+
+    // beneficiary => nonce of its next signed claim
+    mapping(address => uint256) public nonces;
+
+    event ClaimSignatureUsed(
+        address indexed beneficiary,
+        uint8 indexed investmentIndex,
+        uint256 nonce,
+        address relayer
+    );
+
+    /**
+     * @dev Returns the domain separator signed claims are hashed with
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev To check a signed claim and consume its nonce
+     * - the claim must carry the current nonce of the beneficiary, so every signature is used once
+     *   and signatures are used in order
+     * @param _beneficiary address which signed the claim & receives the tokens
+     * @param _investmentIndex index of the investment type or round to claim from
+     * @param _maxAmount maximum number of tokens the claim may transfer, 0 for no maximum
+     * @param _nonce nonce of the claim
+     * @param _deadline timestamp after which the signature cannot be used
+     * @param _signature signature of the beneficiary
+     */
+    function useClaimSignature(
+        address _beneficiary,
+        uint8 _investmentIndex,
+        uint256 _maxAmount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp <= _deadline, "Claim signature expired");
+        require(_nonce == nonces[_beneficiary], "Invalid claim nonce");
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CLAIM_TYPEHASH,
+                    _beneficiary,
+                    _investmentIndex,
+                    _maxAmount,
+                    _nonce,
+                    _deadline
+                )
+            )
+        );
+        require(
+            ECDSA.recover(digest, _signature) == _beneficiary,
+            "Invalid claim signature"
+        );
+        nonces[_beneficiary] = _nonce + 1;
+        emit ClaimSignatureUsed(_beneficiary, _investmentIndex, _nonce, msg.sender);
+    }
+
+    /**
+     * @dev To check the amount of a signed claim against its maximum
+     */
+    function checkClaimMaxAmount(uint256 _amount, uint256 _maxAmount)
+        internal
+        pure
+    {
+        require(
+            _maxAmount == 0 || _amount <= _maxAmount,
+            "Claim exceeds max amount"
+        );
+    }
+}
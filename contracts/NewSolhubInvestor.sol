@@ -2,26 +2,38 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ClaimSignatures.sol";
+import "./Rescuable.sol";
 
 /// @title NewSolhubInvestor
 /// @notice Token allocation contract for Investor
-contract NewSolhubInvestor is Ownable, Pausable {
+/// @dev Deployed behind a TransparentUpgradeableProxy. An upgrade may only append state variables, and members
+/// at the end of the structs, which are only stored as mapping values
+contract NewSolhubInvestor is Initializable, AccessControl, Pausable, ClaimSignatures, Rescuable {
     /**
      * @dev Struct to store the investment type {SEED, STRATEGIC, PRIVATE}
      * @param indexId Decimal representation of different rounds
      * @param vestingDuration Number of months during which investment is possible
      * @param lockPeriod Number of months after which the investment starts
      * @param tgePercent Percentage of tokens the user can claim after TGE (Token Generation Event)
-     * @param totalTokenAllocation Total tokens allocated for a specific round
+     * @param releaseInterval Number of seconds between two releases, 1 day for daily releases
+     * @param isFrozen Boolean indicating whether the investment type stopped accepting investors
+     * @param totalTokenAllocation Total tokens allocated for a specific round, i.e. the allocation cap
+     * @param totalTokensInvested Number of tokens allocated to investors of the round so far
      */
     struct InvestmentType {
         uint8 indexId;
         uint8 vestingDuration;
         uint8 lockPeriod;
         uint8 tgePercent;
+        uint32 releaseInterval;
+        bool isFrozen;
         uint256 totalTokenAllocation;
+        uint256 totalTokensInvested;
     }
 
     /**
@@ -32,7 +44,7 @@ contract NewSolhubInvestor is Ownable, Pausable {
      * @param totalTokensAllocated Total tokens allocated for a specific round
      * @param totalTGETokens Number of TGE tokens the investor will get
      * @param totalTokensClaimed Number of tokens claimed by investor
-     * @param dailyTokens Daily tokens the investor will get on claims
+     * @param dailyTokens Tokens the investor will get per release interval, i.e. daily by default
      * @param investmentTimestamp Timestamp when the investment was made
      * @param isTGETokenClaimed Boolean indicating whethe the investor has claimed TGE tokens
      */
@@ -49,15 +61,124 @@ contract NewSolhubInvestor is Ownable, Pausable {
         bool isTGETokenClaimed;
     }
 
+    /**
+     * @dev Struct returned by {claimAll} & {getClaimableBreakdown}
+     * @param investmentIndex index of the investment type
+     * @param tgeTokens TGE tokens not claimed yet
+     * @param vestingTokens vested tokens not claimed yet
+     */
+    struct ClaimBreakdown {
+        uint8 investmentIndex;
+        uint256 tgeTokens;
+        uint256 vestingTokens;
+    }
+
+    /**
+     * @dev Struct returned by {getVestingStatus} & {getVestingStatuses}
+     * - vested but unclaimed tokens are `claimableTGETokens + claimableVestingTokens`
+     * @param userAddress address of the User
+     * @param investmentIndex index of the investment type
+     * @param totalTokensAllocated Total tokens allocated to the User in the investment type
+     * @param totalTokensClaimed Number of tokens claimed so far
+     * @param vestedTokens Number of tokens released so far, claimed or not
+     * @param claimableTGETokens TGE tokens claimable now
+     * @param claimableVestingTokens vested tokens claimable now
+     * @param lockedTokens Number of tokens not released yet
+     * @param nextUnlockTime Timestamp from which more tokens are claimable, 0 if none or the TGE time is not set
+     * @param nextUnlockTokens Number of tokens released at `nextUnlockTime`
+     */
+    struct VestingStatus {
+        address userAddress;
+        uint8 investmentIndex;
+        uint256 totalTokensAllocated;
+        uint256 totalTokensClaimed;
+        uint256 vestedTokens;
+        uint256 claimableTGETokens;
+        uint256 claimableVestingTokens;
+        uint256 lockedTokens;
+        uint256 nextUnlockTime;
+        uint256 nextUnlockTokens;
+    }
+
+    // Adds allocations & allocators, manages the investment types & the TGE time
+    bytes32 public constant ALLOCATION_MANAGER_ROLE = keccak256("ALLOCATION_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Sets the token holder & rescues the funds sent to the contract by mistake
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
     IERC20 public solhubTokenContract;
+    // Funds every allocation, the tokens are pulled from its allowance to the contract
+    address public tokenHolder;
+    // Token Generation Event, 0 until set. Claims open after it and it cannot change once reached
+    uint256 public tgeTime;
 
-    mapping(uint256 => InvestmentType) internal investorsInvestmentType;
+    mapping(uint256 => InvestmentType) public investorsInvestmentType;
+    uint8 public investmentTypeCount;
     mapping(address => mapping(uint8 => InvestorAllocation))
         public investorsInvestmentDetails;
-    mapping(address => uint256[]) public alreadyWithdrawnDays;
+    mapping(address => mapping(uint8 => uint256)) public alreadyWithdrawnDays;
+    mapping(address => address) public pendingBeneficiaryOf;
+    // beneficiary => operator => approved to trigger claims on behalf of the beneficiary
+    mapping(address => mapping(address => bool)) public isClaimOperator;
+    // Merkle root of the (address, index, amount) allocations of an investment type, see {initializeInvestmentDetails}
+    mapping(uint8 => bytes32) public allocationRootOf;
+    mapping(address => mapping(uint8 => bool)) public isAllocationLeafClaimed;
+    // Contracts allowed to add investments with {addInvestment}, e.g. a sale contract
+    mapping(address => bool) public isAllocator;
+    // Tokens pulled for the allocations and not sent out yet, {rescue} leaves them to the investors
+    uint256 public totalTokensOwed;
+
+    event InvestmentTypeAdded(
+        uint8 indexed investmentIndex,
+        uint8 vestingDuration,
+        uint8 lockPeriod,
+        uint8 tgePercent,
+        uint32 releaseInterval,
+        uint256 totalTokenAllocation
+    );
+    event InvestmentTypeAllocationUpdated(uint8 indexed investmentIndex, uint256 totalTokenAllocation);
+    event InvestmentTypeFrozen(uint8 indexed investmentIndex);
+    event TGETimeUpdated(uint256 tgeTime);
+    event TokenHolderUpdated(address indexed tokenHolder);
+    event InvestmentAllocated(
+        address indexed userAddress,
+        uint8 indexed investmentIndex,
+        uint256 amount,
+        uint256 totalTokensAllocated,
+        uint256 totalTGETokens
+    );
+    event InvestmentRemoved(
+        address indexed userAddress,
+        uint8 indexed investmentIndex,
+        uint256 amount,
+        uint256 totalTokensAllocated,
+        uint256 totalTGETokens
+    );
+    event TokensClaimed(
+        address indexed userAddress,
+        uint8 indexed investmentIndex,
+        uint256 tgeTokens,
+        uint256 vestingTokens
+    );
+    event AllocatorUpdated(address indexed allocator, bool isAllocator);
+    event AllocationRootUpdated(uint8 indexed investmentIndex, bytes32 root);
+    event InvestmentDetailsInitialized(
+        address indexed userAddress,
+        uint8 indexed investmentIndex,
+        uint256 totalAllocation
+    );
+    event ClaimOperatorApproved(address indexed beneficiary, address indexed operator);
+    event ClaimOperatorRevoked(address indexed beneficiary, address indexed operator);
+    event BeneficiaryChangeProposed(address indexed investor, address indexed newBeneficiary);
+    event BeneficiaryChangeCancelled(address indexed investor, address indexed newBeneficiary);
+    event BeneficiaryChanged(
+        address indexed previousBeneficiary,
+        address indexed newBeneficiary,
+        address acceptedBy
+    );
 
     modifier onlyValidInvestor(address _userAddresses, uint8 _investingIndex) {
-        require(_userAddresses != address(0), "Invalid Address");
+        _checkAddress(_userAddresses);
         require(
             !investorsInvestmentDetails[_userAddresses][_investingIndex]
                 .isVesting,
@@ -66,60 +187,165 @@ contract NewSolhubInvestor is Ownable, Pausable {
         _;
     }
 
+    // The checks of the modifiers used by many functions live in internal functions, which keeps
+    // the contract under the code size limit
     modifier checkVestingStatus(address _userAddresses, uint8 _investingIndex) {
-        require(
-            investorsInvestmentDetails[_userAddresses][_investingIndex]
-                .isVesting,
-            "Not added to investment index"
-        );
+        _checkVestingStatus(_userAddresses, _investingIndex);
+        _;
+    }
+
+    modifier onlyAllocator() {
+        require(isAllocator[msg.sender], "Caller is not an allocator");
+        _;
+    }
+
+    modifier onlyBeneficiaryOrOperator(address _userAddress) {
+        _checkBeneficiaryOrOperator(_userAddress);
         _;
     }
 
     modifier onlyValidInvestingIndex(uint8 _investingIndex) {
-        require(
-            _investingIndex >= 0 && _investingIndex <= 2,
-            "Invalid Invested Index"
-        );
+        _checkValidInvestingIndex(_investingIndex);
         _;
     }
 
     modifier onlyAfterTGE() {
-        require(getCurrentTime() > getTGETime(), "TGE not yet started");
+        _checkAfterTGE();
         _;
     }
 
-    //TODO During upgradeability the constructor would be replaced by initialize()
     /**
-     * @dev Sets the values for {solhubTokenAddress}
+     * @dev The implementation is only used through a proxy, it cannot be initialized itself
+     */
+    constructor() EIP712("NewSolhubInvestor", "1") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Sets the values for {solhubTokenAddress} & {tgeTime} and adds the default investment types
+     * {SEED, STRATEGIC, PRIVATE} with daily releases, once when the proxy is deployed
+     * - `_tgeTime` can be 0 and set later with {setTGETime}
+     * - the deployer holds every role and is the initial token holder
      */
-    constructor(address solhubTokenAddress) {
+    function initialize(address solhubTokenAddress, uint256 _tgeTime)
+        external
+        initializer
+    {
         require(
             solhubTokenAddress != address(0),
             "SHUB address is address zero."
         );
         solhubTokenContract = IERC20(solhubTokenAddress);
+        tokenHolder = msg.sender;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ALLOCATION_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+        if (_tgeTime != 0) {
+            tgeTime = _tgeTime;
+            emit TGETimeUpdated(_tgeTime);
+        }
 
         //SEED
-        investorsInvestmentType[0] = InvestmentType(0, 12, 1, 5, 800000 ether);
+        _addInvestmentType(12, 1, 5, 1 days, 800000 ether);
         //STRATEGIC
-        investorsInvestmentType[1] = InvestmentType(1, 12, 1, 5, 1000000 ether);
+        _addInvestmentType(12, 1, 5, 1 days, 1000000 ether);
         //PRIVATE
-        investorsInvestmentType[2] = InvestmentType(
-            2,
-            12,
-            1,
-            10,
-            1400000 ether
+        _addInvestmentType(12, 1, 10, 1 days, 1400000 ether);
+    }
+
+    /**
+     * @dev Allows only an allocation manager to set the TGE time until it is reached
+     * - once the TGE time is reached vesting has begun and it is locked
+     * @param _tgeTime timestamp of the TGE, in the future
+     */
+    function setTGETime(uint256 _tgeTime) external onlyRole(ALLOCATION_MANAGER_ROLE) {
+        _checkTGETimeUnlocked();
+        require(_tgeTime > getCurrentTime(), "TGE time is in the past");
+        tgeTime = _tgeTime;
+        emit TGETimeUpdated(_tgeTime);
+    }
+
+    /**
+     * @dev Returns true once the TGE time is set and reached
+     */
+    function isTGETimeLocked() public view returns (bool) {
+        return tgeTime != 0 && getCurrentTime() >= tgeTime;
+    }
+
+    /**
+     * @dev Allows only an allocation manager to add a new investment type under the next free index
+     * Investment types cannot be changed once added, apart from their allocation cap and frozen status
+     * @param _vestingDuration Number of months during which vesting is possible
+     * @param _lockPeriod Number of months after TGE before the vesting starts
+     * @param _tgePercent Percentage of tokens the investor can claim after TGE
+     * @param _releaseInterval Number of seconds between two releases
+     * @param _totalTokenAllocation Maximum number of tokens allocated to investors of the type
+     * @return - index of the new investment type
+     */
+    function addInvestmentType(
+        uint8 _vestingDuration,
+        uint8 _lockPeriod,
+        uint8 _tgePercent,
+        uint32 _releaseInterval,
+        uint256 _totalTokenAllocation
+    ) external onlyRole(ALLOCATION_MANAGER_ROLE) returns (uint8) {
+        return
+            _addInvestmentType(
+                _vestingDuration,
+                _lockPeriod,
+                _tgePercent,
+                _releaseInterval,
+                _totalTokenAllocation
+            );
+    }
+
+    /**
+     * @dev Allows only an allocation manager to update the allocation cap of an investment type
+     * - the cap cannot be lower than the tokens already allocated to investors
+     */
+    function updateInvestmentTypeAllocation(
+        uint8 _investmentIndex,
+        uint256 _totalTokenAllocation
+    ) external onlyRole(ALLOCATION_MANAGER_ROLE) onlyValidInvestingIndex(_investmentIndex) {
+        InvestmentType storage investmentType = investorsInvestmentType[
+            _investmentIndex
+        ];
+        require(
+            _totalTokenAllocation >= investmentType.totalTokensInvested,
+            "Cap below allocated tokens"
+        );
+        investmentType.totalTokenAllocation = _totalTokenAllocation;
+        emit InvestmentTypeAllocationUpdated(
+            _investmentIndex,
+            _totalTokenAllocation
         );
     }
 
     /**
-     * @dev Allows only the Owner to ADD an array of Addresses as well as their Invested Amount
+     * @dev Allows only an allocation manager to stop an investment type from accepting investors,
+     * existing investors keep vesting
+     */
+    function freezeInvestmentType(uint8 _investmentIndex)
+        external
+        onlyRole(ALLOCATION_MANAGER_ROLE)
+        onlyValidInvestingIndex(_investmentIndex)
+    {
+        InvestmentType storage investmentType = investorsInvestmentType[
+            _investmentIndex
+        ];
+        require(!investmentType.isFrozen, "Investment type already frozen");
+        investmentType.isFrozen = true;
+        emit InvestmentTypeFrozen(_investmentIndex);
+    }
+
+    /**
+     * @dev Allows only an allocation manager to ADD an array of Addresses as well as their Invested Amount
      * - The array of user and amounts should be passed along with the InvestmentType Index.
      * - Thus, a particular batch of addresses shall be added under only one InvestmentType Index
      * @param _userAddresses array of addresses of the Users
      * @param _investedAmounts array of amounts to be vested
-     * @param _investmentType allows the owner to select the type of investing category
+     * @param _investmentType allows the allocation manager to select the type of investing category
      * @return - true if function executes successfully
      */
     function addInvestmentDetails(
@@ -128,7 +354,7 @@ contract NewSolhubInvestor is Ownable, Pausable {
         uint8 _investmentType
     )
         external
-        onlyOwner
+        onlyRole(ALLOCATION_MANAGER_ROLE)
         onlyValidInvestingIndex(_investmentType)
         returns (bool)
     {
@@ -141,46 +367,362 @@ contract NewSolhubInvestor is Ownable, Pausable {
         InvestmentType memory investmentType = investorsInvestmentType[
             _investmentType
         ];
+        require(!investmentType.isFrozen, "Investment type is frozen");
         uint256 providedInvestmentAmount;
         for (uint256 i = 0; i < _userAddresses.length; i++) {
-            uint256 totalAllocation = _investedAmounts[i];
-            uint256 tgeAmount = percentage(
-                totalAllocation,
-                investmentType.tgePercent
-            );
-            uint256 dailyTokens = totalAllocation / 365;
             providedInvestmentAmount += _investedAmounts[i];
-            addUserInvestmentDetails(
+            allocateInvestment(
                 _userAddresses[i],
                 _investmentType,
+                _investedAmounts[i],
+                investmentType
+            );
+        }
+        fundInvestment(_investmentType, providedInvestmentAmount);
+        return true;
+    }
+
+    /**
+     * @dev Allows only the treasury role to update the address funding the allocations,
+     * it must approve the contract
+     */
+    function setTokenHolder(address _tokenHolder)
+        external
+        onlyRole(TREASURY_ROLE)
+    {
+        _checkAddress(_tokenHolder);
+        tokenHolder = _tokenHolder;
+        emit TokenHolderUpdated(_tokenHolder);
+    }
+
+    /**
+     * @dev Returns the amount of `_token` the treasury role can rescue, for SHUB only what is not owed to investors
+     */
+    function rescuableBalance(address _token) public view override returns (uint256) {
+        uint256 balance = super.rescuableBalance(_token);
+        if (_token != address(solhubTokenContract)) {
+            return balance;
+        }
+        return balance > totalTokensOwed ? balance - totalTokensOwed : 0;
+    }
+
+    /**
+     * @dev Allows only an allocation manager to let `_allocator` add investments with {addInvestment}
+     * @param _allocator address of the allocator, e.g. a SolhubSale contract
+     * @param _isAllocator whether `_allocator` may add investments
+     */
+    function setAllocator(address _allocator, bool _isAllocator)
+        external
+        onlyRole(ALLOCATION_MANAGER_ROLE)
+    {
+        _checkAddress(_allocator);
+        isAllocator[_allocator] = _isAllocator;
+        emit AllocatorUpdated(_allocator, _isAllocator);
+    }
+
+    /**
+     * @dev Allows only an allocator to add `_amount` tokens to the allocation of a User, e.g. on a purchase
+     * - creates the allocation, or tops it up as long as the TGE time is not locked
+     * - the tokens are pulled from the token holder & counted against the cap like in {addInvestmentDetails}
+     * @param _userAddress address of the User
+     * @param _investmentIndex index of the investment type
+     * @param _amount number of tokens to add to the allocation
+     * @return - true if function executes successfully
+     */
+    function addInvestment(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _amount
+    )
+        external
+        whenNotPaused
+        onlyAllocator
+        onlyValidInvestingIndex(_investmentIndex)
+        returns (bool)
+    {
+        require(_amount > 0, "Amount is 0");
+        InvestmentType memory investmentType = investorsInvestmentType[
+            _investmentIndex
+        ];
+        require(!investmentType.isFrozen, "Investment type is frozen");
+        InvestorAllocation storage investData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        if (investData.totalTokensAllocated == 0) {
+            allocateInvestment(
+                _userAddress,
+                _investmentIndex,
+                _amount,
+                investmentType
+            );
+        } else {
+            _checkTGETimeUnlocked();
+            uint256 totalAllocation = investData.totalTokensAllocated + _amount;
+            resizeAllocation(investData, totalAllocation, investmentType);
+            emit InvestmentAllocated(
+                _userAddress,
+                _investmentIndex,
+                _amount,
                 totalAllocation,
-                investmentType.lockPeriod,
-                investmentType.vestingDuration,
-                tgeAmount,
-                dailyTokens
+                investData.totalTGETokens
             );
         }
-        uint256 ownerBalance = solhubTokenContract.balanceOf(owner());
+        fundInvestment(_investmentIndex, _amount);
+        return true;
+    }
+
+    /**
+     * @dev Allows only an allocator to take `_amount` tokens back from the allocation of a User, e.g. on a refund
+     * - only until the TGE time is locked, the allocation is removed when nothing is left
+     * - the tokens are returned to the token holder & freed from the cap of the investment type
+     * @param _userAddress address of the User
+     * @param _investmentIndex index of the investment type
+     * @param _amount number of tokens to remove from the allocation
+     * @return - true if function executes successfully
+     */
+    function removeInvestment(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _amount
+    )
+        external
+        whenNotPaused
+        onlyAllocator
+        onlyValidInvestingIndex(_investmentIndex)
+        returns (bool)
+    {
+        _checkTGETimeUnlocked();
+        InvestorAllocation storage investData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        require(_amount > 0, "Amount is 0");
+        require(
+            _amount <= investData.totalTokensAllocated,
+            "Amount exceeds allocation"
+        );
+        uint256 totalAllocation = investData.totalTokensAllocated - _amount;
+        if (totalAllocation == 0) {
+            delete investorsInvestmentDetails[_userAddress][_investmentIndex];
+        } else {
+            resizeAllocation(
+                investData,
+                totalAllocation,
+                investorsInvestmentType[_investmentIndex]
+            );
+        }
+        investorsInvestmentType[_investmentIndex].totalTokensInvested -= _amount;
+        emit InvestmentRemoved(
+            _userAddress,
+            _investmentIndex,
+            _amount,
+            totalAllocation,
+            investData.totalTGETokens
+        );
+        _sendTokens(tokenHolder, _amount);
+        return true;
+    }
+
+    /**
+     * @dev Allows only an allocation manager to publish the Merkle root of the allocations of an investment type
+     * - investors initialize their allocation with a proof instead of being added by {addInvestmentDetails}
+     * - leaves are keccak256(keccak256(abi.encode(address, investmentIndex, totalAllocation)))
+     * - publishing a new root keeps the allocations already initialized
+     * @param _investmentIndex index of the investment type
+     * @param _root Merkle root of the allocations, zero to stop initializations
+     */
+    function setAllocationRoot(uint8 _investmentIndex, bytes32 _root)
+        external
+        onlyRole(ALLOCATION_MANAGER_ROLE)
+        onlyValidInvestingIndex(_investmentIndex)
+    {
+        allocationRootOf[_investmentIndex] = _root;
+        emit AllocationRootUpdated(_investmentIndex, _root);
+    }
+
+    /**
+     * @dev Initializes the allocation of an investor from the Merkle root of the investment type
+     * - the invested tokens are pulled from the token holder, like in {addInvestmentDetails}
+     * - allocations of a frozen investment type can still be initialized as they were published before
+     * @param _userAddress address of the User
+     * @param _investmentIndex index of the investment type
+     * @param _totalAllocation amount of the leaf
+     * @param _proof Merkle proof of the leaf
+     * @return - true if function executes successfully
+     */
+    function initializeInvestmentDetails(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _totalAllocation,
+        bytes32[] calldata _proof
+    )
+        public
+        whenNotPaused
+        onlyValidInvestingIndex(_investmentIndex)
+        returns (bool)
+    {
+        bytes32 root = allocationRootOf[_investmentIndex];
+        require(root != bytes32(0), "No allocation root");
         require(
-            ownerBalance >= providedInvestmentAmount,
-            "Insufficient owner balance"
+            !isAllocationLeafClaimed[_userAddress][_investmentIndex],
+            "Allocation already initialized"
         );
-        solhubTokenContract.transferFrom(
-            owner(),
-            address(this),
-            providedInvestmentAmount
+        bytes32 leaf = keccak256(
+            bytes.concat(
+                keccak256(
+                    abi.encode(_userAddress, _investmentIndex, _totalAllocation)
+                )
+            )
+        );
+        require(MerkleProof.verify(_proof, root, leaf), "Invalid allocation proof");
+        isAllocationLeafClaimed[_userAddress][_investmentIndex] = true;
+
+        allocateInvestment(
+            _userAddress,
+            _investmentIndex,
+            _totalAllocation,
+            investorsInvestmentType[_investmentIndex]
+        );
+        fundInvestment(_investmentIndex, _totalAllocation);
+        emit InvestmentDetailsInitialized(
+            _userAddress,
+            _investmentIndex,
+            _totalAllocation
         );
         return true;
     }
 
+    /**
+     * @dev To get the TGE amount of an allocation published in a Merkle root,
+     * the allocation is initialized on the first claim
+     */
+    function claimTGETokensWithProof(
+        address _userAddress,
+        uint8 _investingIndex,
+        uint256 _totalAllocation,
+        bytes32[] calldata _proof
+    ) external onlyBeneficiaryOrOperator(_userAddress) returns (bool) {
+        if (!isAllocationLeafClaimed[_userAddress][_investingIndex]) {
+            initializeInvestmentDetails(
+                _userAddress,
+                _investingIndex,
+                _totalAllocation,
+                _proof
+            );
+        }
+        return claimTGETokens(_userAddress, _investingIndex);
+    }
+
+    /**
+     * @dev To get the invested tokens of an allocation published in a Merkle root,
+     * the allocation is initialized on the first claim
+     */
+    function claimVestingTokensWithProof(
+        address _userAddress,
+        uint8 _investingIndex,
+        uint256 _totalAllocation,
+        bytes32[] calldata _proof,
+        uint256 _tokenAmount
+    ) external onlyBeneficiaryOrOperator(_userAddress) returns (bool) {
+        if (!isAllocationLeafClaimed[_userAddress][_investingIndex]) {
+            initializeInvestmentDetails(
+                _userAddress,
+                _investingIndex,
+                _totalAllocation,
+                _proof
+            );
+        }
+        return claimVestingTokens(_userAddress, _investingIndex, _tokenAmount);
+    }
+
+    /**
+     * @dev Allows a beneficiary to let `_operator` trigger claims on their behalf, e.g. a custodian or
+     * a relayer. Claimed tokens are always sent to the beneficiary.
+     * @param _operator address of the operator
+     */
+    function approveClaimOperator(address _operator) external {
+        _checkAddress(_operator);
+        require(_operator != msg.sender, "Operator is the caller");
+        require(
+            !isClaimOperator[msg.sender][_operator],
+            "Operator already approved"
+        );
+        isClaimOperator[msg.sender][_operator] = true;
+        emit ClaimOperatorApproved(msg.sender, _operator);
+    }
+
+    /**
+     * @dev Allows a beneficiary to revoke an operator approved with {approveClaimOperator}
+     * @param _operator address of the operator
+     */
+    function revokeClaimOperator(address _operator) external {
+        require(isClaimOperator[msg.sender][_operator], "Operator not approved");
+        isClaimOperator[msg.sender][_operator] = false;
+        emit ClaimOperatorRevoked(msg.sender, _operator);
+    }
+
+    /**
+     * @dev Allows an investor to propose a new address for all of their allocations,
+     * the change takes effect once accepted by an allocation manager or by the new address
+     * - a new proposal replaces the pending one
+     * @param _newBeneficiary address which will receive the allocations
+     */
+    function proposeBeneficiaryChange(address _newBeneficiary) external {
+        _checkAddress(_newBeneficiary);
+        require(_newBeneficiary != msg.sender, "Beneficiary is unchanged");
+        require(hasAllocation(msg.sender), "No allocation to move");
+        pendingBeneficiaryOf[msg.sender] = _newBeneficiary;
+        emit BeneficiaryChangeProposed(msg.sender, _newBeneficiary);
+    }
+
+    /**
+     * @dev Allows an investor to withdraw their pending beneficiary change
+     */
+    function cancelBeneficiaryChange() external {
+        address newBeneficiary = pendingBeneficiaryOf[msg.sender];
+        require(newBeneficiary != address(0), "No beneficiary change proposed");
+        delete pendingBeneficiaryOf[msg.sender];
+        emit BeneficiaryChangeCancelled(msg.sender, newBeneficiary);
+    }
+
+    /**
+     * @dev Allows an allocation manager or the proposed address to accept a beneficiary change
+     * - allocations, claimed totals, TGE flags & withdrawn days of every investment type move over intact
+     * - the new address cannot already be invested in an investment type the investor is invested in
+     * @param _investor address of the investor who proposed the change
+     */
+    function acceptBeneficiaryChange(address _investor) external whenNotPaused {
+        address newBeneficiary = pendingBeneficiaryOf[_investor];
+        require(newBeneficiary != address(0), "No beneficiary change proposed");
+        require(
+            hasRole(ALLOCATION_MANAGER_ROLE, msg.sender) || msg.sender == newBeneficiary,
+            "Caller cannot accept the change"
+        );
+        delete pendingBeneficiaryOf[_investor];
+
+        for (uint8 i = 0; i < investmentTypeCount; i++) {
+            if (investorsInvestmentDetails[_investor][i].totalTokensAllocated == 0) {
+                continue;
+            }
+            require(
+                investorsInvestmentDetails[newBeneficiary][i].totalTokensAllocated == 0,
+                "Beneficiary already invested"
+            );
+            investorsInvestmentDetails[newBeneficiary][i] = investorsInvestmentDetails[_investor][i];
+            alreadyWithdrawnDays[newBeneficiary][i] = alreadyWithdrawnDays[_investor][i];
+            delete investorsInvestmentDetails[_investor][i];
+            delete alreadyWithdrawnDays[_investor][i];
+        }
+        emit BeneficiaryChanged(_investor, newBeneficiary, msg.sender);
+    }
+
     /**
      * @dev Pauses the contract.
      *
      * Requirements:
      *
-     * - can only be invoked by the owner of the contract
+     * - can only be invoked by a pauser
      */
-    function pauseContract() external onlyOwner {
+    function pauseContract() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
@@ -189,9 +731,9 @@ contract NewSolhubInvestor is Ownable, Pausable {
      *
      * Requirements:
      *
-     * - can only be invoked by the owner of the contract
+     * - can only be invoked by a pauser
      */
-    function unPauseContract() external onlyOwner {
+    function unPauseContract() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -199,6 +741,7 @@ contract NewSolhubInvestor is Ownable, Pausable {
      * @dev To get the invested tokens
      * @notice Check listingTimeOf all rounds + 30 days to be greater than current timestamp
      * Since, It is Linear Vesting over 12 Months, after 1 Month
+     * - can be invoked by the user or an operator they approved, tokens are sent to the user
      * @param _userAddress address of the User
      * @param _investingIndex index of the investing Type
      * @param _tokenAmount the amount of tokens user wishes to withdraw
@@ -210,13 +753,14 @@ contract NewSolhubInvestor is Ownable, Pausable {
         uint256 _tokenAmount
     )
         public
+        onlyBeneficiaryOrOperator(_userAddress)
         onlyAfterTGE
         whenNotPaused
         checkVestingStatus(_userAddress, _investingIndex)
         returns (bool)
     {
         // Get Vesting Details
-        InvestorAllocation memory investData = investorsInvestmentDetails[
+        InvestorAllocation storage investData = investorsInvestmentDetails[
             _userAddress
         ][_investingIndex];
 
@@ -230,19 +774,12 @@ contract NewSolhubInvestor is Ownable, Pausable {
             _userAddress,
             _investingIndex
         );
-        require(tokensToTransfer > 0, "No tokens to transfer");
+        _checkTokensToTransfer(tokensToTransfer);
         //solhint-disable-next-line reason-string
         require(
             _tokenAmount <= tokensToTransfer,
             "Token amount cannot be greater than calimable amount"
         );
-        uint256 contractTokenBalance = solhubTokenContract.balanceOf(
-            address(this)
-        );
-        require(
-            contractTokenBalance >= _tokenAmount,
-            "Insufficient contract balance"
-        );
         require(
             (_totalTokensClaimed + _tokenAmount) <=
                 investData.totalTokensAllocated,
@@ -256,39 +793,196 @@ contract NewSolhubInvestor is Ownable, Pausable {
         ) {
             investData.isVesting = false;
         }
-        investorsInvestmentDetails[_userAddress][_investingIndex] = investData;
+        emit TokensClaimed(_userAddress, _investingIndex, 0, _tokenAmount);
         return _sendTokens(_userAddress, _tokenAmount);
     }
 
+    /**
+     * @dev To get the pending TGE & vested tokens of every investment type of the caller in one transfer
+     * - vested tokens are computed like {claimVestingTokens} would, for the whole claimable amount
+     * - emits a {TokensClaimed} event per investment type something is claimed from
+     * @return breakdown claimed amounts, one entry per investment type
+     */
+    function claimAll()
+        external
+        onlyAfterTGE
+        whenNotPaused
+        returns (ClaimBreakdown[] memory breakdown)
+    {
+        breakdown = new ClaimBreakdown[](investmentTypeCount);
+        uint256 totalAmount;
+        for (uint8 i = 0; i < investmentTypeCount; i++) {
+            (uint256 tgeTokens, uint256 vestingTokens) = claimInvestment(
+                msg.sender,
+                i
+            );
+            breakdown[i] = ClaimBreakdown(i, tgeTokens, vestingTokens);
+            totalAmount += tgeTokens + vestingTokens;
+        }
+        _checkTokensToTransfer(totalAmount);
+        _sendTokens(msg.sender, totalAmount);
+    }
+
+    /**
+     * @dev To claim the pending TGE & vested tokens of one investment type with a claim signed off-chain
+     * by the user, see {ClaimSignatures}
+     * - can be submitted by anyone, tokens are sent to the user
+     * - reverts if the claimable amount exceeds `_maxAmount`, unless it is 0
+     * @param _userAddress address of the User, which signed the claim
+     * @param _investingIndex index of the investing Type
+     * @param _maxAmount maximum number of tokens to claim, 0 for no maximum
+     * @param _nonce current nonce of the user, see {nonces}
+     * @param _deadline timestamp after which the signature cannot be used
+     * @param _signature EIP-712 signature of the claim
+     * @return breakdown claimed amounts
+     */
+    function claimWithSignature(
+        address _userAddress,
+        uint8 _investingIndex,
+        uint256 _maxAmount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    )
+        external
+        onlyAfterTGE
+        whenNotPaused
+        onlyValidInvestingIndex(_investingIndex)
+        returns (ClaimBreakdown memory breakdown)
+    {
+        useClaimSignature(
+            _userAddress,
+            _investingIndex,
+            _maxAmount,
+            _nonce,
+            _deadline,
+            _signature
+        );
+        (uint256 tgeTokens, uint256 vestingTokens) = claimInvestment(
+            _userAddress,
+            _investingIndex
+        );
+        uint256 amount = tgeTokens + vestingTokens;
+        _checkTokensToTransfer(amount);
+        checkClaimMaxAmount(amount, _maxAmount);
+        _sendTokens(_userAddress, amount);
+        breakdown = ClaimBreakdown(_investingIndex, tgeTokens, vestingTokens);
+    }
+
+    /**
+     * @dev Returns what {claimAll} would transfer to `_userAddress` now, one entry per investment type
+     * @param _userAddress address of the User
+     */
+    function getClaimableBreakdown(address _userAddress)
+        external
+        view
+        returns (ClaimBreakdown[] memory breakdown)
+    {
+        breakdown = new ClaimBreakdown[](investmentTypeCount);
+        for (uint8 i = 0; i < investmentTypeCount; i++) {
+            (uint256 tgeTokens, uint256 vestingTokens, ) = getClaimableTokens(
+                _userAddress,
+                i
+            );
+            breakdown[i] = ClaimBreakdown(i, tgeTokens, vestingTokens);
+        }
+    }
+
+    /**
+     * @dev Returns the vesting status of `_userAddress` in an investment type, computed like the claims
+     * would without sending a transaction
+     * @param _userAddress address of the User
+     * @param _investmentIndex index of the investment type
+     */
+    function getVestingStatus(address _userAddress, uint8 _investmentIndex)
+        public
+        view
+        onlyValidInvestingIndex(_investmentIndex)
+        returns (VestingStatus memory status)
+    {
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        uint256 currentTime = getCurrentTime();
+        status.userAddress = _userAddress;
+        status.investmentIndex = _investmentIndex;
+        status.totalTokensAllocated = investorData.totalTokensAllocated;
+        status.totalTokensClaimed = investorData.totalTokensClaimed;
+        (status.claimableTGETokens, status.claimableVestingTokens, ) = getClaimableTokensAt(
+            _userAddress,
+            _investmentIndex,
+            currentTime
+        );
+        uint256 claimableTokens = status.claimableTGETokens +
+            status.claimableVestingTokens;
+        status.vestedTokens = investorData.totalTokensClaimed + claimableTokens;
+        status.lockedTokens =
+            investorData.totalTokensAllocated -
+            status.vestedTokens;
+
+        status.nextUnlockTime = getNextUnlockTime(
+            investorData,
+            _investmentIndex,
+            currentTime
+        );
+        if (status.nextUnlockTime != 0) {
+            (uint256 tgeTokens, uint256 vestingTokens, ) = getClaimableTokensAt(
+                _userAddress,
+                _investmentIndex,
+                status.nextUnlockTime
+            );
+            status.nextUnlockTokens = tgeTokens + vestingTokens - claimableTokens;
+        }
+    }
+
+    /**
+     * @dev Returns the vesting status of many (User, investment type) pairs, see {getVestingStatus}
+     * @param _userAddresses array of addresses of the Users
+     * @param _investmentIndexes array of investment type indexes, one per User
+     */
+    function getVestingStatuses(
+        address[] calldata _userAddresses,
+        uint8[] calldata _investmentIndexes
+    ) external view returns (VestingStatus[] memory statuses) {
+        require(
+            _userAddresses.length == _investmentIndexes.length,
+            "Unequal arrays passed"
+        );
+        statuses = new VestingStatus[](_userAddresses.length);
+        for (uint256 i = 0; i < _userAddresses.length; i++) {
+            statuses[i] = getVestingStatus(
+                _userAddresses[i],
+                _investmentIndexes[i]
+            );
+        }
+    }
+
     /**
      * @dev To get the TGE amount
      * @notice Checks whether listingTime of all rounds is greater than current timestamp
      * If yes, assigns TGE amount for that round to a variable {totalTGEAmountOfAllRounds}, and at last transfers the
      * sum of TGE of all rounds to the caller
+     * - can be invoked by the user or an operator they approved, tokens are sent to the user
      */
     function claimTGETokens(address _userAddress, uint8 _investingIndex)
         public
+        onlyBeneficiaryOrOperator(_userAddress)
         onlyAfterTGE
         whenNotPaused
         checkVestingStatus(_userAddress, _investingIndex)
         returns (bool)
     {
-        InvestorAllocation memory investData = investorsInvestmentDetails[
+        InvestorAllocation storage investData = investorsInvestmentDetails[
             _userAddress
         ][_investingIndex];
         uint256 tgeAmount = investData.totalTGETokens;
-        investData.totalTokensClaimed += tgeAmount;
-        investData.isTGETokenClaimed = true;
-        require(tgeAmount > 0, "TGE withdraw already processed");
-
-        uint256 contractTokenBalance = solhubTokenContract.balanceOf(
-            address(this)
-        );
         require(
-            contractTokenBalance >= tgeAmount,
-            "Insufficient contract balance"
+            !investData.isTGETokenClaimed && tgeAmount > 0,
+            "TGE withdraw already processed"
         );
-        investorsInvestmentDetails[_userAddress][_investingIndex] = investData;
+        investData.totalTokensClaimed += tgeAmount;
+        investData.isTGETokenClaimed = true;
+        emit TokensClaimed(_userAddress, _investingIndex, tgeAmount, 0);
         return _sendTokens(_userAddress, tgeAmount);
     }
 
@@ -303,17 +997,12 @@ contract NewSolhubInvestor is Ownable, Pausable {
         returns (uint256)
     {
         // Get Investment Details
-        InvestorAllocation memory investorData = investorsInvestmentDetails[
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
             _userAddresses
         ][_investmentIndex];
 
-        uint256 totalClaimedTokens = (investorData.totalTokensClaimed);
-
-        if (investorData.isTGETokenClaimed) {
-            totalClaimedTokens += investorData.totalTGETokens;
-        }
-
-        return totalClaimedTokens;
+        // TGE tokens are added to totalTokensClaimed when claimed
+        return investorData.totalTokensClaimed;
     }
 
     /**
@@ -332,22 +1021,13 @@ contract NewSolhubInvestor is Ownable, Pausable {
     {
         // Get Vesting Details
 
-        InvestorAllocation memory investorData = investorsInvestmentDetails[
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
             _userAddress
         ][_investmentIndex];
 
         // Get Time Details
         uint256 actualClaimableAmount;
-        uint256 timeElapsed = getCurrentTime() - getTGETime();
-
-        // Get the Elapsed Days and Months
-        uint256 totalMonthsElapsed = timeElapsed / monthInSeconds();
-        uint256 totalDaysElapsed = timeElapsed / daysInSeconds();
-        uint256 partialDaysElapsed = totalDaysElapsed % 30;
-
-        if (partialDaysElapsed > 0 && totalMonthsElapsed > 0) {
-            totalMonthsElapsed += 1;
-        }
+        uint256 totalMonthsElapsed = getMonthsElapsed();
 
         //Check whether lock period is crossed
         require(
@@ -374,7 +1054,227 @@ contract NewSolhubInvestor is Ownable, Pausable {
     }
 
     /**
-     * @dev To transfer tokens from this contract to the user
+     * @dev To calculate the TGE & vested tokens an investor can claim now without reverting,
+     * along with the alreadyWithdrawnDays value a claim would store
+     * - vested tokens never exceed the allocation left once the pending TGE tokens are claimed
+     */
+    function getClaimableTokens(address _userAddress, uint8 _investmentIndex)
+        internal
+        view
+        returns (
+            uint256 tgeTokens,
+            uint256 vestingTokens,
+            uint256 withdrawnDays
+        )
+    {
+        return
+            getClaimableTokensAt(
+                _userAddress,
+                _investmentIndex,
+                getCurrentTime()
+            );
+    }
+
+    /**
+     * @dev {getClaimableTokens} at `_time`, which cannot be before the current time
+     */
+    function getClaimableTokensAt(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _time
+    )
+        internal
+        view
+        returns (
+            uint256 tgeTokens,
+            uint256 vestingTokens,
+            uint256 withdrawnDays
+        )
+    {
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        withdrawnDays = alreadyWithdrawnDays[_userAddress][_investmentIndex];
+        if (!investorData.isVesting || tgeTime == 0 || _time <= getTGETime()) {
+            return (0, 0, withdrawnDays);
+        }
+        if (!investorData.isTGETokenClaimed) {
+            tgeTokens = investorData.totalTGETokens;
+        }
+
+        uint256 totalMonthsElapsed = getMonthsElapsedAt(_time);
+        if (totalMonthsElapsed > investorData.vestingDuration) {
+            vestingTokens =
+                investorData.totalTokensAllocated -
+                investorData.totalTokensClaimed;
+        } else if (totalMonthsElapsed > investorData.lockPeriod) {
+            (vestingTokens, withdrawnDays) = getDailyTokensAt(
+                _userAddress,
+                _investmentIndex,
+                _time
+            );
+        }
+        uint256 remainingTokens = investorData.totalTokensAllocated -
+            investorData.totalTokensClaimed -
+            tgeTokens;
+        if (vestingTokens > remainingTokens) {
+            vestingTokens = remainingTokens;
+        }
+    }
+
+    /**
+     * @dev To get the first time after `_time` at which more tokens of an allocation become claimable,
+     * 0 if none or the TGE time is not set
+     * - the TGE, the end of the lock period, the next release interval or the end of the vesting duration
+     */
+    function getNextUnlockTime(
+        InvestorAllocation storage _investorData,
+        uint8 _investmentIndex,
+        uint256 _time
+    ) internal view returns (uint256) {
+        if (!_investorData.isVesting || tgeTime == 0) {
+            return 0;
+        }
+        if (_time <= getTGETime()) {
+            return getTGETime() + 1;
+        }
+        uint256 totalMonthsElapsed = getMonthsElapsedAt(_time);
+        if (totalMonthsElapsed > _investorData.vestingDuration) {
+            return 0;
+        }
+        if (totalMonthsElapsed <= _investorData.lockPeriod) {
+            return getMonthsElapsedEndTime(_investorData.lockPeriod);
+        }
+        uint256 releaseInterval = investorsInvestmentType[_investmentIndex]
+            .releaseInterval;
+        uint256 nextRelease = _investorData.investmentTimestamp +
+            ((_time - _investorData.investmentTimestamp) / releaseInterval + 1) *
+            releaseInterval;
+        uint256 vestingEnd = getMonthsElapsedEndTime(
+            _investorData.vestingDuration
+        );
+        return nextRelease < vestingEnd ? nextRelease : vestingEnd;
+    }
+
+    /**
+     * @dev To record the claim of everything {getClaimableTokens} returns for an investment type,
+     * the caller transfers the tokens
+     * - emits a {TokensClaimed} event if something is claimed
+     */
+    function claimInvestment(address _userAddress, uint8 _investmentIndex)
+        internal
+        returns (uint256 tgeTokens, uint256 vestingTokens)
+    {
+        uint256 withdrawnDays;
+        (tgeTokens, vestingTokens, withdrawnDays) = getClaimableTokens(
+            _userAddress,
+            _investmentIndex
+        );
+        if (tgeTokens + vestingTokens == 0) {
+            return (0, 0);
+        }
+        InvestorAllocation storage investData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        if (tgeTokens > 0) {
+            investData.isTGETokenClaimed = true;
+        }
+        alreadyWithdrawnDays[_userAddress][_investmentIndex] = withdrawnDays;
+        investData.totalTokensClaimed += tgeTokens + vestingTokens;
+        if (investData.totalTokensClaimed == investData.totalTokensAllocated) {
+            investData.isVesting = false;
+        }
+        emit TokensClaimed(_userAddress, _investmentIndex, tgeTokens, vestingTokens);
+    }
+
+    /**
+     * @dev To store the allocation of an investor with the TGE & daily tokens of its investment type
+     */
+    function allocateInvestment(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _totalAllocation,
+        InvestmentType memory _investmentType
+    ) internal {
+        uint256 tgeAmount = percentage(
+            _totalAllocation,
+            _investmentType.tgePercent
+        );
+        // Linear release over a year, one share per release interval
+        uint256 dailyTokens = (_totalAllocation *
+            _investmentType.releaseInterval) / 365 days;
+        addUserInvestmentDetails(
+            _userAddress,
+            _investmentIndex,
+            _totalAllocation,
+            _investmentType.lockPeriod,
+            _investmentType.vestingDuration,
+            tgeAmount,
+            dailyTokens
+        );
+        emit InvestmentAllocated(
+            _userAddress,
+            _investmentIndex,
+            _totalAllocation,
+            _totalAllocation,
+            tgeAmount
+        );
+    }
+
+    /**
+     * @dev To change the total of an allocation nothing was claimed from, recomputing its TGE & daily tokens
+     */
+    function resizeAllocation(
+        InvestorAllocation storage _investData,
+        uint256 _totalAllocation,
+        InvestmentType memory _investmentType
+    ) internal {
+        _investData.totalTokensAllocated = _totalAllocation;
+        _investData.totalTGETokens = percentage(
+            _totalAllocation,
+            _investmentType.tgePercent
+        );
+        _investData.dailyTokens =
+            (_totalAllocation * _investmentType.releaseInterval) /
+            365 days;
+    }
+
+    /**
+     * @dev To count new allocations against the cap of the investment type and pull their tokens from the token holder
+     */
+    function fundInvestment(uint8 _investmentIndex, uint256 _amount) internal {
+        InvestmentType storage investmentType = investorsInvestmentType[
+            _investmentIndex
+        ];
+        require(
+            investmentType.totalTokensInvested + _amount <=
+                investmentType.totalTokenAllocation,
+            "Allocation cap exceeded"
+        );
+        investmentType.totalTokensInvested += _amount;
+        totalTokensOwed += _amount;
+        uint256 holderBalance = solhubTokenContract.balanceOf(tokenHolder);
+        require(holderBalance >= _amount, "Insufficient holder balance");
+        solhubTokenContract.transferFrom(tokenHolder, address(this), _amount);
+    }
+
+    // solhint-disable-next-line no-empty-blocks
+    function _authorizeRescue() internal view override onlyRole(TREASURY_ROLE) {}
+
+    /**
+     * @dev To check whether an address holds an allocation in any investment type
+     */
+    function hasAllocation(address _userAddress) internal view returns (bool) {
+        for (uint8 i = 0; i < investmentTypeCount; i++) {
+            if (investorsInvestmentDetails[_userAddress][i].totalTokensAllocated > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev To transfer tokens from this contract to the user, reverts if the contract holds too few
      * @param _beneficiary address to which tokens will be sent
      * @param _amountOfTokens number of tokens to be transferred
      */
@@ -382,6 +1282,11 @@ contract NewSolhubInvestor is Ownable, Pausable {
         internal
         returns (bool)
     {
+        require(
+            solhubTokenContract.balanceOf(address(this)) >= _amountOfTokens,
+            "Insufficient contract balance"
+        );
+        totalTokensOwed -= _amountOfTokens;
         solhubTokenContract.transfer(_beneficiary, _amountOfTokens);
         return true;
     }
@@ -393,9 +1298,7 @@ contract NewSolhubInvestor is Ownable, Pausable {
         address _userAddress,
         uint8 _investmentIndex
     ) internal returns (uint256) {
-        uint256 amount = 0;
-
-        InvestorAllocation memory investorData = investorsInvestmentDetails[
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
             _userAddress
         ][_investmentIndex];
         require(
@@ -403,30 +1306,44 @@ contract NewSolhubInvestor is Ownable, Pausable {
                 investorData.totalTokensAllocated,
             "No tokens to claim"
         );
-        uint256 dailyTokens = investorData.dailyTokens;
+        (uint256 amount, uint256 withdrawnDays) = getDailyTokens(
+            _userAddress,
+            _investmentIndex
+        );
+        alreadyWithdrawnDays[_userAddress][_investmentIndex] = withdrawnDays;
+        return amount;
+    }
 
+    /**
+     * @dev Returns the tokens of the release intervals elapsed since the investment and not withdrawn yet,
+     * along with the number of elapsed intervals
+     */
+    function getDailyTokens(address _userAddress, uint8 _investmentIndex)
+        internal
+        view
+        returns (uint256 amount, uint256 withdrawnDays)
+    {
+        return getDailyTokensAt(_userAddress, _investmentIndex, getCurrentTime());
+    }
 
-            uint256 rewardSeconds // solhint-disable-next-line not-rely-on-time
-         = block.timestamp - investorData.investmentTimestamp;
-        if (alreadyWithdrawnDays[_userAddress][_investmentIndex] == 0) {
-            alreadyWithdrawnDays[_userAddress][_investmentIndex] =
-                rewardSeconds /
-                1 days;
-            amount += (dailyTokens *
-                alreadyWithdrawnDays[_userAddress][_investmentIndex]);
-        } else {
-            uint256 lastWithdrawnDays = alreadyWithdrawnDays[_userAddress][
-                _investmentIndex
-            ];
-            alreadyWithdrawnDays[_userAddress][_investmentIndex] =
-                rewardSeconds /
-                1 days;
-            amount +=
-                dailyTokens *
-                (alreadyWithdrawnDays[_userAddress][_investmentIndex] -
-                    lastWithdrawnDays);
-        }
-        return amount;
+    /**
+     * @dev {getDailyTokens} at `_time`, which cannot be before the current time
+     */
+    function getDailyTokensAt(
+        address _userAddress,
+        uint8 _investmentIndex,
+        uint256 _time
+    ) internal view returns (uint256 amount, uint256 withdrawnDays) {
+        InvestorAllocation storage investorData = investorsInvestmentDetails[
+            _userAddress
+        ][_investmentIndex];
+        uint256 releaseInterval = investorsInvestmentType[_investmentIndex]
+            .releaseInterval;
+        uint256 rewardSeconds = _time - investorData.investmentTimestamp;
+        withdrawnDays = rewardSeconds / releaseInterval;
+        amount =
+            investorData.dailyTokens *
+            (withdrawnDays - alreadyWithdrawnDays[_userAddress][_investmentIndex]);
     }
 
     /** @dev To initialize the InvestorAllocation struct
@@ -465,6 +1382,110 @@ contract NewSolhubInvestor is Ownable, Pausable {
         ] = investorData;
     }
 
+    /**
+     * @dev To store a new investment type under the next free index
+     */
+    function _addInvestmentType(
+        uint8 _vestingDuration,
+        uint8 _lockPeriod,
+        uint8 _tgePercent,
+        uint32 _releaseInterval,
+        uint256 _totalTokenAllocation
+    ) internal returns (uint8) {
+        // solhint-disable-next-line indent
+        require(investmentTypeCount < type(uint8).max, "Too many investment types");
+        require(_vestingDuration > 0, "Vesting duration is 0");
+        require(_releaseInterval > 0, "Release interval is 0");
+        require(_tgePercent <= 100, "TGE percent exceeds 100");
+        uint8 investmentIndex = investmentTypeCount;
+        investorsInvestmentType[investmentIndex] = InvestmentType(
+            investmentIndex,
+            _vestingDuration,
+            _lockPeriod,
+            _tgePercent,
+            _releaseInterval,
+            false,
+            _totalTokenAllocation,
+            0
+        );
+        investmentTypeCount = investmentIndex + 1;
+        emit InvestmentTypeAdded(
+            investmentIndex,
+            _vestingDuration,
+            _lockPeriod,
+            _tgePercent,
+            _releaseInterval,
+            _totalTokenAllocation
+        );
+        return investmentIndex;
+    }
+
+    /**
+     * @dev Reverts unless `_userAddresses` is vesting in the investment type, see {checkVestingStatus}
+     */
+    function _checkVestingStatus(address _userAddresses, uint8 _investingIndex)
+        internal
+        view
+    {
+        require(
+            investorsInvestmentDetails[_userAddresses][_investingIndex]
+                .isVesting,
+            "Not added to investment index"
+        );
+    }
+
+    /**
+     * @dev Reverts unless the caller is `_userAddress` or one of its operators, see {onlyBeneficiaryOrOperator}
+     */
+    function _checkBeneficiaryOrOperator(address _userAddress) internal view {
+        require(
+            msg.sender == _userAddress ||
+                isClaimOperator[_userAddress][msg.sender],
+            "Caller cannot claim for user"
+        );
+    }
+
+    /**
+     * @dev Reverts for an investment type which was never added, see {onlyValidInvestingIndex}
+     */
+    function _checkValidInvestingIndex(uint8 _investingIndex) internal view {
+        require(
+            _investingIndex < investmentTypeCount,
+            "Invalid Invested Index"
+        );
+    }
+
+    /**
+     * @dev Reverts until the TGE time is reached, see {onlyAfterTGE}
+     */
+    function _checkAfterTGE() internal view {
+        require(
+            tgeTime != 0 && getCurrentTime() > getTGETime(),
+            "TGE not yet started"
+        );
+    }
+
+    /**
+     * @dev Reverts for the zero address
+     */
+    function _checkAddress(address _address) internal pure {
+        require(_address != address(0), "Invalid Address");
+    }
+
+    /**
+     * @dev Reverts once the TGE time is locked, see {isTGETimeLocked}
+     */
+    function _checkTGETimeUnlocked() internal view {
+        require(!isTGETimeLocked(), "TGE time is locked");
+    }
+
+    /**
+     * @dev Reverts when a claim has nothing to transfer
+     */
+    function _checkTokensToTransfer(uint256 _amount) internal pure {
+        require(_amount > 0, "No tokens to transfer");
+    }
+
     /**
      * @dev To return the current time
      */
@@ -473,11 +1494,47 @@ contract NewSolhubInvestor is Ownable, Pausable {
         return block.timestamp;
     }
 
+    /**
+     * @dev To return the months elapsed since TGE, a started month counts as a full one
+     */
+    function getMonthsElapsed() internal view returns (uint256) {
+        return getMonthsElapsedAt(getCurrentTime());
+    }
+
+    /**
+     * @dev {getMonthsElapsed} at `_time`, which cannot be before the TGE
+     */
+    function getMonthsElapsedAt(uint256 _time) internal view returns (uint256) {
+        uint256 timeElapsed = _time - getTGETime();
+        uint256 totalMonthsElapsed = timeElapsed / monthInSeconds();
+        uint256 partialDaysElapsed = (timeElapsed / daysInSeconds()) % 30;
+        if (partialDaysElapsed > 0 && totalMonthsElapsed > 0) {
+            totalMonthsElapsed += 1;
+        }
+        return totalMonthsElapsed;
+    }
+
+    /**
+     * @dev To return the first time at which more than `_months` months have elapsed since TGE,
+     * see {getMonthsElapsed}
+     */
+    function getMonthsElapsedEndTime(uint256 _months)
+        internal
+        view
+        returns (uint256)
+    {
+        if (_months == 0) {
+            return getTGETime() + monthInSeconds();
+        }
+        // A started month counts as a full one once its first day has elapsed
+        return getTGETime() + _months * monthInSeconds() + daysInSeconds();
+    }
+
     /**
      * @dev To return the TGE time
      */
-    function getTGETime() internal pure returns (uint256) {
-        return 1624710715; // June 26, 2021 @ 6:02:00 PM
+    function getTGETime() internal view returns (uint256) {
+        return tgeTime;
     }
 
     /**
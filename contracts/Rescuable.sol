@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title Rescuable
+/// @notice Sends the ERC-20 tokens or ETH sent to a contract by mistake to a chosen address
+/// @dev Inheriting contracts restrict {rescue} in {_authorizeRescue}, and keep the funds they owe out of reach
+/// by overriding {rescuableBalance}
+// solhint-disable-next-line indent
+abstract contract Rescuable {
+    // `token` is address zero for ETH
+    event FundsRescued(address indexed token, address indexed to, uint256 amount);
+
+    /**
+     * @dev To send `_amount` of `_token` held by the contract to `_to`, address zero as `_token` for ETH
+     * - the amount cannot exceed {rescuableBalance}
+     * - emits a {FundsRescued} event
+     */
+    function rescue(
+        address _token,
+        address _to,
+        uint256 _amount
+    ) external {
+        _authorizeRescue();
+        _rescue(_token, _to, _amount);
+    }
+
+    /**
+     * @dev Returns the amount of `_token`, or of ETH for address zero, which can be rescued: the whole balance
+     * of the contract unless overridden
+     */
+    function rescuableBalance(address _token) public view virtual returns (uint256) {
+        if (_token == address(0)) {
+            return address(this).balance;
+        }
+        return IERC20(_token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Reverts unless the caller may rescue funds
+     */
+    function _authorizeRescue() internal virtual;
+
+    function _rescue(
+        address _token,
+        address _to,
+        uint256 _amount
+    ) internal {
+        require(_to != address(0), "Invalid Address");
+        require(_amount <= rescuableBalance(_token), "Amount exceeds rescuable balance");
+        emit FundsRescued(_token, _to, _amount);
+        // Like SafeERC20, which does not fit in NewSolhubInvestor: tokens may return nothing, but not false.
+        // Reading the balance above already reverted if `_token` has no code
+        // solhint-disable avoid-low-level-calls, indent
+        (bool success, bytes memory data) = _token == address(0)
+            ? _to.call{value: _amount}("")
+            : _token.call(abi.encodeWithSelector(IERC20.transfer.selector, _to, _amount));
+        // solhint-enable avoid-low-level-calls, indent
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Rescue failed");
+    }
+}
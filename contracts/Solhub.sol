@@ -2,42 +2,85 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./Rescuable.sol";
 
 /// @title Solhub
 /// @notice ERC-20 implementation of SHUB token
-contract Solhub is ERC20, Ownable {
+/// @dev Holders approve with an EIP-2612 signature through {permit}, and {delegate} their voting power, which
+/// is checkpointed at every block for {getPastVotes}. Balances only count as votes once delegated, to
+/// oneself included.
+/// The total supply can never exceed {cap}, set at construction. The decimals can only change until
+/// {finalizeDecimals} is called.
+/// Holders destroy their own tokens with {burn}, or tokens they were approved for with {burnFrom}. Burning the
+/// tokens of a holder without consent is only possible for a burner, through {forceBurn}.
+contract Solhub is ERC20, ERC20Burnable, ERC20Capped, ERC20Permit, ERC20Votes, AccessControl, Rescuable {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    // Withdraws the ETH & rescues the tokens held by the contract
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
     uint8 public tokenDecimals;
+    bool public decimalsFinalized;
     event LogEtherTransferred(address indexed receiver, uint256 eth);
+    event DecimalsUpdated(uint8 decimals);
+    event DecimalsFinalized(uint8 decimals);
+    event ForceBurned(address indexed operator, address indexed account, uint256 amount);
 
     /**
      * @dev Sets the values for {name = SolhubCoin}, {totalSupply = 1 Billion} and {symbol = SHUB}.
      *
-     * All two of these values (name, symbol) are immutable: they can only be set once during
-     * construction.
+     * All three of these values (name, symbol, cap) are immutable: they can only be set once during
+     * construction. The deployer holds every role.
+     * @param initialSupply tokens minted to the deployer
+     * @param maxSupply maximum total supply, which {mint} can never exceed
      */
-    constructor(uint256 initialSupply) ERC20("SolhubCoin", "SHUB") {
+    constructor(uint256 initialSupply, uint256 maxSupply)
+        ERC20("SolhubCoin", "SHUB")
+        ERC20Capped(maxSupply)
+        ERC20Permit("SolhubCoin")
+    {
         tokenDecimals = 18;
+        emit DecimalsUpdated(18);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(BURNER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
         super._mint(msg.sender, initialSupply); // Since Total supply 1 Billion
     }
 
     /**
-     * @dev Contract might receive/hold ETH as part of the maintenance process.
-     * The receive function is executed on a call to the contract with empty calldata.
+     * @dev To update number of decimals for a token
+     *
+     * Emits a {DecimalsUpdated} event.
+     *
+     * Requirements:
+     * - invocation can be done, only by an admin.
+     * - the decimals are not finalized.
      */
-    // solhint-disable-next-line no-empty-blocks
-    receive() external payable {}
-
-    fallback() external payable {}
+    function updateDecimals(uint8 noOfDecimals) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!decimalsFinalized, "Decimals are finalized");
+        tokenDecimals = noOfDecimals;
+        emit DecimalsUpdated(noOfDecimals);
+    }
 
     /**
-     * @dev To update number of decimals for a token
+     * @dev Fixes the number of decimals for good, {updateDecimals} reverts afterwards
+     *
+     * Emits a {DecimalsFinalized} event.
      *
      * Requirements:
-     * - invocation can be done, only by the contract owner.
+     * - invocation can be done, only by an admin.
+     * - the decimals are not finalized yet.
      */
-    function updateDecimals(uint8 noOfDecimals) public onlyOwner {
-        tokenDecimals = noOfDecimals;
+    function finalizeDecimals() public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!decimalsFinalized, "Decimals are finalized");
+        decimalsFinalized = true;
+        emit DecimalsFinalized(tokenDecimals);
     }
 
     /**
@@ -45,33 +88,59 @@ contract Solhub is ERC20, Ownable {
      * total supply.
      *
      * Requirements:
-     * - invocation can be done, only by the contract owner.
+     * - invocation can be done, only by a minter.
+     * - the total supply does not exceed {cap} afterwards.
      */
-    function mint(address account, uint256 amount) public onlyOwner {
+    function mint(address account, uint256 amount) public onlyRole(MINTER_ROLE) {
         _mint(account, amount);
     }
 
     /**
-     * @dev Destroys `amount` tokens from `account`, reducing the
+     * @dev Destroys `amount` tokens from `account` without its consent, reducing the
      * total supply.
      *
-     * Emits a {Transfer} event with `to` set to the zero address.
+     * Emits a {ForceBurned} event, and a {Transfer} event with `to` set to the zero address.
+     *
+     * Requirements:
+     * - invocation can be done, only by a burner.
      */
-    function burn(address account, uint256 amount) public onlyOwner {
+    function forceBurn(address account, uint256 amount) public onlyRole(BURNER_ROLE) {
         _burn(account, amount);
+        emit ForceBurned(msg.sender, account, amount);
     }
 
     /**
-     * @dev To transfer all BNBs stored in the contract to the caller
+     * @dev To transfer all ETH stored in the contract to the caller, see {rescue}
+     *
+     * Emits a {FundsRescued} event.
      *
      * Requirements:
-     * - invocation can be done, only by the contract owner.
+     * - invocation can be done, only by the treasury role.
      */
-    function withdrawAll() public payable onlyOwner {
-        require(
-            payable(msg.sender).send(address(this).balance),
-            "Withdraw failed"
-        );
+    function withdrawAll() public payable onlyRole(TREASURY_ROLE) {
+        _rescue(address(0), msg.sender, address(this).balance);
+    }
+
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override(ERC20, ERC20Votes) {
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    function _mint(address account, uint256 amount)
+        internal
+        override(ERC20, ERC20Capped, ERC20Votes)
+    {
+        super._mint(account, amount);
+    }
+
+    function _burn(address account, uint256 amount)
+        internal
+        override(ERC20, ERC20Votes)
+    {
+        super._burn(account, amount);
     }
 
     /**
@@ -90,4 +159,17 @@ contract Solhub is ERC20, Ownable {
     function decimals() public view override returns (uint8) {
         return tokenDecimals;
     }
+
+    // solhint-disable-next-line no-empty-blocks
+    function _authorizeRescue() internal view override onlyRole(TREASURY_ROLE) {}
+
+    /**
+     * @dev Contract might receive/hold ETH as part of the maintenance process.
+     * The receive function is executed on a call to the contract with empty calldata.
+     * Kept last, the solhint parser of `lint-contracts` does not know receive & fallback and misreads what follows
+     */
+    // solhint-disable-next-line no-empty-blocks
+    receive() external payable {}
+
+    fallback() external payable {}
 }
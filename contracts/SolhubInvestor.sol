@@ -3,10 +3,11 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Rescuable.sol";
 
 /// @title SolhubInvestor
 /// @notice Token allocation contract for Investor
-contract SolhubInvestor is Ownable {
+contract SolhubInvestor is Ownable, Rescuable {
     /**
      * @dev Struct to store the investment type {SEED, STRATEGIC, PRIVATE}
      * @param indexId Decimal representation of different rounds
@@ -63,6 +64,21 @@ contract SolhubInvestor is Ownable {
     mapping(uint8 => uint256) public listingTimeOf;
     mapping(address => uint256[]) public alreadyWithdrawnDays;
 
+    event InvestmentAllocated(
+        address indexed investor,
+        uint8 indexed round,
+        uint256 amount,
+        uint256 totalTokensAllocated,
+        uint256 totalTGETokens
+    );
+    event TokensClaimed(
+        address indexed investor,
+        uint8 indexed round,
+        uint256 tgeTokens,
+        uint256 vestingTokens
+    );
+    event ListingTimeUpdated(uint8 indexed round, uint256 listingTime);
+
     modifier isTGEAnnounced() {
         require(
             // solhint-disable-next-line not-rely-on-time
@@ -118,6 +134,7 @@ contract SolhubInvestor is Ownable {
             // solhint-disable-next-line not-rely-on-time
             require(_listingTimestamps[i] > block.timestamp, "Listing time is in the past");
             listingTimeOf[_rounds[i]] = _listingTimestamps[i];
+            emit ListingTimeUpdated(_rounds[i], _listingTimestamps[i]);
         }
     }
 
@@ -215,6 +232,9 @@ contract SolhubInvestor is Ownable {
                 (alreadyWithdrawnDays[msg.sender][_alreadyWithdrawnIndex] - lastWithdrawnDays);
         }
         investorAllocation.totalTokensClaimed += amount;
+        if (amount > 0) {
+            emit TokensClaimed(msg.sender, _round, 0, amount);
+        }
         return amount;
     }
 
@@ -226,42 +246,56 @@ contract SolhubInvestor is Ownable {
         uint256 tgeAmount = investorAllocation.totalTGETokens;
         investorAllocation.totalTokensClaimed += tgeAmount;
         investorAllocation.isTGETokenClaimed = true;
+        if (tgeAmount > 0) {
+            emit TokensClaimed(_investor, round, tgeAmount, 0);
+        }
         return tgeAmount;
     }
 
     /**
      * @dev To update SEED investment information
      */
-     function updateInvestmentInfo(address _investor, uint256 _noOfSHUBs, uint8 _round) internal {
+    function updateInvestmentInfo(address _investor, uint256 _noOfSHUBs, uint8 _round) internal {
         (
             uint8 _indexId,
             uint8 _vestingDuration,
             uint8 _lockPeriod,
             uint8 _tgePercent
         ) = getRoundConstants(_round);
-        uint256 investmentAmount = 
-                investorsInvestmentDetails[_investor][_round].totalTokensAllocated +
-                _noOfSHUBs;
-            // Update InvestmentType
-            investorsInvestmentType[_investor][_indexId] = InvestmentType({
-                indexId: _indexId,
-                vestingDuration: _vestingDuration,
-                lockPeriod: _lockPeriod,
-                tgePercent: _tgePercent,
-                totalTokenAllocation: investmentAmount,
-                dailyTokens: (investmentAmount / DAYS_IN_YEAR),
-                // solhint-disable-next-line not-rely-on-time
-                investmentTimestamp: block.timestamp
-            });
-            // Update InvestorAllocation
-            investorsInvestmentDetails[_investor][_indexId] = InvestorAllocation({
-                investmentTypeId: _indexId,
-                totalTokensAllocated: investmentAmount,
-                totalTGETokens: getTGETokens(investmentAmount, _tgePercent),
-                totalTokensClaimed: 0,
-                isTGETokenClaimed: false
-            });
-     }
+        uint256 investmentAmount =
+            investorsInvestmentDetails[_investor][_round].totalTokensAllocated +
+            _noOfSHUBs;
+        // Update InvestmentType
+        investorsInvestmentType[_investor][_indexId] = InvestmentType({
+            indexId: _indexId,
+            vestingDuration: _vestingDuration,
+            lockPeriod: _lockPeriod,
+            tgePercent: _tgePercent,
+            totalTokenAllocation: investmentAmount,
+            dailyTokens: (investmentAmount / DAYS_IN_YEAR),
+            // solhint-disable-next-line not-rely-on-time
+            investmentTimestamp: block.timestamp
+        });
+        // Update InvestorAllocation
+        investorsInvestmentDetails[_investor][_indexId] = InvestorAllocation({
+            investmentTypeId: _indexId,
+            totalTokensAllocated: investmentAmount,
+            totalTGETokens: getTGETokens(investmentAmount, _tgePercent),
+            totalTokensClaimed: 0,
+            isTGETokenClaimed: false
+        });
+        emit InvestmentAllocated(
+            _investor,
+            _indexId,
+            _noOfSHUBs,
+            investmentAmount,
+            getTGETokens(investmentAmount, _tgePercent)
+        );
+    }
+
+    // The claims pull the tokens from the owner, the contract holds none of them
+    // solhint-disable-next-line no-empty-blocks
+    function _authorizeRescue() internal view override onlyOwner {}
 
     /**
      * @dev To return InvestmentType indexId
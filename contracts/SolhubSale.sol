@@ -0,0 +1,569 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+import "./NewSolhubInvestor.sol";
+import "./Rescuable.sol";
+
+/// @title SolhubSale
+/// @notice Sells SHUB for ETH or USDT at a USD price read from Chainlink feeds, in one phase per investment
+/// type of NewSolhubInvestor {SEED, STRATEGIC, PRIVATE}, crediting whitelisted buyers into that investment type
+contract SolhubSale is AccessControl, Pausable, ReentrancyGuard, Rescuable {
+    using SafeERC20 for IERC20Metadata;
+    using Address for address payable;
+
+    /**
+     * @dev Struct to store a Chainlink feed
+     * @param aggregator address of the feed
+     * @param maxAge Number of seconds after which an answer is stale, at least the heartbeat of the feed
+     */
+    struct PriceFeed {
+        AggregatorV3Interface aggregator;
+        uint256 maxAge;
+    }
+
+    /**
+     * @dev Struct to store the sale phase of an investment type
+     * @param tokenPrice USD price of one SHUB, with 18 decimals
+     * @param softCap Number of tokens to sell for the phase to succeed, 0 if the phase cannot fail
+     * @param hardCap Maximum number of tokens sold in the phase
+     * @param startTime Timestamp from which the phase sells
+     * @param endTime Timestamp from which the phase no longer sells
+     * @param minContribution Minimum USD value of the purchases of a wallet, with 18 decimals
+     * @param maxContribution Maximum USD value of the purchases of a wallet, with 18 decimals
+     * @param tokensSold Number of tokens sold in the phase so far
+     */
+    struct Phase {
+        uint256 tokenPrice;
+        uint256 softCap;
+        uint256 hardCap;
+        uint64 startTime;
+        uint64 endTime;
+        uint256 minContribution;
+        uint256 maxContribution;
+        uint256 tokensSold;
+    }
+
+    /**
+     * @dev Struct to store the purchases of a wallet in a phase
+     * @param tokens Number of tokens credited
+     * @param usdValue USD value paid, with 18 decimals
+     * @param ethPaid ETH paid, held by the sale until the soft cap is reached
+     * @param usdtPaid USDT paid, held by the sale until the soft cap is reached
+     */
+    struct Contribution {
+        uint256 tokens;
+        uint256 usdValue;
+        uint256 ethPaid;
+        uint256 usdtPaid;
+    }
+
+    // Whitelists the buyers who passed KYC
+    bytes32 public constant KYC_ADMIN_ROLE = keccak256("KYC_ADMIN_ROLE");
+    // Pauses & resumes the purchases & refunds
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Sets the wallet, sends it the payments of the phases which reached their soft cap & rescues the funds sent
+    // to the contract by mistake
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
+    NewSolhubInvestor public investorContract;
+    IERC20Metadata public usdtToken;
+    PriceFeed public ethUsdFeed;
+    PriceFeed public usdtFeed;
+    // Whether the USDT feed is quoted in ETH, like the USDT / ETH feed of mainnet, rather than in USD
+    bool public isUsdtFeedEthQuoted;
+    // Receives the ETH & USDT paid by the buyers
+    address payable public wallet;
+    uint256 public totalTokensSold;
+
+    // investment index => sale phase
+    mapping(uint8 => Phase) public phases;
+    // investment index => buyer => purchases in the phase
+    mapping(uint8 => mapping(address => Contribution)) public contributions;
+    // investment index => ETH & USDT of a phase with a soft cap not sent to the wallet yet
+    mapping(uint8 => uint256) public ethEscrowOf;
+    mapping(uint8 => uint256) public usdtEscrowOf;
+    // Sums of the escrows of every phase, which {rescue} leaves to the wallet & the refunds
+    uint256 public totalEthEscrow;
+    uint256 public totalUsdtEscrow;
+    mapping(address => bool) public isWhitelisted;
+
+    event PhaseConfigured(
+        uint8 indexed investmentIndex,
+        uint256 tokenPrice,
+        uint256 softCap,
+        uint256 hardCap,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 minContribution,
+        uint256 maxContribution
+    );
+    event TokensPurchased(
+        address indexed buyer,
+        uint8 indexed investmentIndex,
+        address indexed paymentToken,
+        uint256 paidAmount,
+        uint256 usdValue,
+        uint256 tokens
+    );
+    event PhaseFundsWithdrawn(uint8 indexed investmentIndex, uint256 ethAmount, uint256 usdtAmount);
+    event Refunded(
+        address indexed buyer,
+        uint8 indexed investmentIndex,
+        uint256 ethAmount,
+        uint256 usdtAmount,
+        uint256 tokens
+    );
+    event WhitelistUpdated(address indexed account, bool isWhitelisted);
+    event WalletUpdated(address wallet);
+    event PriceFeedMaxAgesUpdated(uint256 ethUsdMaxAge, uint256 usdtMaxAge);
+
+    /**
+     * @dev Sets the investor contract & the feeds of the sale, phases are added with {configurePhase}
+     * - the ETH / USD answers are stale after 1 hour, the USDT ones after 1 day, see {setPriceFeedMaxAges}
+     * - the sale must be allowed to add investments with {NewSolhubInvestor-setAllocator}
+     * - grants every role to the deployer, {DEFAULT_ADMIN_ROLE} configures the phases & the feeds and grants &
+     * revokes the roles
+     * @param _investorContract address of NewSolhubInvestor
+     * @param _usdtToken address of USDT
+     * @param _ethUsdFeed address of the ETH / USD feed
+     * @param _usdtFeed address of the USDT / USD or USDT / ETH feed
+     * @param _isUsdtFeedEthQuoted true if `_usdtFeed` is the USDT / ETH feed
+     * @param _wallet address receiving the payments
+     */
+    constructor(
+        address _investorContract,
+        address _usdtToken,
+        address _ethUsdFeed,
+        address _usdtFeed,
+        bool _isUsdtFeedEthQuoted,
+        address payable _wallet
+        // solhint-disable-next-line func-visibility
+    ) {
+        require(_investorContract != address(0), "Invalid investor contract");
+        require(
+            _usdtToken != address(0) &&
+                _ethUsdFeed != address(0) &&
+                _usdtFeed != address(0),
+            "Invalid Address"
+        );
+        investorContract = NewSolhubInvestor(_investorContract);
+        usdtToken = IERC20Metadata(_usdtToken);
+        ethUsdFeed = PriceFeed(AggregatorV3Interface(_ethUsdFeed), 1 hours);
+        usdtFeed = PriceFeed(AggregatorV3Interface(_usdtFeed), 1 days);
+        isUsdtFeedEthQuoted = _isUsdtFeedEthQuoted;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(KYC_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+        setWallet(_wallet);
+    }
+
+    /**
+     * @dev Allows only an admin to configure the sale phase of an investment type until it starts
+     * - the hard cap is in addition to the allocation cap of the investment type, both are enforced
+     * - with a soft cap, the payments are held by the sale & refunded if the phase ends below it
+     * - the phase must end before the TGE time of NewSolhubInvestor, which must be set
+     * @param _investmentIndex index of the investment type of NewSolhubInvestor
+     * @param _phase price, caps, times & contribution limits of the phase, `tokensSold` is ignored
+     */
+    function configurePhase(uint8 _investmentIndex, Phase calldata _phase)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(
+            _investmentIndex < investorContract.investmentTypeCount(),
+            "Invalid Invested Index"
+        );
+        Phase storage phase = phases[_investmentIndex];
+        require(
+            phase.endTime == 0 || getCurrentTime() < phase.startTime,
+            "Phase already started"
+        );
+        require(_phase.tokenPrice > 0, "Token price is 0");
+        require(
+            _phase.hardCap > 0 && _phase.softCap <= _phase.hardCap,
+            "Invalid phase caps"
+        );
+        require(
+            getCurrentTime() < _phase.startTime &&
+                _phase.startTime < _phase.endTime,
+            "Invalid phase times"
+        );
+        require(_phase.endTime < investorContract.tgeTime(), "Phase must end before TGE");
+        require(
+            _phase.maxContribution > 0 &&
+                _phase.minContribution <= _phase.maxContribution,
+            "Invalid contribution limits"
+        );
+        phases[_investmentIndex] = Phase(
+            _phase.tokenPrice,
+            _phase.softCap,
+            _phase.hardCap,
+            _phase.startTime,
+            _phase.endTime,
+            _phase.minContribution,
+            _phase.maxContribution,
+            0
+        );
+        emit PhaseConfigured(
+            _investmentIndex,
+            _phase.tokenPrice,
+            _phase.softCap,
+            _phase.hardCap,
+            _phase.startTime,
+            _phase.endTime,
+            _phase.minContribution,
+            _phase.maxContribution
+        );
+    }
+
+    /**
+     * @dev Buys SHUB of the phase of `_investmentIndex` with the ETH sent
+     * - the ETH is forwarded to the wallet, or held by the sale if the phase has a soft cap
+     * @param _investmentIndex index of the investment type of NewSolhubInvestor
+     * @param _minTokens minimum number of tokens to buy, reverts below it
+     * @return - number of tokens credited to the buyer
+     */
+    function buyWithETH(uint8 _investmentIndex, uint256 _minTokens)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256)
+    {
+        require(msg.value > 0, "No ETH sent");
+        uint256 usdValue = (msg.value * getETHPrice()) / 1 ether;
+        uint256 tokens = purchase(msg.sender, _investmentIndex, usdValue, _minTokens);
+        contributions[_investmentIndex][msg.sender].ethPaid += msg.value;
+        emit TokensPurchased(
+            msg.sender,
+            _investmentIndex,
+            address(0),
+            msg.value,
+            usdValue,
+            tokens
+        );
+        if (phases[_investmentIndex].softCap == 0) {
+            wallet.sendValue(msg.value);
+        } else {
+            ethEscrowOf[_investmentIndex] += msg.value;
+            totalEthEscrow += msg.value;
+        }
+        return tokens;
+    }
+
+    /**
+     * @dev Buys SHUB of the phase of `_investmentIndex` with `_usdtAmount` USDT
+     * - the USDT is pulled to the wallet, or to the sale if the phase has a soft cap
+     * - the buyer must approve the sale first
+     * @param _investmentIndex index of the investment type of NewSolhubInvestor
+     * @param _usdtAmount amount of USDT, with the decimals of the token
+     * @param _minTokens minimum number of tokens to buy, reverts below it
+     * @return - number of tokens credited to the buyer
+     */
+    function buyWithUSDT(
+        uint8 _investmentIndex,
+        uint256 _usdtAmount,
+        uint256 _minTokens
+    ) external whenNotPaused nonReentrant returns (uint256) {
+        require(_usdtAmount > 0, "No USDT sent");
+        uint256 usdValue = getUSDTValue(_usdtAmount);
+        uint256 tokens = purchase(msg.sender, _investmentIndex, usdValue, _minTokens);
+        contributions[_investmentIndex][msg.sender].usdtPaid += _usdtAmount;
+        emit TokensPurchased(
+            msg.sender,
+            _investmentIndex,
+            address(usdtToken),
+            _usdtAmount,
+            usdValue,
+            tokens
+        );
+        if (phases[_investmentIndex].softCap == 0) {
+            usdtToken.safeTransferFrom(msg.sender, wallet, _usdtAmount);
+        } else {
+            usdtEscrowOf[_investmentIndex] += _usdtAmount;
+            totalUsdtEscrow += _usdtAmount;
+            usdtToken.safeTransferFrom(msg.sender, address(this), _usdtAmount);
+        }
+        return tokens;
+    }
+
+    /**
+     * @dev Allows only the treasury role to send the payments held for a phase to the wallet once its soft cap
+     * is reached
+     */
+    function withdrawPhaseFunds(uint8 _investmentIndex)
+        external
+        onlyRole(TREASURY_ROLE)
+        nonReentrant
+    {
+        Phase memory phase = phases[_investmentIndex];
+        require(
+            phase.softCap > 0 && phase.tokensSold >= phase.softCap,
+            "Soft cap not reached"
+        );
+        uint256 ethAmount = ethEscrowOf[_investmentIndex];
+        uint256 usdtAmount = usdtEscrowOf[_investmentIndex];
+        ethEscrowOf[_investmentIndex] = 0;
+        usdtEscrowOf[_investmentIndex] = 0;
+        totalEthEscrow -= ethAmount;
+        totalUsdtEscrow -= usdtAmount;
+        emit PhaseFundsWithdrawn(_investmentIndex, ethAmount, usdtAmount);
+        if (usdtAmount > 0) {
+            usdtToken.safeTransfer(wallet, usdtAmount);
+        }
+        if (ethAmount > 0) {
+            wallet.sendValue(ethAmount);
+        }
+    }
+
+    /**
+     * @dev Refunds the ETH & USDT paid by the caller in a phase which ended below its soft cap
+     * - the tokens bought are removed from the caller's allocation, the refund reverts if NewSolhubInvestor
+     * refuses: once its TGE time is reached or while it is paused
+     */
+    function claimRefund(uint8 _investmentIndex)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        Phase memory phase = phases[_investmentIndex];
+        require(
+            phase.softCap > 0 &&
+                getCurrentTime() >= phase.endTime &&
+                phase.tokensSold < phase.softCap,
+            "Refunds not available"
+        );
+        Contribution memory contribution = contributions[_investmentIndex][msg.sender];
+        require(contribution.tokens > 0, "Nothing to refund");
+        delete contributions[_investmentIndex][msg.sender];
+        totalTokensSold -= contribution.tokens;
+        ethEscrowOf[_investmentIndex] -= contribution.ethPaid;
+        usdtEscrowOf[_investmentIndex] -= contribution.usdtPaid;
+        totalEthEscrow -= contribution.ethPaid;
+        totalUsdtEscrow -= contribution.usdtPaid;
+        emit Refunded(
+            msg.sender,
+            _investmentIndex,
+            contribution.ethPaid,
+            contribution.usdtPaid,
+            contribution.tokens
+        );
+        investorContract.removeInvestment(msg.sender, _investmentIndex, contribution.tokens);
+        if (contribution.usdtPaid > 0) {
+            usdtToken.safeTransfer(msg.sender, contribution.usdtPaid);
+        }
+        if (contribution.ethPaid > 0) {
+            address payable buyer = payable(msg.sender);
+            buyer.sendValue(contribution.ethPaid);
+        }
+    }
+
+    /**
+     * @dev Allows only a KYC admin to add or remove buyers who passed KYC, KYC admins hold {KYC_ADMIN_ROLE}
+     * @param _accounts addresses of the buyers
+     * @param _isWhitelisted whether the buyers may purchase
+     */
+    function setWhitelisted(address[] calldata _accounts, bool _isWhitelisted)
+        external
+        onlyRole(KYC_ADMIN_ROLE)
+    {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            isWhitelisted[_accounts[i]] = _isWhitelisted;
+            emit WhitelistUpdated(_accounts[i], _isWhitelisted);
+        }
+    }
+
+    /**
+     * @dev Allows only the treasury role to update the address receiving the payments
+     */
+    function setWallet(address payable _wallet) public onlyRole(TREASURY_ROLE) {
+        require(_wallet != address(0), "Invalid Address");
+        wallet = _wallet;
+        emit WalletUpdated(_wallet);
+    }
+
+    /**
+     * @dev Allows only an admin to update the number of seconds after which the answers of the feeds are stale
+     */
+    function setPriceFeedMaxAges(uint256 _ethUsdMaxAge, uint256 _usdtMaxAge)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(_ethUsdMaxAge > 0 && _usdtMaxAge > 0, "Max age is 0");
+        ethUsdFeed.maxAge = _ethUsdMaxAge;
+        usdtFeed.maxAge = _usdtMaxAge;
+        emit PriceFeedMaxAgesUpdated(_ethUsdMaxAge, _usdtMaxAge);
+    }
+
+    /**
+     * @dev Allows only a pauser to pause the purchases & refunds
+     */
+    function pauseContract() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Allows only a pauser to resume the purchases & refunds
+     */
+    function unPauseContract() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Returns the amount of `_token`, or of ETH for address zero, the treasury role can rescue: the ETH & USDT
+     * held in escrow for the phases with a soft cap are left out
+     */
+    function rescuableBalance(address _token) public view override returns (uint256) {
+        uint256 escrow;
+        if (_token == address(0)) {
+            escrow = totalEthEscrow;
+        } else if (_token == address(usdtToken)) {
+            escrow = totalUsdtEscrow;
+        }
+        uint256 balance = super.rescuableBalance(_token);
+        return balance > escrow ? balance - escrow : 0;
+    }
+
+    /**
+     * @dev Returns true while the phase of `_investmentIndex` sells
+     */
+    function isPhaseActive(uint8 _investmentIndex) public view returns (bool) {
+        Phase memory phase = phases[_investmentIndex];
+        return
+            phase.endTime != 0 &&
+            getCurrentTime() >= phase.startTime &&
+            getCurrentTime() < phase.endTime;
+    }
+
+    /**
+     * @dev Returns the USD price of one ETH, with 18 decimals
+     */
+    function getETHPrice() public view returns (uint256) {
+        return getLatestPrice(ethUsdFeed);
+    }
+
+    /**
+     * @dev Returns the USD price of one USDT, with 18 decimals
+     */
+    function getUSDTPrice() public view returns (uint256) {
+        uint256 price = getLatestPrice(usdtFeed);
+        if (isUsdtFeedEthQuoted) {
+            price = (price * getETHPrice()) / 1 ether;
+        }
+        return price;
+    }
+
+    /**
+     * @dev Returns the number of tokens `_ethAmount` wei buys in the phase of `_investmentIndex`
+     */
+    function getTokensForETH(uint8 _investmentIndex, uint256 _ethAmount)
+        external
+        view
+        returns (uint256)
+    {
+        return getTokensForUSD(_investmentIndex, (_ethAmount * getETHPrice()) / 1 ether);
+    }
+
+    /**
+     * @dev Returns the number of tokens `_usdtAmount` USDT buys in the phase of `_investmentIndex`
+     */
+    function getTokensForUSDT(uint8 _investmentIndex, uint256 _usdtAmount)
+        external
+        view
+        returns (uint256)
+    {
+        return getTokensForUSD(_investmentIndex, getUSDTValue(_usdtAmount));
+    }
+
+    /**
+     * @dev To check a purchase against the phase & credit the tokens `_usdValue` buys to the allocation of `_buyer`
+     */
+    function purchase(
+        address _buyer,
+        uint8 _investmentIndex,
+        uint256 _usdValue,
+        uint256 _minTokens
+    ) internal returns (uint256 tokens) {
+        require(isPhaseActive(_investmentIndex), "Phase not active");
+        require(isWhitelisted[_buyer], "Buyer not whitelisted");
+        Phase storage phase = phases[_investmentIndex];
+        Contribution storage contribution = contributions[_investmentIndex][_buyer];
+        uint256 usdValue = contribution.usdValue + _usdValue;
+        require(usdValue >= phase.minContribution, "Below min contribution");
+        require(usdValue <= phase.maxContribution, "Above max contribution");
+        tokens = getTokensForUSD(_investmentIndex, _usdValue);
+        require(tokens > 0, "Purchase too small");
+        require(tokens >= _minTokens, "Tokens below minimum");
+        require(phase.tokensSold + tokens <= phase.hardCap, "Phase hard cap exceeded");
+        phase.tokensSold += tokens;
+        contribution.tokens += tokens;
+        contribution.usdValue = usdValue;
+        totalTokensSold += tokens;
+        investorContract.addInvestment(_buyer, _investmentIndex, tokens);
+    }
+
+    /**
+     * @dev Returns the number of tokens worth `_usdValue` in the phase of `_investmentIndex`, with 18 decimals
+     */
+    function getTokensForUSD(uint8 _investmentIndex, uint256 _usdValue)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 tokenPrice = phases[_investmentIndex].tokenPrice;
+        require(tokenPrice > 0, "Phase not configured");
+        return (_usdValue * 1 ether) / tokenPrice;
+    }
+
+    // solhint-disable-next-line no-empty-blocks
+    function _authorizeRescue() internal view override onlyRole(TREASURY_ROLE) {}
+
+    /**
+     * @dev Returns the USD value of `_usdtAmount` USDT, with 18 decimals
+     */
+    function getUSDTValue(uint256 _usdtAmount) internal view returns (uint256) {
+        return (_usdtAmount * getUSDTPrice()) / 10**usdtToken.decimals();
+    }
+
+    /**
+     * @dev Returns the latest answer of a feed with 18 decimals
+     * - reverts if the answer is not positive, comes from an incomplete round or is older than the max age
+     */
+    function getLatestPrice(PriceFeed memory _feed)
+        internal
+        view
+        returns (uint256)
+    {
+        (
+            uint80 roundId,
+            int256 answer,
+            ,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) = _feed.aggregator.latestRoundData();
+        require(answer > 0, "Invalid feed price");
+        require(
+            updatedAt != 0 && answeredInRound >= roundId,
+            "Incomplete feed round"
+        );
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp - updatedAt <= _feed.maxAge, "Stale feed price");
+        return uint256(answer) * 10**(18 - _feed.aggregator.decimals());
+    }
+
+    /**
+     * @dev To return the current time
+     */
+    function getCurrentTime() internal view returns (uint256) {
+        // solhint-disable-next-line not-rely-on-time
+        return block.timestamp;
+    }
+}
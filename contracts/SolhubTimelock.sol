@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "./Rescuable.sol";
+
+/// @title SolhubTimelock
+/// @notice Delays the admin actions of Solhub {mint, forceBurn, updateDecimals, finalizeDecimals}
+/// @dev Deployed holding MINTER_ROLE, BURNER_ROLE & DEFAULT_ADMIN_ROLE of Solhub, so those actions, granting the
+/// roles included, only run through it. An action goes through three stages, each with its event:
+/// - a proposer queues it with {schedule} ({CallScheduled}, {CallSalt})
+/// - an executor runs it with {execute} once `getMinDelay()` has passed ({CallExecuted})
+/// - until then a proposer can drop it with {cancel} ({Cancelled})
+/// Funds sent to the timelock are rescued the same way, by queuing a call of {rescue} on the timelock itself.
+contract SolhubTimelock is TimelockController, Rescuable {
+    /**
+     * @dev The timelock administers itself: changing the delay or the proposers & executors is an action
+     * queued like the others
+     * @param minDelay Minimum number of seconds between queuing and executing an action
+     * @param proposers Accounts which queue & cancel actions
+     * @param executors Accounts which execute ready actions, address zero lets anyone execute them
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors
+        // solhint-disable-next-line no-empty-blocks, func-visibility
+    ) TimelockController(minDelay, proposers, executors, address(0)) {}
+
+    function _authorizeRescue() internal view override {
+        require(msg.sender == address(this), "Caller must be timelock");
+    }
+}
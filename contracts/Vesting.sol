@@ -2,11 +2,19 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ClaimSignatures.sol";
+import "./Rescuable.sol";
 
 /// @title SolhubInvestor
 /// @notice Token allocation contract for Investor
-contract Vesting is Ownable {
+/// @dev Deployed behind a TransparentUpgradeableProxy. An upgrade may only append state variables, and members
+/// at the end of the structs, which are only stored as mapping values.
+/// Claims pull the tokens from `tokenHolder`, so any SHUB the contract holds was sent by mistake and can be
+/// rescued.
+contract Vesting is Initializable, AccessControl, ClaimSignatures, Rescuable {
     /**
      * @dev Struct to store the investment type
      * { MARKETING, ADVISORS, TEAM, RESERVES, MINING_REWARDS, EXCHANGE_LIQUIDITY & ECOSYSTEM }
@@ -28,6 +36,30 @@ contract Vesting is Ownable {
         uint256 investmentTimestamp;
     }
 
+    /**
+     * @dev Struct to store the definition of a round
+     * @param vestingDuration Number of releases over which the allocation vests
+     * @param lockPeriod Number of release intervals after the listing before the first release
+     * @param tgePercent Percentage of tokens the investor can claim at the listing (TGE)
+     * @param tokenPercent Percentage of the allocation released at every release
+     * @param releaseInterval Number of seconds between two releases, 30 days for monthly releases
+     * @param isFrozen Boolean indicating whether the round stopped accepting allocations
+     * @param isRevocable Boolean indicating whether an allocation manager can revoke allocations of the round
+     * @param allocationCap Maximum number of tokens which can be allocated in the round
+     * @param totalAllocated Number of tokens allocated in the round so far
+     */
+    struct Round {
+        uint8 vestingDuration;
+        uint8 lockPeriod;
+        uint8 tgePercent;
+        uint8 tokenPercent;
+        uint32 releaseInterval;
+        bool isFrozen;
+        bool isRevocable;
+        uint256 allocationCap;
+        uint256 totalAllocated;
+    }
+
     /**
      * @dev Struct to store allocation details of investors
      * @param investmentTypeId Will be either of the below items
@@ -39,6 +71,7 @@ contract Vesting is Ownable {
      * @param totalTGETokens Number of TGE tokens the investor will get
      * @param totalTokensClaimed Number of tokens claimed by investor
      * @param isTGETokenClaimed Boolean indicating whethe the investor has claimed TGE tokens
+     * @param revokedTimestamp Timestamp when the allocation was revoked, 0 while it is not revoked
      */
     struct InvestorAllocation {
         uint8 investmentTypeId;
@@ -47,16 +80,35 @@ contract Vesting is Ownable {
         uint256 totalTokensClaimed;
         uint256 lastWithdrawnTimestamp;
         bool isTGETokenClaimed;
+        uint256 revokedTimestamp;
     }
 
-    // Decimal representation of different rounds
-    uint8 private constant MARKETING = 0;
-    uint8 private constant ADVISORS = 1;
-    uint8 private constant TEAM = 2;
-    uint8 private constant RESERVES = 3;
-    uint8 private constant MINING_REWARDS = 4;
-    uint8 private constant EXCHANGE_LIQUIDITY = 5;
-    uint8 private constant ECOSYSTEM = 6;
+    /**
+     * @dev Struct returned by {getVestingStatus} & {getVestingStatuses}
+     * - vested but unclaimed tokens are `claimableTGETokens + claimableVestingTokens`
+     * @param investor address of the investor
+     * @param round index of the round
+     * @param totalTokensAllocated Total tokens allocated to the investor in the round
+     * @param totalTokensClaimed Number of tokens claimed so far
+     * @param vestedTokens Number of tokens released so far, claimed or not
+     * @param claimableTGETokens TGE tokens claimable now through {claimTGETokens}
+     * @param claimableVestingTokens vesting tokens claimable now through {claimVestingTokens}
+     * @param lockedTokens Number of tokens not released yet
+     * @param nextUnlockTime Timestamp from which more tokens are claimable, 0 if none or the listing time is not set
+     * @param nextUnlockTokens Number of tokens released at `nextUnlockTime`
+     */
+    struct VestingStatus {
+        address investor;
+        uint8 round;
+        uint256 totalTokensAllocated;
+        uint256 totalTokensClaimed;
+        uint256 vestedTokens;
+        uint256 claimableTGETokens;
+        uint256 claimableVestingTokens;
+        uint256 lockedTokens;
+        uint256 nextUnlockTime;
+        uint256 nextUnlockTokens;
+    }
 
     // PERCENT ARE DEFINED IN TERMS OF 10000
     // i.e. 1% = 10000
@@ -65,48 +117,335 @@ contract Vesting is Ownable {
     uint256 private constant DIVISION_FACTOR = 1_000_000;
     uint256 private constant DAYS_IN_YEAR = 365;
 
+    // Adds & revokes allocations, manages the rounds & their listing times
+    bytes32 public constant ALLOCATION_MANAGER_ROLE = keccak256("ALLOCATION_MANAGER_ROLE");
+    // Sets the token holder & the treasury, rescues the funds sent to the contract by mistake
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
     IERC20 public solhubTokenContract;
+    // Receives the unvested tokens of revoked allocations
+    address public treasury;
+    // Holds the tokens of every allocation, claims are paid from its allowance to the contract
+    address public tokenHolder;
 
     mapping(address => mapping(uint8 => InvestmentType))
         public investorsInvestmentType;
     mapping(address => mapping(uint8 => InvestorAllocation))
         public investorsInvestmentDetails;
     mapping(uint8 => uint256) public listingTimeOf;
+    mapping(uint8 => Round) public rounds;
+    uint8 public roundCount;
+    mapping(address => address) public pendingBeneficiaryOf;
+    // Merkle root of the (address, round, amount) allocations of a round, see {initializeAllocation}
+    mapping(uint8 => bytes32) public allocationRootOf;
+    mapping(address => mapping(uint8 => bool)) public isAllocationLeafClaimed;
+
+    event RoundAdded(
+        uint8 indexed round,
+        uint8 vestingDuration,
+        uint8 lockPeriod,
+        uint8 tgePercent,
+        uint8 tokenPercent,
+        uint32 releaseInterval,
+        uint256 allocationCap
+    );
+    event RoundAllocationCapUpdated(uint8 indexed round, uint256 allocationCap);
+    event RoundFrozen(uint8 indexed round);
+    event RoundRevocabilityUpdated(uint8 indexed round, bool isRevocable);
+    event TreasuryUpdated(address indexed treasury);
+    event TokenHolderUpdated(address indexed tokenHolder);
+    event AllocationRootUpdated(uint8 indexed round, bytes32 root);
+    event AllocationInitialized(address indexed investor, uint8 indexed round, uint256 amount);
+    event InvestmentAllocated(
+        address indexed investor,
+        uint8 indexed round,
+        uint256 amount,
+        uint256 totalTokensAllocated,
+        uint256 totalTGETokens
+    );
+    event TokensClaimed(
+        address indexed investor,
+        uint8 indexed round,
+        uint256 tgeTokens,
+        uint256 vestingTokens
+    );
+    event ListingTimeUpdated(uint8 indexed round, uint256 listingTime);
+    event BeneficiaryChangeProposed(address indexed investor, address indexed newBeneficiary);
+    event BeneficiaryChangeCancelled(address indexed investor, address indexed newBeneficiary);
+    event BeneficiaryChanged(
+        address indexed previousBeneficiary,
+        address indexed newBeneficiary,
+        address acceptedBy
+    );
+    event AllocationRevoked(
+        address indexed investor,
+        uint8 indexed round,
+        uint256 vestedTokens,
+        uint256 unvestedTokens,
+        address treasury
+    );
+
+    modifier onlyExistingRound(uint8 _round) {
+        require(_round < roundCount, "Round does not exist");
+        _;
+    }
 
     // Since there are multiple rounds and each round has a different lock period thus,
     // instead of modifier it will be covered using require statements
 
     /**
-     * @dev Sets the values for {solhubTokenAddress}
+     * @dev The implementation is only used through a proxy, it cannot be initialized itself
+     */
+    constructor() EIP712("Vesting", "1") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Sets the values for {solhubTokenAddress} and adds the default rounds
+     * { MARKETING, ADVISORS, TEAM, RESERVES, MINING_REWARDS, EXCHANGE_LIQUIDITY & ECOSYSTEM }
+     * with monthly releases and no allocation cap, ADVISORS & TEAM allocations are revocable,
+     * once when the proxy is deployed
+     * The deployer holds every role and is the initial token holder and treasury
      */
-    constructor(address solhubTokenAddress) {
+    function initialize(address solhubTokenAddress) external initializer {
         require(
             solhubTokenAddress != address(0),
             "SHUB address is address zero."
         );
         solhubTokenContract = IERC20(solhubTokenAddress);
+        treasury = msg.sender;
+        tokenHolder = msg.sender;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ALLOCATION_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+
+        uint256 uncapped = type(uint256).max;
+        _addRound(12, 1, 5, 5, 30 days, uncapped); // MARKETING
+        _addRound(12, 6, 0, 5, 30 days, uncapped); // ADVISORS
+        _addRound(12, 12, 0, 10, 30 days, uncapped); // TEAM
+        _addRound(12, 6, 0, 10, 30 days, uncapped); // RESERVES
+        _addRound(12, 1, 0, 5, 30 days, uncapped); // MINING_REWARDS
+        _addRound(12, 0, 0, 100, 30 days, uncapped); // EXCHANGE_LIQUIDITY
+        _addRound(12, 6, 0, 10, 30 days, uncapped); // ECOSYSTEM
+        rounds[1].isRevocable = true; // ADVISORS
+        rounds[2].isRevocable = true; // TEAM
+    }
+
+    /**
+     * @dev To add a new round, the round gets the next free index
+     * Rounds cannot be changed once added, apart from their allocation cap and frozen status
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     */
+    function addRound(
+        uint8 _vestingDuration,
+        uint8 _lockPeriod,
+        uint8 _tgePercent,
+        uint8 _tokenPercent,
+        uint32 _releaseInterval,
+        uint256 _allocationCap
+    ) public onlyRole(ALLOCATION_MANAGER_ROLE) returns (uint8) {
+        return _addRound(
+            _vestingDuration,
+            _lockPeriod,
+            _tgePercent,
+            _tokenPercent,
+            _releaseInterval,
+            _allocationCap
+        );
+    }
+
+    /**
+     * @dev To update the maximum number of tokens which can be allocated in a round
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     * - the cap cannot be lower than the tokens already allocated in the round
+     */
+    function updateRoundAllocationCap(uint8 _round, uint256 _allocationCap)
+        public
+        onlyRole(ALLOCATION_MANAGER_ROLE)
+        onlyExistingRound(_round)
+    {
+        require(_allocationCap >= rounds[_round].totalAllocated, "Cap below allocated tokens");
+        rounds[_round].allocationCap = _allocationCap;
+        emit RoundAllocationCapUpdated(_round, _allocationCap);
+    }
+
+    /**
+     * @dev To stop a round from accepting new allocations, existing allocations keep vesting
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     */
+    function freezeRound(uint8 _round) public onlyRole(ALLOCATION_MANAGER_ROLE) onlyExistingRound(_round) {
+        require(!rounds[_round].isFrozen, "Round already frozen");
+        rounds[_round].isFrozen = true;
+        emit RoundFrozen(_round);
+    }
+
+    /**
+     * @dev To allow or forbid the revocation of the allocations of a round
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     */
+    function setRoundRevocable(uint8 _round, bool _isRevocable)
+        public
+        onlyRole(ALLOCATION_MANAGER_ROLE)
+        onlyExistingRound(_round)
+    {
+        rounds[_round].isRevocable = _isRevocable;
+        emit RoundRevocabilityUpdated(_round, _isRevocable);
+    }
+
+    /**
+     * @dev To update the address receiving the unvested tokens of revoked allocations
+     *
+     * Requirements:
+     * - invocation can be done, only by the treasury role.
+     */
+    function setTreasury(address _treasury) public onlyRole(TREASURY_ROLE) {
+        require(_treasury != address(0), "Treasury is address zero");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev To update the address holding the tokens of every allocation, it must approve the contract
+     * for the claims & revocations
+     *
+     * Requirements:
+     * - invocation can be done, only by the treasury role.
+     */
+    function setTokenHolder(address _tokenHolder) public onlyRole(TREASURY_ROLE) {
+        require(_tokenHolder != address(0), "Token holder is address zero");
+        tokenHolder = _tokenHolder;
+        emit TokenHolderUpdated(_tokenHolder);
+    }
+
+    /**
+     * @dev To revoke the allocation of an investor in a revocable round, vesting stops at the current
+     * timestamp. Tokens vested so far stay claimable and the unvested remainder is sent to the treasury.
+     * TGE tokens count as vested once the round is listed.
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     */
+    function revoke(
+        address _investor,
+        uint8 _round
+    ) public onlyRole(ALLOCATION_MANAGER_ROLE) onlyExistingRound(_round) {
+        Round storage round = rounds[_round];
+        require(round.isRevocable, "Round is not revocable");
+        InvestorAllocation storage investorAllocation = investorsInvestmentDetails[_investor][_round];
+        require(investorAllocation.revokedTimestamp == 0, "Allocation already revoked");
+        require(investorAllocation.totalTokensAllocated > 0, "No allocation to revoke");
+
+        uint256 vestedTokens = 0;
+        if (isListed(_round)) {
+            vestedTokens = investorAllocation.totalTGETokens
+                + getVestedTokens(investorAllocation, round, listingTimeOf[_round]);
+        } else {
+            // TGE tokens of a round not listed yet are not vested
+            investorAllocation.totalTGETokens = 0;
+            investorAllocation.isTGETokenClaimed = true;
+        }
+        uint256 unvestedTokens = investorAllocation.totalTokensAllocated - vestedTokens;
+
+        investorAllocation.totalTokensAllocated = vestedTokens;
+        // solhint-disable-next-line not-rely-on-time
+        investorAllocation.revokedTimestamp = block.timestamp;
+        investorsInvestmentType[_investor][_round].totalTokenAllocation = vestedTokens;
+        round.totalAllocated -= unvestedTokens;
+
+        // The token holder funds every allocation, unvested tokens only move when the treasury is another address
+        if (unvestedTokens > 0 && treasury != tokenHolder) {
+            require(
+                solhubTokenContract.transferFrom(tokenHolder, treasury, unvestedTokens),
+                "Clawback failed"
+            );
+        }
+        emit AllocationRevoked(_investor, _round, vestedTokens, unvestedTokens, treasury);
+    }
+
+    /**
+     * @dev To propose a new address for all the allocations of the caller, the change takes effect once
+     * accepted by an allocation manager or by the new address. A new proposal replaces the pending one.
+     */
+    function proposeBeneficiaryChange(address _newBeneficiary) public {
+        require(_newBeneficiary != address(0), "Beneficiary is address zero");
+        require(_newBeneficiary != msg.sender, "Beneficiary is unchanged");
+        require(hasAllocation(msg.sender), "No allocation to move");
+        pendingBeneficiaryOf[msg.sender] = _newBeneficiary;
+        emit BeneficiaryChangeProposed(msg.sender, _newBeneficiary);
+    }
+
+    /**
+     * @dev To withdraw the pending beneficiary change of the caller
+     */
+    function cancelBeneficiaryChange() public {
+        address newBeneficiary = pendingBeneficiaryOf[msg.sender];
+        require(newBeneficiary != address(0), "No beneficiary change proposed");
+        delete pendingBeneficiaryOf[msg.sender];
+        emit BeneficiaryChangeCancelled(msg.sender, newBeneficiary);
+    }
+
+    /**
+     * @dev To accept the beneficiary change proposed by `_investor`. The allocations of every round move
+     * over intact, claimed totals and TGE flags included.
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager or the proposed address.
+     * - the new address cannot already be allocated in a round the investor is allocated in
+     */
+    function acceptBeneficiaryChange(address _investor) public {
+        address newBeneficiary = pendingBeneficiaryOf[_investor];
+        require(newBeneficiary != address(0), "No beneficiary change proposed");
+        require(
+            hasRole(ALLOCATION_MANAGER_ROLE, msg.sender) || msg.sender == newBeneficiary,
+            "Caller cannot accept the change"
+        );
+        delete pendingBeneficiaryOf[_investor];
+
+        for (uint8 round = 0; round < roundCount; round++) {
+            if (investorsInvestmentDetails[_investor][round].totalTokensAllocated == 0) {
+                continue;
+            }
+            require(
+                investorsInvestmentDetails[newBeneficiary][round].totalTokensAllocated == 0,
+                "Beneficiary already allocated"
+            );
+            investorsInvestmentDetails[newBeneficiary][round] = investorsInvestmentDetails[_investor][round];
+            investorsInvestmentType[newBeneficiary][round] = investorsInvestmentType[_investor][round];
+            delete investorsInvestmentDetails[_investor][round];
+            delete investorsInvestmentType[_investor][round];
+        }
+        emit BeneficiaryChanged(_investor, newBeneficiary, msg.sender);
     }
 
     /**
      * @dev To set listing time for different rounds
-     * After TGE owner will call this function to set listing time for that particular round
+     * After TGE an allocation manager will call this function to set listing time for that particular round
      *
      * Requirements:
-     * - invocation can be done, only by the contract owner.
+     * - invocation can be done, only by an allocation manager.
      */
     function setListingTime(
         uint8[] memory _rounds,
         uint256[] memory _listingTimestamps
-    ) public onlyOwner {
+    ) public onlyRole(ALLOCATION_MANAGER_ROLE) {
         require(_rounds.length == _listingTimestamps.length, "Params mismatch");
         for (uint256 i = 0; i < _rounds.length; i++) {
-            require(_rounds[i] < 7, "Round cannot exceed 7");
+            require(_rounds[i] < roundCount, "Round does not exist");
             require(
                 // solhint-disable-next-line not-rely-on-time
                 _listingTimestamps[i] > block.timestamp,
                 "Listing time is in the past"
             );
             listingTimeOf[_rounds[i]] = _listingTimestamps[i];
+            emit ListingTimeUpdated(_rounds[i], _listingTimestamps[i]);
         }
     }
 
@@ -114,40 +453,110 @@ contract Vesting is Ownable {
      * @dev Assign given number of tokens to an Investor for a specific round
      *
      * Requirements:
-     * - invocation can be done, only by the contract owner.
+     * - invocation can be done, only by an allocation manager.
      */
     function transferSHUBTo(
         address _investor,
         uint256 _noOfSHUBs,
         uint8 _round
-    ) public onlyOwner {
-        require(_round < 7, "Round cannot exceed 7");
+    ) public onlyRole(ALLOCATION_MANAGER_ROLE) onlyExistingRound(_round) {
         require(_investor != address(0), "Investor is address zero");
         require(_noOfSHUBs > 0, "SHUBs must be greater than 0");
-        updateInvestmentInfo(_investor, _noOfSHUBs, _round);
+        Round storage round = rounds[_round];
+        require(!round.isFrozen, "Round is frozen");
+        allocate(_investor, _noOfSHUBs, _round);
+    }
+
+    /**
+     * @dev To publish the Merkle root of the allocations of a round, investors then initialize their
+     * allocation with a proof instead of being added by {transferSHUBTo}.
+     * Leaves are keccak256(keccak256(abi.encode(investor, round, amount))). Publishing a new root keeps the
+     * allocations already initialized, a zero root stops initializations.
+     *
+     * Requirements:
+     * - invocation can be done, only by an allocation manager.
+     */
+    function setAllocationRoot(
+        uint8 _round,
+        bytes32 _root
+    ) public onlyRole(ALLOCATION_MANAGER_ROLE) onlyExistingRound(_round) {
+        allocationRootOf[_round] = _root;
+        emit AllocationRootUpdated(_round, _root);
+    }
+
+    /**
+     * @dev To initialize the allocation of an investor from the Merkle root of a round. Allocations of a
+     * frozen round can still be initialized as they were published before.
+     */
+    function initializeAllocation(
+        address _investor,
+        uint8 _round,
+        uint256 _amount,
+        bytes32[] calldata _proof
+    ) public onlyExistingRound(_round) {
+        bytes32 root = allocationRootOf[_round];
+        require(root != bytes32(0), "No allocation root");
+        require(!isAllocationLeafClaimed[_investor][_round], "Allocation already initialized");
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_investor, _round, _amount))));
+        require(MerkleProof.verify(_proof, root, leaf), "Invalid allocation proof");
+        require(_amount > 0, "SHUBs must be greater than 0");
+        isAllocationLeafClaimed[_investor][_round] = true;
+        allocate(_investor, _amount, _round);
+        emit AllocationInitialized(_investor, _round, _amount);
+    }
+
+    /**
+     * @dev To get the TGE amount of every round, initializing the caller's allocation of `_round` from its
+     * Merkle root on the first claim
+     */
+    function claimTGETokensWithProof(uint8 _round, uint256 _amount, bytes32[] calldata _proof) public {
+        if (!isAllocationLeafClaimed[msg.sender][_round]) {
+            initializeAllocation(msg.sender, _round, _amount, _proof);
+        }
+        claimTGETokens();
+    }
+
+    /**
+     * @dev To get the vesting tokens of `_round`, initializing the caller's allocation from the Merkle root
+     * of the round on the first claim
+     */
+    function claimVestingTokensWithProof(uint8 _round, uint256 _amount, bytes32[] calldata _proof) public {
+        if (!isAllocationLeafClaimed[msg.sender][_round]) {
+            initializeAllocation(msg.sender, _round, _amount, _proof);
+        }
+        claimVestingTokens(_round);
     }
 
     /**
      * @dev To get the TGE amount
-     * @notice Claims TGE tokens only for MARKETING as only that has tgePercent of 5%
+     * @notice Claims the TGE tokens of every round the caller is allocated in, TGE tokens of a round
+     * can be claimed once the listing time of that round is reached
      */
     function claimTGETokens() public {
-        // solhint-disable-next-line not-rely-on-time
-        require(listingTimeOf[MARKETING] > block.timestamp, "TGE not announced");
         uint256 amount = 0;
-        if (!investorsInvestmentDetails[msg.sender][MARKETING].isTGETokenClaimed) {
-            InvestorAllocation storage investorAllocation = investorsInvestmentDetails[msg.sender][MARKETING];
-            amount = investorAllocation.totalTGETokens;
-            investorAllocation.totalTokensClaimed += amount;
+        bool isPendingListing = false;
+        for (uint8 round = 0; round < roundCount; round++) {
+            InvestorAllocation storage investorAllocation = investorsInvestmentDetails[msg.sender][round];
+            if (investorAllocation.isTGETokenClaimed || investorAllocation.totalTGETokens == 0) {
+                continue;
+            }
+            if (!isListed(round)) {
+                isPendingListing = true;
+                continue;
+            }
+            amount += investorAllocation.totalTGETokens;
+            investorAllocation.totalTokensClaimed += investorAllocation.totalTGETokens;
             investorAllocation.isTGETokenClaimed = true;
+            emit TokensClaimed(msg.sender, round, investorAllocation.totalTGETokens, 0);
         }
+        require(amount > 0 || !isPendingListing, "TGE not announced");
         require(
             amount > 0,
             "TGE withdraw already processed"
         );
         require(
             solhubTokenContract.transferFrom(
-                owner(),
+                tokenHolder,
                 msg.sender,
                 amount
             ),
@@ -157,19 +566,21 @@ contract Vesting is Ownable {
 
     /**
      * @dev To get the invested tokens
+     * @notice Transfers every token vested since the listing of the round and not claimed yet,
+     * thus months which were not claimed add up
      */
     function claimVestingTokens(uint8 round) public {
         InvestorAllocation storage investorAllocation = investorsInvestmentDetails[msg.sender][round];
-        InvestmentType memory investmentType = investorsInvestmentType[msg.sender][round];
-        require(investorAllocation.totalTokensClaimed <= investorAllocation.totalTokensAllocated, "No tokens to claim");
-        uint256 withdrawalAmt = claimTokens(investorAllocation, investmentType);
+        require(investorAllocation.totalTokensClaimed < investorAllocation.totalTokensAllocated, "No tokens to claim");
+        uint256 withdrawalAmt = claimTokens(investorAllocation, rounds[round], listingTimeOf[round]);
         require(withdrawalAmt > 0, "Withdrawal already processed");
         // solhint-disable-next-line not-rely-on-time
         investorAllocation.lastWithdrawnTimestamp = block.timestamp;
         investorAllocation.totalTokensClaimed += withdrawalAmt;
+        emit TokensClaimed(msg.sender, round, 0, withdrawalAmt);
         require(
             solhubTokenContract.transferFrom(
-                owner(),
+                tokenHolder,
                 msg.sender,
                 withdrawalAmt
             ),
@@ -178,110 +589,350 @@ contract Vesting is Ownable {
     }
 
     /**
-     * @dev To update SEED investment information
+     * @dev To get the TGE & vesting tokens of `_round` with a claim signed off-chain by the investor,
+     * see {ClaimSignatures}
+     * @notice Can be submitted by anyone, tokens are sent to the investor. The TGE tokens of the round are
+     * claimed along with the vested ones, tokens still in the lock period are not claimable yet.
+     * Reverts if the claimable amount exceeds `_maxAmount`, unless it is 0.
      */
-     function updateInvestmentInfo(address _investor, uint256 _noOfSHUBs, uint8 _round) internal {
-        (
-            uint8 _indexId,
-            uint8 _vestingDuration,
-            uint8 _lockPeriod,
-            uint8 _tgePercent,
-            uint8 _tokenPercent
-        ) = getRoundConstants(_round);
-
-        // Since only MARKETING round has TGE & MARKETING is round 0
-        bool _isTGETokenClaimed = false;
-        if(_round != 0) {
-            _isTGETokenClaimed = true;
+    function claimWithSignature(
+        address _investor,
+        uint8 _round,
+        uint256 _maxAmount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public onlyExistingRound(_round) {
+        useClaimSignature(_investor, _round, _maxAmount, _nonce, _deadline, _signature);
+        require(isListed(_round), "Round not listed yet");
+        InvestorAllocation storage investorAllocation = investorsInvestmentDetails[_investor][_round];
+        require(investorAllocation.totalTokensClaimed < investorAllocation.totalTokensAllocated, "No tokens to claim");
+        uint256 tgeTokens = investorAllocation.isTGETokenClaimed ? 0 : investorAllocation.totalTGETokens;
+        investorAllocation.isTGETokenClaimed = true;
+        uint256 unlockedTokens = investorAllocation.totalTokensAllocated;
+        if (investorAllocation.revokedTimestamp == 0) {
+            unlockedTokens = investorAllocation.totalTGETokens +
+                getVestedTokens(investorAllocation, rounds[_round], listingTimeOf[_round]);
         }
+        require(unlockedTokens > investorAllocation.totalTokensClaimed, "Withdrawal already processed");
+        uint256 withdrawalAmt = unlockedTokens - investorAllocation.totalTokensClaimed;
+        checkClaimMaxAmount(withdrawalAmt, _maxAmount);
+        // solhint-disable-next-line not-rely-on-time
+        investorAllocation.lastWithdrawnTimestamp = block.timestamp;
+        investorAllocation.totalTokensClaimed += withdrawalAmt;
+        emit TokensClaimed(_investor, _round, tgeTokens, withdrawalAmt - tgeTokens);
+        require(
+            solhubTokenContract.transferFrom(
+                tokenHolder,
+                _investor,
+                withdrawalAmt
+            ),
+            "Withdraw Vesting Tokens failed"
+        );
+    }
 
-        uint256 investmentAmount = 
-                investorsInvestmentDetails[_investor][_round].totalTokensAllocated +
-                _noOfSHUBs;
-            // Update InvestmentType
-            investorsInvestmentType[_investor][_indexId] = InvestmentType({
-                indexId: _indexId,
-                vestingDuration: _vestingDuration,
-                lockPeriod: _lockPeriod,
-                tgePercent: _tgePercent,
-                tokenPercent: _tokenPercent,
-                totalTokenAllocation: investmentAmount,
-                // solhint-disable-next-line not-rely-on-time
-                investmentTimestamp: block.timestamp
-            });
-            // Update InvestorAllocation
-            investorsInvestmentDetails[_investor][_indexId] = InvestorAllocation({
-                investmentTypeId: _indexId,
-                totalTokensAllocated: investmentAmount,
-                totalTGETokens: getTokensBasedOnPercent(investmentAmount, _tgePercent),
-                totalTokensClaimed: 0,
-                isTGETokenClaimed: _isTGETokenClaimed,
-                // solhint-disable-next-line not-rely-on-time
-                lastWithdrawnTimestamp: 0
-            });
-     }
+    /**
+     * @dev Returns the vesting status of `_investor` in `_round`, computed like the claims would without
+     * sending a transaction
+     */
+    function getVestingStatus(address _investor, uint8 _round)
+        public
+        view
+        onlyExistingRound(_round)
+        returns (VestingStatus memory status)
+    {
+        InvestorAllocation memory investorAllocation = investorsInvestmentDetails[_investor][_round];
+        Round memory round = rounds[_round];
+        uint256 listingTime = listingTimeOf[_round];
+        status.investor = _investor;
+        status.round = _round;
+        status.totalTokensAllocated = investorAllocation.totalTokensAllocated;
+        status.totalTokensClaimed = investorAllocation.totalTokensClaimed;
+        // solhint-disable-next-line not-rely-on-time
+        status.vestedTokens = getUnlockedTokensAt(investorAllocation, round, listingTime, block.timestamp);
+        if (status.vestedTokens < investorAllocation.totalTokensClaimed) {
+            status.vestedTokens = investorAllocation.totalTokensClaimed;
+        }
+        if (!investorAllocation.isTGETokenClaimed && isListed(_round)) {
+            status.claimableTGETokens = investorAllocation.totalTGETokens;
+        }
+        status.claimableVestingTokens =
+            status.vestedTokens - investorAllocation.totalTokensClaimed - status.claimableTGETokens;
+        status.lockedTokens = investorAllocation.totalTokensAllocated - status.vestedTokens;
+
+        status.nextUnlockTime = getNextUnlockTime(investorAllocation, round, listingTime, status.lockedTokens);
+        if (status.nextUnlockTime != 0) {
+            status.nextUnlockTokens =
+                getUnlockedTokensAt(investorAllocation, round, listingTime, status.nextUnlockTime) -
+                status.vestedTokens;
+        }
+    }
+
+    /**
+     * @dev Returns the vesting status of many (investor, round) pairs, see {getVestingStatus}
+     */
+    function getVestingStatuses(address[] calldata _investors, uint8[] calldata _rounds)
+        public
+        view
+        returns (VestingStatus[] memory statuses)
+    {
+        require(_investors.length == _rounds.length, "Unequal arrays passed");
+        statuses = new VestingStatus[](_investors.length);
+        for (uint256 i = 0; i < _investors.length; i++) {
+            statuses[i] = getVestingStatus(_investors[i], _rounds[i]);
+        }
+    }
+
+    /**
+     * @dev To count an allocation against the cap of the round and add it to the investor
+     */
+    function allocate(address _investor, uint256 _noOfSHUBs, uint8 _round) internal {
+        Round storage round = rounds[_round];
+        require(
+            investorsInvestmentDetails[_investor][_round].revokedTimestamp == 0,
+            "Allocation is revoked"
+        );
+        require(
+            round.totalAllocated + _noOfSHUBs <= round.allocationCap,
+            "Round allocation cap exceeded"
+        );
+        round.totalAllocated += _noOfSHUBs;
+        updateInvestmentInfo(_investor, _noOfSHUBs, _round);
+    }
+
+    /**
+     * @dev To update SEED investment information
+     */
+    function updateInvestmentInfo(address _investor, uint256 _noOfSHUBs, uint8 _round) internal {
+        Round memory round = rounds[_round];
+
+        // Rounds without TGE have nothing to claim at TGE
+        bool _isTGETokenClaimed = round.tgePercent == 0;
+
+        InvestorAllocation memory previousAllocation = investorsInvestmentDetails[_investor][_round];
+        uint256 investmentAmount = previousAllocation.totalTokensAllocated + _noOfSHUBs;
+        // A top-up keeps what was already claimed, so it cannot be claimed a second time
+        if (previousAllocation.totalTokensAllocated > 0) {
+            _isTGETokenClaimed = previousAllocation.isTGETokenClaimed;
+        }
+        // Update InvestmentType
+        investorsInvestmentType[_investor][_round] = InvestmentType({
+            indexId: _round,
+            vestingDuration: round.vestingDuration,
+            lockPeriod: round.lockPeriod,
+            tgePercent: round.tgePercent,
+            tokenPercent: round.tokenPercent,
+            totalTokenAllocation: investmentAmount,
+            // solhint-disable-next-line not-rely-on-time
+            investmentTimestamp: block.timestamp
+        });
+        // Update InvestorAllocation
+        investorsInvestmentDetails[_investor][_round] = InvestorAllocation({
+            investmentTypeId: _round,
+            totalTokensAllocated: investmentAmount,
+            totalTGETokens: getTokensBasedOnPercent(investmentAmount, round.tgePercent),
+            totalTokensClaimed: previousAllocation.totalTokensClaimed,
+            isTGETokenClaimed: _isTGETokenClaimed,
+            lastWithdrawnTimestamp: previousAllocation.lastWithdrawnTimestamp,
+            revokedTimestamp: 0
+        });
+        emit InvestmentAllocated(
+            _investor,
+            _round,
+            _noOfSHUBs,
+            investmentAmount,
+            getTokensBasedOnPercent(investmentAmount, round.tgePercent)
+        );
+    }
 
     /**
-    * @dev To calculate the marketing tokens
-    */
+     * @dev To calculate the vesting tokens claimable at the current time
+     * @notice The first `tokenPercent` slice is released `lockPeriod` release intervals after the listing, then
+     * one slice every release interval. The last of the `vestingDuration` slices releases whatever is left of the
+     * allocation.
+     * TGE tokens count as unlocked only once claimed through {claimTGETokens}.
+     * A revoked allocation only holds tokens vested before its revocation, all of them are unlocked.
+     */
     function claimTokens(
         InvestorAllocation memory investorAllocation,
-        InvestmentType memory investmentType
-    ) 
+        Round memory round,
+        uint256 listingTime
+    )
     internal
     view
     returns
     (uint256)
     {
-        uint8 lockPeriod = investmentType.lockPeriod;
-        uint256 investmentTimestamp = investmentType.investmentTimestamp;
-        uint256 lastWithdrawnTimestamp = investorAllocation.lastWithdrawnTimestamp;
         // solhint-disable-next-line not-rely-on-time
-        require(((block.timestamp - investmentTimestamp) / 30 days) >= lockPeriod, "Cannot claim in lock period");
+        require(listingTime != 0 && listingTime <= block.timestamp, "Round not listed yet");
+        uint256 unlockedTokens = investorAllocation.totalTokensAllocated - investorAllocation.totalTGETokens;
+        if (investorAllocation.revokedTimestamp == 0) {
+            // solhint-disable-next-line not-rely-on-time
+            uint256 intervalsElapsed = (block.timestamp - listingTime) / round.releaseInterval;
+            require(intervalsElapsed >= round.lockPeriod, "Cannot claim in lock period");
+            unlockedTokens = getVestedTokens(investorAllocation, round, listingTime);
+        }
+        if (investorAllocation.isTGETokenClaimed) {
+            unlockedTokens += investorAllocation.totalTGETokens;
+        }
+        if (unlockedTokens <= investorAllocation.totalTokensClaimed) {
+            return 0;
+        }
+        return unlockedTokens - investorAllocation.totalTokensClaimed;
+    }
+
+    /**
+     * @dev To calculate the vesting tokens (TGE excluded) vested at the current time, 0 before the end of the
+     * lock period
+     */
+    function getVestedTokens(
+        InvestorAllocation memory investorAllocation,
+        Round memory round,
+        uint256 listingTime
+    ) internal view returns (uint256) {
         // solhint-disable-next-line not-rely-on-time
-        require((block.timestamp - lastWithdrawnTimestamp) >= 1, "Wait for 1 month, then claim");
-        uint256 claimableAmount = getTokensBasedOnPercent(
-            investorAllocation.totalTokensAllocated, investmentType.tokenPercent
+        return getVestedTokensAt(investorAllocation, round, listingTime, block.timestamp);
+    }
+
+    /**
+     * @dev {getVestedTokens} at `time`, which cannot be before the listing time
+     * - intended: the `tokenPercent` slices are not fitted to the vesting duration. The last release sends what
+     * they leave, 40% for MARKETING (5% at TGE, then 11 slices of 5%), and a round whose slices reach 100% sooner
+     * is fully vested early, TEAM after 10 of its 12 releases
+     */
+    function getVestedTokensAt(
+        InvestorAllocation memory investorAllocation,
+        Round memory round,
+        uint256 listingTime,
+        uint256 time
+    ) internal pure returns (uint256) {
+        uint256 intervalsElapsed = (time - listingTime) / round.releaseInterval;
+        if (intervalsElapsed < round.lockPeriod) {
+            return 0;
+        }
+        uint256 releases = intervalsElapsed - round.lockPeriod + 1;
+        uint256 vestingTokens = investorAllocation.totalTokensAllocated - investorAllocation.totalTGETokens;
+        if (releases >= round.vestingDuration) {
+            return vestingTokens;
+        }
+        uint256 vestedTokens = getTokensBasedOnPercent(
+            investorAllocation.totalTokensAllocated, round.tokenPercent
+        ) * releases;
+        return vestedTokens > vestingTokens ? vestingTokens : vestedTokens;
+    }
+
+    /**
+     * @dev To calculate the tokens (TGE included) released at `time`, claimed or not
+     */
+    function getUnlockedTokensAt(
+        InvestorAllocation memory investorAllocation,
+        Round memory round,
+        uint256 listingTime,
+        uint256 time
+    ) internal pure returns (uint256) {
+        if (listingTime == 0 || listingTime > time) {
+            return 0;
+        }
+        // A revoked allocation only holds released tokens
+        if (investorAllocation.revokedTimestamp != 0) {
+            return investorAllocation.totalTokensAllocated;
+        }
+        return investorAllocation.totalTGETokens + getVestedTokensAt(investorAllocation, round, listingTime, time);
+    }
+
+    /**
+     * @dev To get the next time at which more tokens of an allocation are released, 0 if none or the listing
+     * time is not set
+     * - the listing time, the end of the lock period or the next release interval
+     */
+    function getNextUnlockTime(
+        InvestorAllocation memory investorAllocation,
+        Round memory round,
+        uint256 listingTime,
+        uint256 lockedTokens
+    ) internal view returns (uint256) {
+        if (lockedTokens == 0 || listingTime == 0) {
+            return 0;
+        }
+        // solhint-disable-next-line not-rely-on-time
+        if (listingTime > block.timestamp) {
+            return listingTime;
+        }
+        if (investorAllocation.revokedTimestamp != 0) {
+            return 0;
+        }
+        // solhint-disable-next-line not-rely-on-time
+        uint256 nextInterval = (block.timestamp - listingTime) / round.releaseInterval + 1;
+        if (nextInterval < round.lockPeriod) {
+            nextInterval = round.lockPeriod;
+        }
+        return listingTime + nextInterval * round.releaseInterval;
+    }
+
+    /**
+     * @dev To store a new round under the next free index
+     */
+    function _addRound(
+        uint8 _vestingDuration,
+        uint8 _lockPeriod,
+        uint8 _tgePercent,
+        uint8 _tokenPercent,
+        uint32 _releaseInterval,
+        uint256 _allocationCap
+    ) internal returns (uint8) {
+        // solhint-disable-next-line indent
+        require(roundCount < type(uint8).max, "Too many rounds");
+        require(_vestingDuration > 0, "Vesting duration is 0");
+        require(_releaseInterval > 0, "Release interval is 0");
+        require(_tgePercent <= 100, "TGE percent exceeds 100");
+        require(_tokenPercent > 0 && _tokenPercent <= 100, "Invalid token percent");
+        uint8 round = roundCount;
+        rounds[round] = Round({
+            vestingDuration: _vestingDuration,
+            lockPeriod: _lockPeriod,
+            tgePercent: _tgePercent,
+            tokenPercent: _tokenPercent,
+            releaseInterval: _releaseInterval,
+            isFrozen: false,
+            isRevocable: false,
+            allocationCap: _allocationCap,
+            totalAllocated: 0
+        });
+        roundCount = round + 1;
+        emit RoundAdded(
+            round,
+            _vestingDuration,
+            _lockPeriod,
+            _tgePercent,
+            _tokenPercent,
+            _releaseInterval,
+            _allocationCap
         );
-        return claimableAmount;
-    }
-
-    /**
-     * @dev To return InvestmentType indexId
-     * @notice When ROUND is MARKETING then indexId = 0
-     * When ROUND is ADVISORS then indexId = 1
-     * When ROUND is TEAM then indexId = 2
-     * When ROUND is RESERVES then indexId = 3
-     * When ROUND is MINING_REWARDS then indexId = 4
-     * When ROUND is EXCHANGE_LIQUIDITY then indexId = 5
-     * When ROUND is ECOSYSTEM then indexId = 6
-     */
-    function getRoundConstants(uint8 round)
-        internal
-        pure
-        returns (
-            uint8 _indexId,
-            uint8 _vestingDuration,
-            uint8 _lockPeriod,
-            uint8 _tgePercent,
-            uint8 _tokenPercent
-        )
-    {
-        if (round == MARKETING) {
-            return (0, 12, 1, 5, 5);
-        } else if (round == ADVISORS) {
-            return (1, 12, 6, 0, 5);
-        } else if (round == TEAM) {
-            return (2, 12, 12, 0, 10);
-        } else if (round == RESERVES) {
-            return (3, 12, 6, 0, 10);
-        } else if (round == MINING_REWARDS) {
-            return (4, 12, 1, 0, 5);
-        } else if (round == EXCHANGE_LIQUIDITY) {
-            return (5, 12, 0, 0, 100);
-        } else {
-            return (6, 12, 6, 0, 10);
+        return round;
+    }
+
+    // solhint-disable-next-line no-empty-blocks
+    function _authorizeRescue() internal view override onlyRole(TREASURY_ROLE) {}
+
+    /**
+     * @dev To check whether an address holds an allocation in any round
+     */
+    function hasAllocation(address _investor) internal view returns (bool) {
+        for (uint8 round = 0; round < roundCount; round++) {
+            if (investorsInvestmentDetails[_investor][round].totalTokensAllocated > 0) {
+                return true;
+            }
         }
+        return false;
+    }
+
+    /**
+     * @dev To check whether the listing time of a round is set and reached
+     */
+    function isListed(uint8 _round) internal view returns (bool) {
+        uint256 listingTime = listingTimeOf[_round];
+        // solhint-disable-next-line not-rely-on-time
+        return listingTime != 0 && listingTime <= block.timestamp;
     }
 
     /**
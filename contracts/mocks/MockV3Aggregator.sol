@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/// @title MockV3Aggregator
+/// @notice Chainlink price feed whose rounds are set by the tests
+contract MockV3Aggregator is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
+    uint8 public override decimals;
+    uint80 public latestRound;
+    mapping(uint80 => Round) public rounds;
+
+    // solhint-disable-next-line func-visibility
+    constructor(uint8 _decimals, int256 _initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(_initialAnswer);
+    }
+
+    /**
+     * @dev Starts a new round answered now with `_answer`
+     */
+    function updateAnswer(int256 _answer) public {
+        // solhint-disable-next-line not-rely-on-time
+        updateRoundData(latestRound + 1, _answer, block.timestamp, block.timestamp);
+    }
+
+    /**
+     * @dev Sets the latest round, e.g. with an old `_updatedAt` to make the answer stale
+     */
+    function updateRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _updatedAt,
+        uint256 _startedAt
+    ) public {
+        setRoundData(_roundId, _answer, _updatedAt, _startedAt, _roundId);
+    }
+
+    /**
+     * @dev Sets the latest round with its own `_answeredInRound`, e.g. one answered in a previous round
+     */
+    function setRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _updatedAt,
+        uint256 _startedAt,
+        uint80 _answeredInRound
+    ) public {
+        latestRound = _roundId;
+        rounds[_roundId] = Round(_answer, _startedAt, _updatedAt, _answeredInRound);
+    }
+
+    function description() external pure override returns (string memory) {
+        return "MockV3Aggregator";
+    }
+
+    function version() external pure override returns (uint256) {
+        return 0;
+    }
+
+    function getRoundData(uint80 _roundId)
+        public
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        Round memory round = rounds[_roundId];
+        return (_roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return getRoundData(latestRound);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../NewSolhubInvestor.sol";
+import "../Vesting.sol";
+
+/// @title NewSolhubInvestorV2Mock
+/// @notice NewSolhubInvestor with a state variable appended, a compatible upgrade
+contract NewSolhubInvestorV2Mock is NewSolhubInvestor {
+    uint256 public upgradedValue;
+
+    function setUpgradedValue(uint256 _value) external {
+        upgradedValue = _value;
+    }
+}
+
+/// @title StorageSlotMock
+/// @notice Takes the first storage slot of the contracts inheriting from it
+contract StorageSlotMock {
+    uint256 public insertedValue;
+}
+
+/// @title VestingBadLayoutMock
+/// @notice Vesting with every state variable moved by one slot, an incompatible upgrade
+// solhint-disable-next-line no-empty-blocks
+contract VestingBadLayoutMock is StorageSlotMock, Vesting {}
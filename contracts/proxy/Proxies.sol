@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Compiles the OpenZeppelin proxy contracts, so scripts/deploy.js & the upgrade task get their artifacts.
+// NewSolhubInvestor & Vesting are deployed behind a TransparentUpgradeableProxy administered by a ProxyAdmin,
+// which keeps the upgrade logic out of the implementations.
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
@@ -1,41 +1,98 @@
 require("@nomiclabs/hardhat-waffle");
 require("solidity-coverage");
 require("@nomiclabs/hardhat-solhint");
+require("./tasks/allocations");
+require("./tasks/events");
+require("./tasks/timelock");
+require("./tasks/upgrades");
 
-const { TESTNET_PRIVATE_KEY, MAINNET_PRIVATE_KEY, INFURA_PROJECT_ID } = require('./.secrets.json');
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Credentials are read from the environment first and then from the optional .secrets.json file
+ */
+const loadSecrets = () => {
+  const secretsPath = path.join(__dirname, ".secrets.json");
+  const fileSecrets = fs.existsSync(secretsPath) ? require(secretsPath) : {};
+  const pick = (key) => process.env[key] || fileSecrets[key];
+  return {
+    TESTNET_PRIVATE_KEY: pick("TESTNET_PRIVATE_KEY"),
+    MAINNET_PRIVATE_KEY: pick("MAINNET_PRIVATE_KEY"),
+    INFURA_PROJECT_ID: pick("INFURA_PROJECT_ID"),
+  };
+};
+
+const { TESTNET_PRIVATE_KEY, MAINNET_PRIVATE_KEY, INFURA_PROJECT_ID } = loadSecrets();
+
+const infuraNetworks = {
+  mainnet: MAINNET_PRIVATE_KEY,
+  ropsten: TESTNET_PRIVATE_KEY,
+  rinkeby: TESTNET_PRIVATE_KEY,
+  goerli: TESTNET_PRIVATE_KEY,
+  kovan: TESTNET_PRIVATE_KEY,
+};
+
+const withHexPrefix = (key) => (key.startsWith("0x") ? key : `0x${key}`);
+
+/**
+ * Only networks whose private key & Infura project id are both known are configured
+ */
+const networks = Object.entries(infuraNetworks).reduce(
+  (configured, [name, privateKey]) => {
+    if (INFURA_PROJECT_ID && privateKey) {
+      configured[name] = {
+        url: `https://${name}.infura.io/v3/${INFURA_PROJECT_ID}`,
+        accounts: [withHexPrefix(privateKey)],
+      };
+    }
+    return configured;
+  },
+  {}
+);
+
+/**
+ * Fails early with the missing credentials when a skipped network is targeted
+ */
+const requestedNetwork = () => {
+  const flagIndex = process.argv.indexOf("--network");
+  if (flagIndex !== -1) {
+    return process.argv[flagIndex + 1];
+  }
+  return process.env.HARDHAT_NETWORK;
+};
+
+const targetNetwork = requestedNetwork();
+if (targetNetwork in infuraNetworks && !(targetNetwork in networks)) {
+  const keyName =
+    targetNetwork === "mainnet" ? "MAINNET_PRIVATE_KEY" : "TESTNET_PRIVATE_KEY";
+  throw new HardhatPluginError(
+    "hardhat.config.js",
+    `Network "${targetNetwork}" is not configured: set INFURA_PROJECT_ID and ${keyName} ` +
+      "in the environment or in .secrets.json"
+  );
+}
 
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
   solidity: {
-    version: "0.8.4",
-    optimizer: {
-      enabled: true,
-      runs: 200
+    // The EIP-712 helpers of OpenZeppelin used by the signed claims need 0.8.8 or later
+    version: "0.8.9",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      // Compared by the upgrade task before a proxy is upgraded
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
     }
   },
-  networks: {
-    mainnet: {
-      url: `https://mainnet.infura.io/v3/${INFURA_PROJECT_ID}`,
-      accounts: [`0x${MAINNET_PRIVATE_KEY}`],
-    },
-    ropsten: {
-      url: `https://ropsten.infura.io/v3/${INFURA_PROJECT_ID}`,
-      accounts: [`0x${TESTNET_PRIVATE_KEY}`],
-    },
-    rinkeby: {
-      url: `https://rinkeby.infura.io/v3/${INFURA_PROJECT_ID}`,
-      accounts: [`0x${TESTNET_PRIVATE_KEY}`],
-    },
-    goerli: {
-      url: `https://goerli.infura.io/v3/${INFURA_PROJECT_ID}`,
-      accounts: [`0x${TESTNET_PRIVATE_KEY}`],
-    },
-    kovan: {
-      url: `https://kovan.infura.io/v3/${INFURA_PROJECT_ID}`,
-      accounts: [`0x${TESTNET_PRIVATE_KEY}`],
-    },
-  }
+  networks,
 };
-
@@ -0,0 +1,340 @@
+// Deploys Solhub, SolhubTimelock, NewSolhubInvestor & Vesting and records them in deployments/<network>.json
+//
+// Re-running the script against the same network reuses every contract already present in the
+// manifest, so a deployment that failed half way can simply be run again.
+//
+// NewSolhubInvestor & Vesting are deployed behind TransparentUpgradeableProxy instances sharing one
+// ProxyAdmin, upgrade them with `npx hardhat upgrade`. PROXY_ADMIN_OWNER hands the ProxyAdmin over to
+// another account, e.g. SolhubTimelock or a multisig, the deployer owns it otherwise.
+//
+// Amounts are given in whole SHUB and can be overridden through the environment:
+//   SHUB_INITIAL_SUPPLY     supply minted to the deployer (default 1 Billion)
+//   SHUB_MAX_SUPPLY         cap on the total supply, mint can never exceed it (default the initial supply, which
+//                           rules mint out: set it higher to leave room for the timelocked mint)
+//   INVESTOR_FUNDING_SHUB   allowance granted to NewSolhubInvestor (default sum of SEED, STRATEGIC & PRIVATE caps)
+//   VESTING_FUNDING_SHUB    allowance granted to Vesting (default rest of the initial supply)
+//
+// The decimals of Solhub are finalized before the token admin role goes to SolhubTimelock, so they stay
+// 18 for good. SHUB_DECIMALS_OPEN=true leaves them open to updateDecimals until finalizeDecimals is queued.
+//
+// TGE_TIMESTAMP sets the TGE of NewSolhubInvestor (unix seconds), when left out an allocation manager sets
+// it later with setTGETime.
+//
+// Solhub.mint, forceBurn, updateDecimals & finalizeDecimals go through SolhubTimelock, which is handed MINTER_ROLE, BURNER_ROLE &
+// DEFAULT_ADMIN_ROLE of Solhub:
+//   TIMELOCK_MIN_DELAY            seconds between queuing and executing an action (default 2 days)
+//   TIMELOCK_PROPOSER_ADDRESSES   accounts queuing & cancelling actions (default the deployer)
+//   TIMELOCK_EXECUTOR_ADDRESSES   accounts executing ready actions (default the deployer)
+//
+// The deployer holds every other role of the contracts it deploys. Each role is then handed over to the
+// comma separated addresses of its variable, the deployer renouncing it unless listed:
+//   ADMIN_ADDRESSES               DEFAULT_ADMIN_ROLE of NewSolhubInvestor & Vesting, grants & revokes the other roles
+//   PAUSER_ADDRESSES              PAUSER_ROLE of NewSolhubInvestor
+//   ALLOCATION_MANAGER_ADDRESSES  ALLOCATION_MANAGER_ROLE of NewSolhubInvestor & Vesting
+//   TREASURY_ADDRESSES            TREASURY_ROLE of every contract
+// A role whose variable is left out stays with the deployer. The deployer remains the token holder
+// funding both vesting contracts, the treasury role can move it with setTokenHolder.
+const hre = require("hardhat");
+const {
+  loadManifest,
+  saveManifest,
+  serializeArgs,
+  DEPLOYMENTS_DIR,
+} = require("../utils/deployments");
+const { deployProxy, readStorageLayout } = require("../utils/proxy");
+
+const DEFAULT_INITIAL_SUPPLY = "1000000000"; // 1 Billion SHUB
+const DEFAULT_INVESTOR_FUNDING = "3200000"; // SEED 800K + STRATEGIC 1M + PRIVATE 1.4M
+const DEFAULT_TIMELOCK_MIN_DELAY = 2 * 24 * 60 * 60; // 2 days
+
+const ROLE_HOLDER_VARIABLES = {
+  PAUSER_ROLE: "PAUSER_ADDRESSES",
+  ALLOCATION_MANAGER_ROLE: "ALLOCATION_MANAGER_ADDRESSES",
+  TREASURY_ROLE: "TREASURY_ADDRESSES",
+  DEFAULT_ADMIN_ROLE: "ADMIN_ADDRESSES",
+};
+
+// The admin role comes last, the deployer needs it to grant the others
+const CONTRACT_ROLES = {
+  Solhub: ["MINTER_ROLE", "BURNER_ROLE", "TREASURY_ROLE", "DEFAULT_ADMIN_ROLE"],
+  NewSolhubInvestor: ["ALLOCATION_MANAGER_ROLE", "PAUSER_ROLE", "TREASURY_ROLE", "DEFAULT_ADMIN_ROLE"],
+  Vesting: ["ALLOCATION_MANAGER_ROLE", "TREASURY_ROLE", "DEFAULT_ADMIN_ROLE"],
+};
+
+// Roles of Solhub held by SolhubTimelock alone
+const TIMELOCKED_ROLES = ["MINTER_ROLE", "BURNER_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+/**
+ * Returns the comma separated addresses of `variable`, or undefined when it is not set
+ */
+const getAddresses = (env, variable) => {
+  if (!env[variable]) {
+    return undefined;
+  }
+  return env[variable].split(",").map((address) => {
+    try {
+      return hre.ethers.utils.getAddress(address.trim());
+    } catch (err) {
+      throw new Error(`${variable} must be a comma separated list of addresses, got "${address}"`);
+    }
+  });
+};
+
+/**
+ * Returns the holders of every role set in the environment, roles left out are missing from the result
+ */
+const getRoleHolders = (env) => {
+  const roleHolders = {};
+  for (const [role, variable] of Object.entries(ROLE_HOLDER_VARIABLES)) {
+    const holders = getAddresses(env, variable);
+    if (holders) {
+      roleHolders[role] = holders;
+    }
+  }
+  return roleHolders;
+};
+
+const getDeployConfig = (env = process.env) => {
+  const { parseEther } = hre.ethers.utils;
+  const initialSupply = parseEther(env.SHUB_INITIAL_SUPPLY || DEFAULT_INITIAL_SUPPLY);
+  const maxSupply = env.SHUB_MAX_SUPPLY ? parseEther(env.SHUB_MAX_SUPPLY) : initialSupply;
+  if (maxSupply.lt(initialSupply)) {
+    throw new Error(`SHUB_MAX_SUPPLY must be at least the initial supply, got "${env.SHUB_MAX_SUPPLY}"`);
+  }
+  const investorFunding = parseEther(env.INVESTOR_FUNDING_SHUB || DEFAULT_INVESTOR_FUNDING);
+  const vestingFunding = env.VESTING_FUNDING_SHUB
+    ? parseEther(env.VESTING_FUNDING_SHUB)
+    : initialSupply.sub(investorFunding);
+  const tgeTime = Number(env.TGE_TIMESTAMP || 0);
+  if (!Number.isSafeInteger(tgeTime) || tgeTime < 0) {
+    throw new Error(`TGE_TIMESTAMP must be a unix timestamp in seconds, got "${env.TGE_TIMESTAMP}"`);
+  }
+  const timelockMinDelay = Number(env.TIMELOCK_MIN_DELAY || DEFAULT_TIMELOCK_MIN_DELAY);
+  if (!Number.isSafeInteger(timelockMinDelay) || timelockMinDelay < 0) {
+    throw new Error(`TIMELOCK_MIN_DELAY must be a number of seconds, got "${env.TIMELOCK_MIN_DELAY}"`);
+  }
+  const proxyAdminOwner = getAddresses(env, "PROXY_ADMIN_OWNER");
+  if (proxyAdminOwner && proxyAdminOwner.length !== 1) {
+    throw new Error(`PROXY_ADMIN_OWNER must be a single address, got "${env.PROXY_ADMIN_OWNER}"`);
+  }
+  return {
+    initialSupply,
+    maxSupply,
+    decimalsOpen: env.SHUB_DECIMALS_OPEN === "true",
+    investorFunding,
+    vestingFunding,
+    tgeTime,
+    proxyAdminOwner: proxyAdminOwner && proxyAdminOwner[0],
+    timelockMinDelay,
+    timelockProposers: getAddresses(env, "TIMELOCK_PROPOSER_ADDRESSES"),
+    timelockExecutors: getAddresses(env, "TIMELOCK_EXECUTOR_ADDRESSES"),
+    roleHolders: getRoleHolders(env),
+  };
+};
+
+/**
+ * Returns `name` from the manifest if it holds a live deployment with the same args, undefined if it was
+ * never deployed
+ */
+async function reuse(manifest, name, serializedArgs) {
+  const entry = manifest.contracts[name];
+  if (!entry) {
+    return undefined;
+  }
+  const code = await hre.ethers.provider.getCode(entry.address);
+  if (code === "0x") {
+    throw new Error(`${name} in manifest has no code at ${entry.address}`);
+  }
+  if (JSON.stringify(entry.args) !== JSON.stringify(serializedArgs)) {
+    throw new Error(
+      `${name} was deployed with args ${JSON.stringify(entry.args)}, now ${JSON.stringify(serializedArgs)}`
+    );
+  }
+  console.log(`Reusing ${name} at ${entry.address}`);
+  return hre.ethers.getContractAt(name, entry.address);
+}
+
+/**
+ * Deploys `name` with `args` unless the manifest already holds a live deployment with the same args
+ */
+async function deployOrReuse(manifest, name, args, save) {
+  const serializedArgs = serializeArgs(args);
+  const reused = await reuse(manifest, name, serializedArgs);
+  if (reused) {
+    return reused;
+  }
+
+  const Factory = await hre.ethers.getContractFactory(name);
+  const contract = await Factory.deploy(...args);
+  await contract.deployed();
+  manifest.contracts[name] = {
+    address: contract.address,
+    args: serializedArgs,
+    transactionHash: contract.deployTransaction.hash,
+    blockNumber: (await contract.deployTransaction.wait()).blockNumber,
+  };
+  save();
+  console.log(`${name} deployed to: ${contract.address}`);
+  return contract;
+}
+
+/**
+ * Deploys `name` behind a proxy of `proxyAdmin` initialized with `args`, unless the manifest already holds
+ * it. The manifest keeps the implementation & its storage layout for the upgrade task
+ */
+async function deployProxyOrReuse(manifest, name, args, proxyAdmin, save) {
+  const serializedArgs = serializeArgs(args);
+  const reused = await reuse(manifest, name, serializedArgs);
+  if (reused) {
+    return reused;
+  }
+
+  const contract = await deployProxy(hre, name, args, proxyAdmin);
+  manifest.contracts[name] = {
+    address: contract.address,
+    args: serializedArgs,
+    transactionHash: contract.deployTransaction.hash,
+    blockNumber: (await contract.deployTransaction.wait()).blockNumber,
+    proxyAdmin: proxyAdmin.address,
+    implementation: await proxyAdmin.getProxyImplementation(contract.address),
+    storageLayout: await readStorageLayout(hre, name),
+  };
+  save();
+  console.log(`${name} deployed to: ${contract.address} (implementation ${manifest.contracts[name].implementation})`);
+  return contract;
+}
+
+/**
+ * Grants `spender` an allowance of `amount` SHUB from the deployer, the contracts pull their tokens with
+ * transferFrom(tokenHolder, ...)
+ */
+async function fund(manifest, token, owner, name, spender, amount, save) {
+  const allowance = await token.allowance(owner.address, spender.address);
+  if (allowance.gte(amount)) {
+    console.log(`${name} already funded with ${hre.ethers.utils.formatEther(allowance)} SHUB`);
+    return;
+  }
+  const tx = await token.connect(owner).approve(spender.address, amount);
+  await tx.wait();
+  manifest.funding[name] = {
+    spender: spender.address,
+    amount: amount.toString(),
+    transactionHash: tx.hash,
+  };
+  save();
+  console.log(`${name} funded with ${hre.ethers.utils.formatEther(amount)} SHUB`);
+}
+
+/**
+ * Finalizes the decimals of the token while the deployer still holds its admin role
+ */
+async function finalizeDecimals(token, owner) {
+  if (await token.decimalsFinalized()) {
+    return;
+  }
+  if (!(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address))) {
+    console.log("Solhub: decimals are not finalized, queue finalizeDecimals on SolhubTimelock");
+    return;
+  }
+  await (await token.connect(owner).finalizeDecimals()).wait();
+  console.log(`Solhub: decimals finalized at ${await token.decimals()}`);
+}
+
+/**
+ * Hands the roles of `name` over to their holders, granting missing roles first and then renouncing the
+ * roles of the deployer which it should not keep
+ */
+async function assignRoles(manifest, contract, owner, name, roleHolders, save) {
+  manifest.roles[name] = manifest.roles[name] || {};
+  for (const role of CONTRACT_ROLES[name]) {
+    const holders = roleHolders[role] || [owner.address];
+    const roleId = await contract[role]();
+    for (const holder of holders) {
+      if (!(await contract.hasRole(roleId, holder))) {
+        await (await contract.connect(owner).grantRole(roleId, holder)).wait();
+        console.log(`${name}: granted ${role} to ${holder}`);
+      }
+    }
+    if (!holders.includes(owner.address) && (await contract.hasRole(roleId, owner.address))) {
+      await (await contract.connect(owner).renounceRole(roleId, owner.address)).wait();
+      console.log(`${name}: deployer renounced ${role}`);
+    }
+    manifest.roles[name][role] = holders;
+    save();
+  }
+}
+
+/**
+ * Runs the whole deployment and returns the contract instances along with the manifest
+ * @param {object} [options]
+ * @param {string} [options.dir] directory holding the manifests
+ * @param {object} [options.env] environment to read the amounts from
+ */
+async function deploy({ dir = DEPLOYMENTS_DIR, env = process.env } = {}) {
+  const [owner] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(hre.network.name, chainId, dir);
+  const save = () => saveManifest(manifest, dir);
+  const {
+    initialSupply,
+    maxSupply,
+    decimalsOpen,
+    investorFunding,
+    vestingFunding,
+    tgeTime,
+    proxyAdminOwner,
+    timelockMinDelay,
+    timelockProposers,
+    timelockExecutors,
+    roleHolders,
+  } = getDeployConfig(env);
+  manifest.roles = manifest.roles || {};
+
+  console.log(`Deploying to ${hre.network.name} (${chainId}) from ${owner.address}`);
+
+  const solhub = await deployOrReuse(manifest, "Solhub", [initialSupply, maxSupply], save);
+  const timelock = await deployOrReuse(
+    manifest,
+    "SolhubTimelock",
+    [timelockMinDelay, timelockProposers || [owner.address], timelockExecutors || [owner.address]],
+    save
+  );
+  const proxyAdmin = await deployOrReuse(manifest, "ProxyAdmin", [], save);
+  const investor = await deployProxyOrReuse(
+    manifest,
+    "NewSolhubInvestor",
+    [solhub.address, tgeTime],
+    proxyAdmin,
+    save
+  );
+  const vesting = await deployProxyOrReuse(manifest, "Vesting", [solhub.address], proxyAdmin, save);
+
+  await fund(manifest, solhub, owner, "NewSolhubInvestor", investor, investorFunding, save);
+  await fund(manifest, solhub, owner, "Vesting", vesting, vestingFunding, save);
+
+  if (!decimalsOpen) {
+    await finalizeDecimals(solhub, owner);
+  }
+  const timelockedRoles = Object.fromEntries(TIMELOCKED_ROLES.map((role) => [role, [timelock.address]]));
+  await assignRoles(manifest, solhub, owner, "Solhub", { ...roleHolders, ...timelockedRoles }, save);
+  await assignRoles(manifest, investor, owner, "NewSolhubInvestor", roleHolders, save);
+  await assignRoles(manifest, vesting, owner, "Vesting", roleHolders, save);
+
+  if (proxyAdminOwner && (await proxyAdmin.owner()) !== proxyAdminOwner) {
+    await (await proxyAdmin.connect(owner).transferOwnership(proxyAdminOwner)).wait();
+    console.log(`ProxyAdmin: ownership transferred to ${proxyAdminOwner}`);
+  }
+
+  return { solhub, timelock, proxyAdmin, investor, vesting, manifest };
+}
+
+if (require.main === module) {
+  deploy()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deploy, getDeployConfig, CONTRACT_ROLES, TIMELOCKED_ROLES };
@@ -0,0 +1,240 @@
+// Hardhat tasks importing investor allocation lists into NewSolhubInvestor.addInvestmentDetails, or
+// turning them into Merkle trees for the allocation roots of NewSolhubInvestor & Vesting
+//
+// Every batch is written to a journal next to the deployment manifest before it is sent, so an
+// interrupted import is resumed by running the same command again.
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const {
+  readAllocationFile,
+  fileHash,
+  validateAllocations,
+  batchAllocations,
+} = require("../utils/allocations");
+const { DEPLOYMENTS_DIR, loadManifest } = require("../utils/deployments");
+const { buildAllocationTrees } = require("../utils/merkle");
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_ROUND_COUNT = 3;
+
+const defaultJournalPath = (networkName, file) =>
+  path.join(
+    DEPLOYMENTS_DIR,
+    `${networkName}-allocations-${path.basename(file, path.extname(file))}.journal.json`
+  );
+
+const saveJournal = (journalPath, journal) => {
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, `${JSON.stringify(journal, null, 2)}\n`);
+};
+
+/**
+ * Loads the journal of a previous run, or plans the batches of a new one
+ */
+const loadOrCreateJournal = (journalPath, file, contractAddress, batchSize, roundCount) => {
+  const hash = fileHash(file);
+  if (fs.existsSync(journalPath)) {
+    const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+    if (journal.fileHash !== hash || journal.contract !== contractAddress) {
+      throw new Error(
+        `${journalPath} belongs to another list or contract, remove it or pass --journal`
+      );
+    }
+    return journal;
+  }
+  const allocations = validateAllocations(readAllocationFile(file), { roundCount });
+  const batches = batchAllocations(allocations, batchSize).map((batch) => ({
+    ...batch,
+    status: "pending",
+  }));
+  return {
+    file: path.resolve(file),
+    fileHash: hash,
+    contract: contractAddress,
+    batches,
+  };
+};
+
+const resolveInvestorAddress = async (hre, investorAddress) => {
+  if (investorAddress) {
+    return hre.ethers.utils.getAddress(investorAddress);
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(hre.network.name, chainId);
+  if (!manifest.contracts.NewSolhubInvestor) {
+    throw new Error(`NewSolhubInvestor is not deployed on ${hre.network.name}, pass --investor`);
+  }
+  return manifest.contracts.NewSolhubInvestor.address;
+};
+
+/**
+ * Sends one batch, leaving out investors that are already vesting in the batch's round
+ */
+async function importBatch(hre, investor, token, batch, save) {
+  const tokenHolder = await investor.tokenHolder();
+  const addresses = [];
+  const amounts = [];
+  batch.skipped = [];
+  for (let i = 0; i < batch.addresses.length; i++) {
+    const details = await investor.investorsInvestmentDetails(batch.addresses[i], batch.round);
+    if (details.isVesting) {
+      batch.skipped.push(batch.addresses[i]);
+    } else {
+      addresses.push(batch.addresses[i]);
+      amounts.push(batch.amounts[i]);
+    }
+  }
+  if (addresses.length === 0) {
+    batch.status = "skipped";
+    save();
+    return;
+  }
+
+  const total = amounts.reduce((sum, amount) => sum.add(amount), hre.ethers.BigNumber.from(0));
+  const allowance = await token.allowance(tokenHolder, investor.address);
+  if (allowance.lt(total)) {
+    throw new Error(
+      `Batch ${batch.index} needs ${hre.ethers.utils.formatEther(total)} SHUB, ` +
+        `token holder allowance is ${hre.ethers.utils.formatEther(allowance)}`
+    );
+  }
+
+  const tx = await investor.addInvestmentDetails(addresses, amounts, batch.round);
+  batch.status = "sent";
+  batch.transactionHash = tx.hash;
+  save();
+  const receipt = await tx.wait();
+  batch.status = "confirmed";
+  batch.blockNumber = receipt.blockNumber;
+  save();
+}
+
+/**
+ * A batch sent by a previous run counts as done once its transaction is mined successfully
+ */
+async function isAlreadyMined(hre, batch) {
+  if (batch.status !== "sent" || !batch.transactionHash) {
+    return false;
+  }
+  const receipt = await hre.ethers.provider.getTransactionReceipt(batch.transactionHash);
+  if (receipt && receipt.status === 1) {
+    batch.status = "confirmed";
+    batch.blockNumber = receipt.blockNumber;
+    return true;
+  }
+  return false;
+}
+
+task("import-allocations", "Imports a CSV/JSON investor list into NewSolhubInvestor")
+  .addPositionalParam("file", "CSV or JSON file of address,amount,round rows")
+  .addOptionalParam("investor", "NewSolhubInvestor address, defaults to the deployment manifest")
+  .addOptionalParam("batchSize", "Investors per transaction", DEFAULT_BATCH_SIZE, types.int)
+  .addOptionalParam("journal", "Journal file used to resume an interrupted import")
+  .addFlag("dryRun", "Validate & plan the batches without sending transactions")
+  .setAction(async ({ file, investor, batchSize, journal, dryRun }, hre) => {
+    const investorAddress = await resolveInvestorAddress(hre, investor);
+    const investorContract = await hre.ethers.getContractAt("NewSolhubInvestor", investorAddress);
+    const journalPath = journal || defaultJournalPath(hre.network.name, file);
+    const state = loadOrCreateJournal(
+      journalPath,
+      file,
+      investorAddress,
+      batchSize,
+      await investorContract.investmentTypeCount()
+    );
+    const save = () => saveJournal(journalPath, state);
+
+    if (dryRun) {
+      state.batches.forEach((batch) =>
+        console.log(`Batch ${batch.index}: round ${batch.round}, ${batch.addresses.length} investors`)
+      );
+      return state;
+    }
+    save();
+
+    const token = await hre.ethers.getContractAt(
+      "Solhub",
+      await investorContract.solhubTokenContract()
+    );
+
+    for (const batch of state.batches) {
+      if (batch.status === "confirmed" || batch.status === "skipped") {
+        continue;
+      }
+      if (await isAlreadyMined(hre, batch)) {
+        save();
+        continue;
+      }
+      try {
+        await importBatch(hre, investorContract, token, batch, save);
+      } catch (err) {
+        batch.status = "failed";
+        batch.error = err.message;
+        save();
+        throw new Error(
+          `Batch ${batch.index} failed, rerun the task to resume from it: ${err.message}`
+        );
+      }
+      console.log(
+        `Batch ${batch.index} ${batch.status}: round ${batch.round}, ` +
+          `${batch.addresses.length - batch.skipped.length} added, ${batch.skipped.length} skipped`
+      );
+    }
+    return state;
+  });
+
+/**
+ * Writes `roots.json` with the root of every round and one `proofs/<address>.json` file per investor
+ */
+const writeAllocationTrees = (out, file, trees) => {
+  const byInvestor = {};
+  const roots = {};
+  Object.entries(trees).forEach(([round, tree]) => {
+    roots[round] = tree.root;
+    tree.entries.forEach(({ address, amount, proof }) => {
+      (byInvestor[address] = byInvestor[address] || []).push({
+        round: Number(round),
+        amount,
+        proof,
+      });
+    });
+  });
+
+  fs.mkdirSync(path.join(out, "proofs"), { recursive: true });
+  fs.writeFileSync(
+    path.join(out, "roots.json"),
+    `${JSON.stringify({ file: path.resolve(file), fileHash: fileHash(file), roots }, null, 2)}\n`
+  );
+  Object.entries(byInvestor).forEach(([address, allocations]) => {
+    fs.writeFileSync(
+      path.join(out, "proofs", `${address}.json`),
+      `${JSON.stringify({ address, allocations }, null, 2)}\n`
+    );
+  });
+  return { roots, investors: Object.keys(byInvestor).length };
+};
+
+task("build-allocation-tree", "Builds the Merkle roots & per-investor proofs of a CSV/JSON investor list")
+  .addPositionalParam("file", "CSV or JSON file of address,amount,round rows")
+  .addOptionalParam("out", "Output directory, defaults to <file>-merkle next to the list")
+  .addOptionalParam(
+    "roundCount",
+    "Number of rounds of the target contract, 3 for NewSolhubInvestor, 7 for Vesting",
+    DEFAULT_ROUND_COUNT,
+    types.int
+  )
+  .setAction(async ({ file, out, roundCount }) => {
+    const outDir =
+      out || path.join(path.dirname(file), `${path.basename(file, path.extname(file))}-merkle`);
+    const trees = buildAllocationTrees(
+      validateAllocations(readAllocationFile(file), { roundCount })
+    );
+    const { roots, investors } = writeAllocationTrees(outDir, file, trees);
+    Object.entries(roots).forEach(([round, root]) => console.log(`Round ${round}: ${root}`));
+    console.log(`Wrote the proofs of ${investors} investors to ${path.join(outDir, "proofs")}`);
+    return { roots, out: outDir };
+  });
+
+module.exports = { DEFAULT_BATCH_SIZE };
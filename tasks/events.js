@@ -0,0 +1,90 @@
+// Hardhat tasks indexing the events of the investor contracts into a JSON store and reporting on it
+//
+// The contracts of the deployment manifest are indexed from their deployment block. The legacy
+// SolhubInvestor is not deployed by scripts/deploy.js, pass its address with --solhub-investor.
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const { DEPLOYMENTS_DIR, loadManifest } = require("../utils/deployments");
+const {
+  DEFAULT_BATCH_SIZE,
+  loadStore,
+  saveStore,
+  indexEvents,
+  claimedPerRoundPerDay,
+  investorsWithUnclaimedTGE,
+} = require("../utils/eventIndexer");
+
+const INDEXED_CONTRACTS = ["NewSolhubInvestor", "Vesting", "SolhubInvestor"];
+
+const QUERIES = {
+  "claimed-per-day": claimedPerRoundPerDay,
+  "unclaimed-tge": investorsWithUnclaimedTGE,
+};
+
+const defaultStorePath = (networkName) => path.join(DEPLOYMENTS_DIR, `${networkName}-events.json`);
+
+/**
+ * Returns the `{ name, address, abi, fromBlock }` of every contract to index
+ */
+const resolveContracts = async (hre, solhubInvestor, fromBlock) => {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(hre.network.name, chainId);
+  const deployed = { ...manifest.contracts };
+  if (solhubInvestor) {
+    deployed.SolhubInvestor = { address: hre.ethers.utils.getAddress(solhubInvestor) };
+  }
+
+  const contracts = [];
+  for (const name of INDEXED_CONTRACTS) {
+    if (!deployed[name]) {
+      continue;
+    }
+    const { abi } = await hre.artifacts.readArtifact(name);
+    contracts.push({
+      name,
+      address: deployed[name].address,
+      abi,
+      fromBlock: fromBlock === undefined ? deployed[name].blockNumber || 0 : fromBlock,
+    });
+  }
+  if (contracts.length === 0) {
+    throw new Error(`No investor contract deployed on ${hre.network.name}, pass --solhub-investor`);
+  }
+  return contracts;
+};
+
+task("index-events", "Indexes the events of the investor contracts into a JSON store")
+  .addOptionalParam("store", "JSON store, defaults to deployments/<network>-events.json")
+  .addOptionalParam("solhubInvestor", "Address of the legacy SolhubInvestor to index as well")
+  .addOptionalParam("fromBlock", "First block of contracts not indexed yet", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to index, defaults to the latest one", undefined, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", DEFAULT_BATCH_SIZE, types.int)
+  .setAction(async ({ store, solhubInvestor, fromBlock, toBlock, batchSize }, hre) => {
+    const storePath = store || defaultStorePath(hre.network.name);
+    const contracts = await resolveContracts(hre, solhubInvestor, fromBlock);
+    const state = loadStore(storePath);
+    const added = await indexEvents(hre.ethers.provider, state, contracts, {
+      toBlock,
+      batchSize,
+      onBatch: () => saveStore(storePath, state),
+    });
+    saveStore(storePath, state);
+    console.log(`Indexed ${added} new events into ${storePath}`);
+    return state;
+  });
+
+task("events-report", "Answers a question from the indexed events")
+  .addPositionalParam("query", `One of ${Object.keys(QUERIES).join(", ")}`)
+  .addOptionalParam("store", "JSON store, defaults to deployments/<network>-events.json")
+  .addOptionalParam("contract", "Only report on this contract, e.g. Vesting")
+  .setAction(async ({ query, store, contract }, hre) => {
+    if (!QUERIES[query]) {
+      throw new Error(`Unknown query "${query}", expected one of ${Object.keys(QUERIES).join(", ")}`);
+    }
+    const rows = QUERIES[query](loadStore(store || defaultStorePath(hre.network.name)), { contract });
+    console.table(rows);
+    return rows;
+  });
+
+module.exports = { INDEXED_CONTRACTS };
@@ -0,0 +1,163 @@
+// Hardhat tasks queuing, listing, executing & cancelling the Solhub admin actions of SolhubTimelock
+//
+// Actions are `mint <account> <amount>`, `forceBurn <account> <amount>` (amounts in whole SHUB),
+// `updateDecimals <decimals>` and `finalizeDecimals`. The operations are found back from the CallScheduled events of the timelock,
+// so nothing but the operation id has to be kept between queuing and executing.
+const { task, types } = require("hardhat/config");
+
+const { loadManifest } = require("../utils/deployments");
+
+const ACTIONS = {
+  mint: ({ ethers }, [account, amount]) => [ethers.utils.getAddress(account), ethers.utils.parseEther(amount)],
+  forceBurn: ({ ethers }, [account, amount]) => [ethers.utils.getAddress(account), ethers.utils.parseEther(amount)],
+  updateDecimals: (hre, [decimals]) => [Number(decimals)],
+  finalizeDecimals: () => [],
+};
+
+/**
+ * Returns SolhubTimelock & the Solhub token, from the options or the deployment manifest
+ */
+const resolveContracts = async (hre, { timelock, token }) => {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(hre.network.name, chainId);
+  const timelockEntry = timelock ? { address: timelock } : manifest.contracts.SolhubTimelock;
+  const tokenEntry = token ? { address: token } : manifest.contracts.Solhub;
+  if (!timelockEntry || !tokenEntry) {
+    throw new Error(`SolhubTimelock & Solhub are not deployed on ${hre.network.name}, pass --timelock & --token`);
+  }
+  return {
+    timelock: await hre.ethers.getContractAt("SolhubTimelock", hre.ethers.utils.getAddress(timelockEntry.address)),
+    token: await hre.ethers.getContractAt("Solhub", hre.ethers.utils.getAddress(tokenEntry.address)),
+    fromBlock: timelockEntry.blockNumber || 0,
+  };
+};
+
+/**
+ * Returns every operation queued on the timelock with its salt & state, oldest first
+ */
+const listOperations = async (hre, timelock, token, fromBlock) => {
+  const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock);
+  const salts = {};
+  (await timelock.queryFilter(timelock.filters.CallSalt(), fromBlock)).forEach((event) => {
+    salts[event.args.id] = event.args.salt;
+  });
+
+  const operations = [];
+  for (const event of scheduled) {
+    const { id, target, value, data, predecessor } = event.args;
+    const readyAt = await timelock.getTimestamp(id);
+    let state = "cancelled";
+    if (await timelock.isOperationDone(id)) {
+      state = "done";
+    } else if (await timelock.isOperationReady(id)) {
+      state = "ready";
+    } else if (await timelock.isOperationPending(id)) {
+      state = "pending";
+    }
+    let action = data;
+    if (target === token.address) {
+      const call = token.interface.parseTransaction({ data });
+      action = `${call.name}(${call.args.map((arg) => arg.toString()).join(", ")})`;
+    }
+    operations.push({
+      id,
+      action,
+      state,
+      readyAt: readyAt.gt(1) ? new Date(readyAt.toNumber() * 1000).toISOString() : null,
+      target,
+      value,
+      data,
+      predecessor,
+      salt: salts[id] || hre.ethers.constants.HashZero,
+    });
+  }
+  return operations;
+};
+
+const findOperation = async (hre, { timelock, token, fromBlock }, id) => {
+  const operation = (await listOperations(hre, timelock, token, fromBlock)).find((op) => op.id === id);
+  if (!operation) {
+    throw new Error(`Operation ${id} was never queued on ${timelock.address}`);
+  }
+  return operation;
+};
+
+task("timelock-queue", "Queues a Solhub admin action on SolhubTimelock")
+  .addPositionalParam("action", `One of ${Object.keys(ACTIONS).join(", ")}`)
+  .addVariadicPositionalParam("params", "Arguments of the action, amounts in whole SHUB", [])
+  .addOptionalParam("timelock", "SolhubTimelock address, defaults to the deployment manifest")
+  .addOptionalParam("token", "Solhub address, defaults to the deployment manifest")
+  .addOptionalParam("delay", "Seconds before the action can run, defaults to the minimum delay", undefined, types.int)
+  .addOptionalParam("salt", "Bytes32 salt telling identical actions apart, random by default")
+  .setAction(async ({ action, params, timelock, token, delay, salt }, hre) => {
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown action "${action}", expected one of ${Object.keys(ACTIONS).join(", ")}`);
+    }
+    const contracts = await resolveContracts(hre, { timelock, token });
+    const data = contracts.token.interface.encodeFunctionData(action, ACTIONS[action](hre, params));
+    const operationSalt = salt || hre.ethers.utils.hexlify(hre.ethers.utils.randomBytes(32));
+    const operationDelay = delay === undefined ? await contracts.timelock.getMinDelay() : delay;
+    const predecessor = hre.ethers.constants.HashZero;
+
+    const id = await contracts.timelock.hashOperation(contracts.token.address, 0, data, predecessor, operationSalt);
+    await (
+      await contracts.timelock.schedule(contracts.token.address, 0, data, predecessor, operationSalt, operationDelay)
+    ).wait();
+    const readyAt = new Date((await contracts.timelock.getTimestamp(id)).toNumber() * 1000).toISOString();
+    console.log(`Queued ${action}(${params.join(", ")}) as ${id}, ready at ${readyAt}`);
+    return { id, readyAt };
+  });
+
+task("timelock-list", "Lists the operations queued on SolhubTimelock")
+  .addOptionalParam("timelock", "SolhubTimelock address, defaults to the deployment manifest")
+  .addOptionalParam("token", "Solhub address, defaults to the deployment manifest")
+  .addOptionalParam("fromBlock", "First block to look for operations in", undefined, types.int)
+  .addFlag("all", "Include the executed & cancelled operations")
+  .setAction(async ({ timelock, token, fromBlock, all }, hre) => {
+    const contracts = await resolveContracts(hre, { timelock, token });
+    const operations = (
+      await listOperations(
+        hre,
+        contracts.timelock,
+        contracts.token,
+        fromBlock === undefined ? contracts.fromBlock : fromBlock
+      )
+    ).filter((operation) => all || operation.state === "pending" || operation.state === "ready");
+    console.table(operations.map(({ id, action, state, readyAt }) => ({ id, action, state, readyAt })));
+    return operations;
+  });
+
+task("timelock-execute", "Executes a ready operation of SolhubTimelock")
+  .addPositionalParam("id", "Operation id printed by timelock-queue")
+  .addOptionalParam("timelock", "SolhubTimelock address, defaults to the deployment manifest")
+  .addOptionalParam("token", "Solhub address, defaults to the deployment manifest")
+  .setAction(async ({ id, timelock, token }, hre) => {
+    const contracts = await resolveContracts(hre, { timelock, token });
+    const operation = await findOperation(hre, contracts, id);
+    if (operation.state !== "ready") {
+      throw new Error(`Operation ${id} is ${operation.state}, it cannot be executed`);
+    }
+    const { target, value, data, predecessor, salt } = operation;
+    const tx = await contracts.timelock.execute(target, value, data, predecessor, salt, { value });
+    await tx.wait();
+    console.log(`Executed ${operation.action} in ${tx.hash}`);
+    return { ...operation, state: "done", transactionHash: tx.hash };
+  });
+
+task("timelock-cancel", "Cancels a queued operation of SolhubTimelock")
+  .addPositionalParam("id", "Operation id printed by timelock-queue")
+  .addOptionalParam("timelock", "SolhubTimelock address, defaults to the deployment manifest")
+  .addOptionalParam("token", "Solhub address, defaults to the deployment manifest")
+  .setAction(async ({ id, timelock, token }, hre) => {
+    const contracts = await resolveContracts(hre, { timelock, token });
+    const operation = await findOperation(hre, contracts, id);
+    if (operation.state !== "pending" && operation.state !== "ready") {
+      throw new Error(`Operation ${id} is ${operation.state}, it cannot be cancelled`);
+    }
+    const tx = await contracts.timelock.cancel(id);
+    await tx.wait();
+    console.log(`Cancelled ${operation.action} in ${tx.hash}`);
+    return { ...operation, state: "cancelled", transactionHash: tx.hash };
+  });
+
+module.exports = { ACTIONS };
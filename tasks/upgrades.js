@@ -0,0 +1,52 @@
+// Hardhat task upgrading a proxied contract of the deployment manifest, NewSolhubInvestor or Vesting
+//
+// The storage layout of the new implementation is compared with the one recorded in the manifest when the
+// proxy was deployed or last upgraded. The upgrade is refused when a variable would move or change type, see
+// utils/storageLayout.js.
+const { task } = require("hardhat/config");
+
+const { DEPLOYMENTS_DIR, loadManifest, saveManifest } = require("../utils/deployments");
+const { checkUpgrade, upgradeProxy } = require("../utils/proxy");
+
+task("upgrade", "Upgrades a proxied contract of the deployment manifest to a new implementation")
+  .addPositionalParam("contract", "Name of the contract in the manifest, e.g. NewSolhubInvestor")
+  .addOptionalParam("implementation", "Contract name of the new implementation, defaults to the same name")
+  .addOptionalParam("deployments", "Directory holding the deployment manifests", DEPLOYMENTS_DIR)
+  .addFlag("dryRun", "Only check the storage layout of the new implementation")
+  .setAction(async ({ contract, implementation, deployments, dryRun }, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = loadManifest(hre.network.name, chainId, deployments);
+    const entry = manifest.contracts[contract];
+    if (!entry || !entry.proxyAdmin) {
+      throw new Error(`${contract} is not deployed behind a proxy on ${hre.network.name}`);
+    }
+    const name = implementation || contract;
+
+    if (dryRun) {
+      await checkUpgrade(hre, entry.address, name, entry.storageLayout);
+      console.log(`${name} can upgrade ${contract} at ${entry.address}`);
+      return entry;
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", entry.proxyAdmin, signer);
+    const owner = await proxyAdmin.owner();
+    if (owner !== signer.address) {
+      throw new Error(`The ProxyAdmin at ${entry.proxyAdmin} is owned by ${owner}, not by ${signer.address}`);
+    }
+    const upgrade = await upgradeProxy(hre, proxyAdmin, entry.address, name, entry.storageLayout);
+    entry.upgrades = [
+      ...(entry.upgrades || []),
+      {
+        from: entry.implementation,
+        to: upgrade.implementation,
+        contractName: name,
+        transactionHash: upgrade.transactionHash,
+      },
+    ];
+    entry.implementation = upgrade.implementation;
+    entry.storageLayout = upgrade.storageLayout;
+    saveManifest(manifest, deployments);
+    console.log(`${contract} at ${entry.address} upgraded to ${name} at ${upgrade.implementation}`);
+    return entry;
+  });
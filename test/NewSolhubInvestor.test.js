@@ -0,0 +1,1001 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { validateAllocations } = require("../utils/allocations");
+const { buildAllocationTrees } = require("../utils/merkle");
+const {
+    claimDomain,
+    signClaim,
+    submitClaim,
+    recoverClaimSigner,
+} = require("../utils/claimSignatures");
+const { deployProxy } = require("../utils/proxy");
+
+const { ethers } = hre;
+
+describe('NewSolhubInvestor is [AccessControl, Pausable]', () => {
+    const DAY = 86400;
+    const MONTH = 30 * DAY;
+    const TGE_TIME = 1624710715; // TGE of the first deployment, long reached
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const investment = ethers.utils.parseEther('1000'); // 1000 SHUB
+    const ALLOCATION_MANAGER_ROLE = ethers.utils.id('ALLOCATION_MANAGER_ROLE');
+    const PAUSER_ROLE = ethers.utils.id('PAUSER_ROLE');
+    const TREASURY_ROLE = ethers.utils.id('TREASURY_ROLE');
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+    const INVESTMENT_TYPES = [
+        { name: 'SEED', id: 0, vestingDuration: 12, lockPeriod: 1, tgePercent: 5, cap: ethers.utils.parseEther('800000') },
+        { name: 'STRATEGIC', id: 1, vestingDuration: 12, lockPeriod: 1, tgePercent: 5, cap: ethers.utils.parseEther('1000000') },
+        { name: 'PRIVATE', id: 2, vestingDuration: 12, lockPeriod: 1, tgePercent: 10, cap: ethers.utils.parseEther('1400000') },
+    ];
+
+    let accounts;
+    let owner;
+    let acc1;
+    let acc2;
+    let solhubConInstance;
+    let investorConInstance;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+    const setTime = async (timestamp) => {
+        await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+        await ethers.provider.send('evm_mine', []);
+    };
+
+    const deploy = async (tgeTime = TGE_TIME) => {
+        const Solhub = await ethers.getContractFactory("Solhub");
+        solhubConInstance = await Solhub.deploy(initialSupply, maxSupply);
+        investorConInstance = await deployProxy(hre, "NewSolhubInvestor", [solhubConInstance.address, tgeTime]);
+        await solhubConInstance.approve(investorConInstance.address, initialSupply);
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        [owner, acc1, acc2] = accounts;
+    });
+
+    context('constructor', () => {
+        before(deploy);
+
+        it('reverts for SHUB address zero', async () => {
+            await expect(
+                deployProxy(hre, "NewSolhubInvestor", [ethers.constants.AddressZero, TGE_TIME])
+            ).to.be.revertedWith("SHUB address is address zero.");
+        })
+        it('cannot be initialized twice', async () => {
+            await expect(
+                investorConInstance.initialize(solhubConInstance.address, TGE_TIME)
+            ).to.be.revertedWith("Initializable: contract is already initialized");
+        })
+        it('leaves the implementation uninitialized & locked', async () => {
+            const implementation = await (await ethers.getContractFactory("NewSolhubInvestor")).deploy();
+            expect(await implementation.investmentTypeCount()).to.equal(0);
+            await expect(
+                implementation.initialize(solhubConInstance.address, TGE_TIME)
+            ).to.be.revertedWith("Initializable: contract is already initialized");
+        })
+        it('sets the TGE time', async () => {
+            expect(await investorConInstance.tgeTime()).to.equal(TGE_TIME);
+            expect(await investorConInstance.isTGETimeLocked()).to.equal(true);
+        })
+        it('adds SEED, STRATEGIC & PRIVATE with daily releases', async () => {
+            expect(await investorConInstance.investmentTypeCount()).to.equal(3);
+            for (const type of INVESTMENT_TYPES) {
+                const definition = await investorConInstance.investorsInvestmentType(type.id);
+                expect(definition.vestingDuration).to.equal(type.vestingDuration);
+                expect(definition.lockPeriod).to.equal(type.lockPeriod);
+                expect(definition.tgePercent).to.equal(type.tgePercent);
+                expect(definition.releaseInterval).to.equal(DAY);
+                expect(definition.totalTokenAllocation).to.equal(type.cap);
+                expect(definition.isFrozen).to.equal(false);
+            }
+        })
+    })
+
+    context('access control', () => {
+        const ROLES = [DEFAULT_ADMIN_ROLE, ALLOCATION_MANAGER_ROLE, PAUSER_ROLE, TREASURY_ROLE];
+        // In order, as some calls depend on the previous ones
+        const PRIVILEGED = [
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setTGETime', call: async (c) => c.setTGETime(await latestTimestamp() + DAY) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'addInvestmentType', call: (c) => c.addInvestmentType(12, 1, 5, DAY, investment) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'updateInvestmentTypeAllocation', call: (c) => c.updateInvestmentTypeAllocation(3, investment.mul(2)) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'addInvestmentDetails', call: (c) => c.addInvestmentDetails([acc1.address], [investment], 3) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'freezeInvestmentType', call: (c) => c.freezeInvestmentType(3) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setAllocator', call: (c) => c.setAllocator(acc1.address, true) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setAllocationRoot', call: (c) => c.setAllocationRoot(0, ethers.utils.id('root')) },
+            { role: PAUSER_ROLE, name: 'pauseContract', call: (c) => c.pauseContract() },
+            { role: PAUSER_ROLE, name: 'unPauseContract', call: (c) => c.unPauseContract() },
+            { role: TREASURY_ROLE, name: 'setTokenHolder', call: (c) => c.setTokenHolder(owner.address) },
+            { role: TREASURY_ROLE, name: 'rescue', call: (c) => c.rescue(ethers.constants.AddressZero, owner.address, 0) },
+            { role: DEFAULT_ADMIN_ROLE, name: 'grantRole', call: (c) => c.grantRole(PAUSER_ROLE, acc1.address) },
+            { role: DEFAULT_ADMIN_ROLE, name: 'revokeRole', call: (c) => c.revokeRole(PAUSER_ROLE, acc1.address) },
+        ];
+
+        before(() => deploy(0));
+
+        it('grants every role to the deployer, who holds the tokens', async () => {
+            for (const role of ROLES) {
+                expect(await investorConInstance.hasRole(role, owner.address)).to.equal(true);
+            }
+            expect(await investorConInstance.tokenHolder()).to.equal(owner.address);
+        })
+        PRIVILEGED.forEach(({ role, name, call }) => {
+            it(`${name} requires its role`, async () => {
+                const caller = accounts[5];
+                const otherRoles = ROLES.filter((other) => other !== role);
+                for (const other of otherRoles) {
+                    await investorConInstance.grantRole(other, caller.address);
+                }
+                await expect(call(investorConInstance.connect(caller))).to.be.revertedWith(missingRole(caller, role));
+                for (const other of otherRoles) {
+                    await investorConInstance.revokeRole(other, caller.address);
+                }
+
+                const holder = accounts[6];
+                await investorConInstance.grantRole(role, holder.address);
+                await call(investorConInstance.connect(holder));
+                await investorConInstance.revokeRole(role, holder.address);
+            })
+        })
+        it('pulls the allocations from the token holder set by the treasury role', async () => {
+            await solhubConInstance.transfer(acc2.address, investment);
+            await solhubConInstance.connect(acc2).approve(investorConInstance.address, investment);
+            await expect(investorConInstance.setTokenHolder(ethers.constants.AddressZero)).to.be.revertedWith("Invalid Address");
+            await expect(investorConInstance.setTokenHolder(acc2.address))
+                .to.emit(investorConInstance, 'TokenHolderUpdated')
+                .withArgs(acc2.address);
+            await investorConInstance.addInvestmentDetails([accounts[4].address], [investment], 0);
+            expect(await solhubConInstance.balanceOf(acc2.address)).to.equal(0);
+            await expect(
+                investorConInstance.addInvestmentDetails([accounts[5].address], [investment], 0)
+            ).to.be.revertedWith("Insufficient holder balance");
+        })
+    })
+
+    context('TGE time', () => {
+        let tgeTime;
+
+        before(async () => {
+            await deploy(0);
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 0);
+        });
+
+        it('keeps claims closed until the TGE time is set', async () => {
+            expect(await investorConInstance.tgeTime()).to.equal(0);
+            expect(await investorConInstance.isTGETimeLocked()).to.equal(false);
+            await expect(
+                investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0)
+            ).to.be.revertedWith("TGE not yet started");
+        })
+        it('reverts setTGETime when invoked without its role', async () => {
+            await expect(
+                investorConInstance.connect(acc1).setTGETime(await latestTimestamp() + DAY)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts setTGETime for a time in the past', async () => {
+            await expect(
+                investorConInstance.setTGETime(await latestTimestamp())
+            ).to.be.revertedWith("TGE time is in the past");
+        })
+        it('sets & moves the TGE time until it is reached', async () => {
+            tgeTime = await latestTimestamp() + 2 * DAY;
+            await expect(investorConInstance.setTGETime(tgeTime - DAY))
+                .to.emit(investorConInstance, 'TGETimeUpdated')
+                .withArgs(tgeTime - DAY);
+            await expect(investorConInstance.setTGETime(tgeTime))
+                .to.emit(investorConInstance, 'TGETimeUpdated')
+                .withArgs(tgeTime);
+            expect(await investorConInstance.tgeTime()).to.equal(tgeTime);
+        })
+        it('locks the TGE time once reached', async () => {
+            await setTime(tgeTime);
+            expect(await investorConInstance.isTGETimeLocked()).to.equal(true);
+            await expect(
+                investorConInstance.setTGETime(tgeTime + DAY)
+            ).to.be.revertedWith("TGE time is locked");
+        })
+    })
+
+    context('vesting phases', () => {
+        const allocation = ethers.utils.parseEther('365000'); // 1000 SHUB a day
+        const dailyTokens = ethers.utils.parseEther('1000');
+        const tgeTokens = allocation.mul(5).div(100);
+        let tgeTime;
+        let investmentTimestamp;
+
+        const daysSinceInvestment = async () => Math.floor((await latestTimestamp() + 1 - investmentTimestamp) / DAY);
+
+        before(async () => {
+            await deploy(0);
+            tgeTime = await latestTimestamp() + 10 * DAY;
+            await investorConInstance.setTGETime(tgeTime);
+            await investorConInstance.addInvestmentDetails([acc1.address], [allocation], 0);
+            investmentTimestamp = (await investorConInstance.investorsInvestmentDetails(acc1.address, 0))
+                .investmentTimestamp.toNumber();
+        });
+
+        it('reverts every claim before the TGE', async () => {
+            await setTime(tgeTime - 10);
+            await expect(
+                investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0)
+            ).to.be.revertedWith("TGE not yet started");
+            await expect(
+                investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, 1)
+            ).to.be.revertedWith("TGE not yet started");
+        })
+        it('pays the TGE tokens after the TGE', async () => {
+            await setTime(tgeTime + 1);
+            await investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens);
+        })
+        it('reverts vesting claims during the lock period', async () => {
+            await setTime(tgeTime + MONTH - 1);
+            await expect(
+                investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, 1)
+            ).to.be.revertedWith("Locperiod not yet over");
+        })
+        it('releases daily tokens counted from the investment once the lock period is over', async () => {
+            await setTime(tgeTime + MONTH + DAY);
+            let days = await daysSinceInvestment();
+            await investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, dailyTokens.mul(days));
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens.add(dailyTokens.mul(days)));
+
+            const claimedDays = days;
+            await setTime(tgeTime + 3 * MONTH);
+            days = await daysSinceInvestment();
+            await expect(
+                investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, dailyTokens.mul(days - claimedDays).add(1))
+            ).to.be.revertedWith("Token amount cannot be greater than calimable amount");
+            await investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, dailyTokens.mul(days - claimedDays));
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens.add(dailyTokens.mul(days)));
+        })
+        it('releases the rest of the allocation after the vesting duration', async () => {
+            await setTime(tgeTime + 12 * MONTH + DAY);
+            const rest = allocation.sub(await investorConInstance.totalTokensClaimed(acc1.address, 0));
+            await investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 0, rest);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(allocation);
+            expect((await investorConInstance.investorsInvestmentDetails(acc1.address, 0)).isVesting).to.equal(false);
+        })
+    })
+
+    context('claimAll', () => {
+        const allocation = ethers.utils.parseEther('365000'); // 1000 SHUB a day
+        const dailyTokens = ethers.utils.parseEther('1000');
+        const indices = INVESTMENT_TYPES.map((type) => type.id);
+        let tgeTime;
+        let investmentTimestamp;
+
+        const expectBreakdown = (breakdown, expected) => {
+            expect(breakdown.length).to.equal(expected.length);
+            breakdown.forEach((entry, i) => {
+                expect(entry.investmentIndex).to.equal(i);
+                expect(entry.tgeTokens).to.equal(expected[i].tgeTokens);
+                expect(entry.vestingTokens).to.equal(expected[i].vestingTokens);
+            });
+        };
+
+        before(async () => {
+            await deploy(0);
+            tgeTime = await latestTimestamp() + 10 * DAY;
+            await investorConInstance.setTGETime(tgeTime);
+            for (const index of indices) {
+                await investorConInstance.addInvestmentDetails([acc1.address], [allocation], index);
+            }
+            investmentTimestamp = (await investorConInstance.investorsInvestmentDetails(acc1.address, 0))
+                .investmentTimestamp.toNumber();
+        });
+
+        it('reverts before the TGE and returns an empty breakdown', async () => {
+            await expect(investorConInstance.connect(acc1).claimAll()).to.be.revertedWith("TGE not yet started");
+            expectBreakdown(
+                await investorConInstance.getClaimableBreakdown(acc1.address),
+                indices.map(() => ({ tgeTokens: 0, vestingTokens: 0 }))
+            );
+        })
+        it('claims the TGE tokens of every investment type in one transfer', async () => {
+            await setTime(tgeTime + 1);
+            const expected = INVESTMENT_TYPES.map((type) => ({
+                tgeTokens: allocation.mul(type.tgePercent).div(100),
+                vestingTokens: 0,
+            }));
+            expectBreakdown(await investorConInstance.getClaimableBreakdown(acc1.address), expected);
+
+            const tx = investorConInstance.connect(acc1).claimAll();
+            for (const index of indices) {
+                await expect(tx)
+                    .to.emit(investorConInstance, 'TokensClaimed')
+                    .withArgs(acc1.address, index, expected[index].tgeTokens, 0);
+            }
+            const receipt = await (await tx).wait();
+            expect(receipt.logs.filter((log) => log.address === solhubConInstance.address)).to.have.length(1);
+            expect(await solhubConInstance.balanceOf(acc1.address))
+                .to.equal(expected.reduce((sum, entry) => sum.add(entry.tgeTokens), ethers.BigNumber.from(0)));
+            for (const index of indices) {
+                expect((await investorConInstance.investorsInvestmentDetails(acc1.address, index)).isTGETokenClaimed)
+                    .to.equal(true);
+            }
+        })
+        it('reverts when nothing is claimable', async () => {
+            await expect(investorConInstance.connect(acc1).claimAll()).to.be.revertedWith("No tokens to transfer");
+            await expect(investorConInstance.connect(acc2).claimAll()).to.be.revertedWith("No tokens to transfer");
+        })
+        it('claims the daily tokens of every investment type, matching the view', async () => {
+            await setTime(tgeTime + MONTH + DAY);
+            const days = Math.floor((await latestTimestamp() - investmentTimestamp) / DAY);
+            const expected = indices.map(() => ({ tgeTokens: 0, vestingTokens: dailyTokens.mul(days) }));
+            expectBreakdown(await investorConInstance.getClaimableBreakdown(acc1.address), expected);
+            expectBreakdown(await investorConInstance.connect(acc1).callStatic.claimAll(), expected);
+
+            const before = await solhubConInstance.balanceOf(acc1.address);
+            await investorConInstance.connect(acc1).claimAll();
+            expect((await solhubConInstance.balanceOf(acc1.address)).sub(before)).to.equal(dailyTokens.mul(days * 3));
+            expect(await investorConInstance.alreadyWithdrawnDays(acc1.address, 2)).to.equal(days);
+        })
+        it('reverts while paused', async () => {
+            await investorConInstance.pauseContract();
+            await expect(investorConInstance.connect(acc1).claimAll()).to.be.revertedWith("Pausable: paused");
+            await investorConInstance.unPauseContract();
+        })
+        it('claims the rest of every allocation after the vesting duration', async () => {
+            await setTime(tgeTime + 12 * MONTH + DAY);
+            await investorConInstance.connect(acc1).claimAll();
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(allocation.mul(3));
+            for (const index of indices) {
+                expect((await investorConInstance.investorsInvestmentDetails(acc1.address, index)).isVesting)
+                    .to.equal(false);
+            }
+            expectBreakdown(
+                await investorConInstance.getClaimableBreakdown(acc1.address),
+                indices.map(() => ({ tgeTokens: 0, vestingTokens: 0 }))
+            );
+        })
+    })
+
+    context('vesting status', () => {
+        const allocation = ethers.utils.parseEther('365000'); // 1000 SHUB a day
+        const dailyTokens = ethers.utils.parseEther('1000');
+        const tgeTokens = allocation.mul(5).div(100);
+        let tgeTime;
+        let investmentTimestamp;
+
+        const claimable = (status) => status.claimableTGETokens.add(status.claimableVestingTokens);
+
+        /**
+         * Moves to the next unlock of `status` and checks it releases `nextUnlockTokens`
+         */
+        const expectNextUnlock = async (status) => {
+            await setTime(status.nextUnlockTime.toNumber());
+            const next = await investorConInstance.getVestingStatus(acc1.address, 0);
+            expect(claimable(next).sub(claimable(status))).to.equal(status.nextUnlockTokens);
+            expect(next.lockedTokens).to.equal(status.lockedTokens.sub(status.nextUnlockTokens));
+            return next;
+        };
+
+        before(async () => {
+            await deploy(0);
+            tgeTime = await latestTimestamp() + 10 * DAY;
+            await investorConInstance.setTGETime(tgeTime);
+            await investorConInstance.addInvestmentDetails([acc1.address], [allocation], 0);
+            investmentTimestamp = (await investorConInstance.investorsInvestmentDetails(acc1.address, 0))
+                .investmentTimestamp.toNumber();
+        });
+
+        it('reverts for an investment type which was never added', async () => {
+            await expect(
+                investorConInstance.getVestingStatus(acc1.address, 3)
+            ).to.be.revertedWith("Invalid Invested Index");
+        })
+        it('shows everything locked until the TGE, which unlocks the TGE tokens', async () => {
+            const status = await investorConInstance.getVestingStatus(acc1.address, 0);
+            expect(status.userAddress).to.equal(acc1.address);
+            expect(status.totalTokensAllocated).to.equal(allocation);
+            expect(status.vestedTokens).to.equal(0);
+            expect(claimable(status)).to.equal(0);
+            expect(status.lockedTokens).to.equal(allocation);
+            expect(status.nextUnlockTime).to.equal(tgeTime + 1);
+            expect(status.nextUnlockTokens).to.equal(tgeTokens);
+
+            const next = await expectNextUnlock(status);
+            expect(next.claimableTGETokens).to.equal(tgeTokens);
+            expect(next.vestedTokens).to.equal(tgeTokens);
+        })
+        it('shows the end of the lock period as the next unlock', async () => {
+            const status = await investorConInstance.getVestingStatus(acc1.address, 0);
+            const lockEnd = tgeTime + MONTH + DAY;
+            expect(status.nextUnlockTime).to.equal(lockEnd);
+            expect(status.nextUnlockTokens)
+                .to.equal(dailyTokens.mul(Math.floor((lockEnd - investmentTimestamp) / DAY)));
+            await expectNextUnlock(status);
+        })
+        it('shows the next release interval once the lock period is over, matching the claims', async () => {
+            await investorConInstance.connect(acc1).claimAll();
+            const status = await investorConInstance.getVestingStatus(acc1.address, 0);
+            const days = Math.floor((await latestTimestamp() - investmentTimestamp) / DAY);
+            expect(status.totalTokensClaimed).to.equal(tgeTokens.add(dailyTokens.mul(days)));
+            expect(status.vestedTokens).to.equal(status.totalTokensClaimed);
+            expect(claimable(status)).to.equal(0);
+            expect(status.nextUnlockTime).to.equal(investmentTimestamp + (days + 1) * DAY);
+            expect(status.nextUnlockTokens).to.equal(dailyTokens);
+
+            const next = await expectNextUnlock(status);
+            const [breakdown] = await investorConInstance.getClaimableBreakdown(acc1.address);
+            expect(next.claimableTGETokens).to.equal(breakdown.tgeTokens);
+            expect(next.claimableVestingTokens).to.equal(breakdown.vestingTokens);
+        })
+        it('shows the end of the vesting duration as the last unlock', async () => {
+            const vestingEnd = tgeTime + 12 * MONTH + DAY;
+            await setTime(vestingEnd - DAY / 2);
+            const status = await investorConInstance.getVestingStatus(acc1.address, 0);
+            expect(status.nextUnlockTime).to.equal(vestingEnd);
+            const next = await expectNextUnlock(status);
+            expect(next.lockedTokens).to.equal(0);
+            expect(next.vestedTokens).to.equal(allocation);
+            expect(next.nextUnlockTime).to.equal(0);
+            expect(next.nextUnlockTokens).to.equal(0);
+        })
+        it('returns the statuses of many investors in one call', async () => {
+            const statuses = await investorConInstance.getVestingStatuses([acc1.address, acc2.address], [0, 1]);
+            expect(statuses).to.have.length(2);
+            expect(statuses[0].vestedTokens).to.equal(allocation);
+            expect(statuses[1].userAddress).to.equal(acc2.address);
+            expect(statuses[1].investmentIndex).to.equal(1);
+            expect(statuses[1].totalTokensAllocated).to.equal(0);
+            expect(statuses[1].nextUnlockTime).to.equal(0);
+            await expect(
+                investorConInstance.getVestingStatuses([acc1.address], [0, 1])
+            ).to.be.revertedWith("Unequal arrays passed");
+        })
+    })
+
+    context('claim operators', () => {
+        const tgeTokens = investment.mul(5).div(100);
+        let operator;
+        let stranger;
+
+        before(async () => {
+            await deploy();
+            [operator, stranger] = [accounts[3], accounts[4]];
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 0);
+        });
+
+        it('reverts claims triggered by a third party, owner included', async () => {
+            for (const caller of [owner, stranger]) {
+                await expect(
+                    investorConInstance.connect(caller).claimTGETokens(acc1.address, 0)
+                ).to.be.revertedWith("Caller cannot claim for user");
+                await expect(
+                    investorConInstance.connect(caller).claimVestingTokens(acc1.address, 0, 1)
+                ).to.be.revertedWith("Caller cannot claim for user");
+                await expect(
+                    investorConInstance.connect(caller).claimTGETokensWithProof(acc1.address, 0, investment, [])
+                ).to.be.revertedWith("Caller cannot claim for user");
+            }
+        })
+        it('pays the TGE tokens only once, however often it is called', async () => {
+            await investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0);
+            for (let i = 0; i < 3; i++) {
+                await expect(
+                    investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0)
+                ).to.be.revertedWith("TGE withdraw already processed");
+            }
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens);
+            expect(await investorConInstance.totalTokensClaimed(acc1.address, 0)).to.equal(tgeTokens);
+        })
+        it('reverts approvals of address zero, the caller itself or twice the same operator', async () => {
+            await expect(
+                investorConInstance.connect(acc1).approveClaimOperator(ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid Address");
+            await expect(
+                investorConInstance.connect(acc1).approveClaimOperator(acc1.address)
+            ).to.be.revertedWith("Operator is the caller");
+            await expect(investorConInstance.connect(acc1).approveClaimOperator(operator.address))
+                .to.emit(investorConInstance, 'ClaimOperatorApproved')
+                .withArgs(acc1.address, operator.address);
+            await expect(
+                investorConInstance.connect(acc1).approveClaimOperator(operator.address)
+            ).to.be.revertedWith("Operator already approved");
+            expect(await investorConInstance.isClaimOperator(acc1.address, operator.address)).to.equal(true);
+        })
+        it('lets an approved operator claim for the beneficiary only', async () => {
+            const rest = investment.sub(tgeTokens);
+            await expect(
+                investorConInstance.connect(operator).claimTGETokens(acc1.address, 0)
+            ).to.be.revertedWith("TGE withdraw already processed");
+            await expect(investorConInstance.connect(operator).claimVestingTokens(acc1.address, 0, rest))
+                .to.emit(investorConInstance, 'TokensClaimed')
+                .withArgs(acc1.address, 0, 0, rest);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(investment);
+            expect(await solhubConInstance.balanceOf(operator.address)).to.equal(0);
+        })
+        it('revokes an operator', async () => {
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 1);
+            await expect(investorConInstance.connect(acc1).revokeClaimOperator(operator.address))
+                .to.emit(investorConInstance, 'ClaimOperatorRevoked')
+                .withArgs(acc1.address, operator.address);
+            await expect(
+                investorConInstance.connect(operator).claimTGETokens(acc1.address, 1)
+            ).to.be.revertedWith("Caller cannot claim for user");
+            await expect(
+                investorConInstance.connect(acc1).revokeClaimOperator(operator.address)
+            ).to.be.revertedWith("Operator not approved");
+        })
+    })
+
+    context('signed claims', () => {
+        const tgeTokens = investment.mul(5).div(100);
+        let relayer;
+        let tgeTime;
+        let signedClaim;
+
+        before(async () => {
+            await deploy(0);
+            relayer = accounts[5];
+            tgeTime = await latestTimestamp() + 10 * DAY;
+            await investorConInstance.setTGETime(tgeTime);
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 0);
+            signedClaim = await signClaim(acc1, investorConInstance, { investmentIndex: 0, deadline: tgeTime + 2 * MONTH });
+        });
+
+        it('signs the claim in the domain of the contract', async () => {
+            const domain = await claimDomain(investorConInstance);
+            expect(domain.name).to.equal('NewSolhubInvestor');
+            expect(domain.verifyingContract).to.equal(investorConInstance.address);
+            expect(signedClaim.nonce).to.equal(0);
+            expect(recoverClaimSigner(domain, signedClaim)).to.equal(acc1.address);
+        })
+        it('reverts before the TGE', async () => {
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), signedClaim)
+            ).to.be.revertedWith("TGE not yet started");
+        })
+        it('lets any relayer submit the claim, tokens go to the beneficiary', async () => {
+            await setTime(tgeTime + 1);
+            const tx = submitClaim(investorConInstance.connect(relayer), signedClaim);
+            await expect(tx)
+                .to.emit(investorConInstance, 'ClaimSignatureUsed')
+                .withArgs(acc1.address, 0, 0, relayer.address);
+            await expect(tx)
+                .to.emit(investorConInstance, 'TokensClaimed')
+                .withArgs(acc1.address, 0, tgeTokens, 0);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens);
+            expect(await solhubConInstance.balanceOf(relayer.address)).to.equal(0);
+            expect(await investorConInstance.nonces(acc1.address)).to.equal(1);
+        })
+        it('reverts a replayed signature', async () => {
+            await setTime(tgeTime + MONTH + DAY);
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), signedClaim)
+            ).to.be.revertedWith("Invalid claim nonce");
+        })
+        it('reverts an expired signature', async () => {
+            const expired = await signClaim(acc1, investorConInstance, {
+                investmentIndex: 0,
+                deadline: await latestTimestamp() - 1,
+            });
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), expired)
+            ).to.be.revertedWith("Claim signature expired");
+        })
+        it('reverts a claim signed by someone else or altered by the relayer', async () => {
+            const deadline = await latestTimestamp() + DAY;
+            const forged = await signClaim(acc2, investorConInstance, { investmentIndex: 0, deadline, nonce: 1 });
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), { ...forged, beneficiary: acc1.address })
+            ).to.be.revertedWith("Invalid claim signature");
+
+            const capped = await signClaim(acc1, investorConInstance, { investmentIndex: 0, deadline, maxAmount: 1 });
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), { ...capped, maxAmount: 0 })
+            ).to.be.revertedWith("Invalid claim signature");
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), { ...capped, investmentIndex: 1 })
+            ).to.be.revertedWith("Invalid claim signature");
+        })
+        it('reverts when the claimable amount exceeds the maximum amount, keeping the nonce', async () => {
+            const deadline = await latestTimestamp() + DAY;
+            const capped = await signClaim(acc1, investorConInstance, { investmentIndex: 0, deadline, maxAmount: 1 });
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), capped)
+            ).to.be.revertedWith("Claim exceeds max amount");
+            expect(await investorConInstance.nonces(acc1.address)).to.equal(1);
+        })
+        it('claims the vested tokens up to the maximum amount', async () => {
+            const deadline = await latestTimestamp() + DAY;
+            const claimable = (await investorConInstance.getClaimableBreakdown(acc1.address))[0].vestingTokens;
+            const signed = await signClaim(acc1, investorConInstance, {
+                investmentIndex: 0,
+                deadline,
+                maxAmount: claimable,
+            });
+            await submitClaim(investorConInstance.connect(relayer), signed);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(tgeTokens.add(claimable));
+            expect(await investorConInstance.nonces(acc1.address)).to.equal(2);
+        })
+        it('reverts while paused', async () => {
+            const signed = await signClaim(acc1, investorConInstance, {
+                investmentIndex: 0,
+                deadline: await latestTimestamp() + DAY,
+            });
+            await investorConInstance.pauseContract();
+            await expect(
+                submitClaim(investorConInstance.connect(relayer), signed)
+            ).to.be.revertedWith("Pausable: paused");
+            await investorConInstance.unPauseContract();
+        })
+    })
+
+    context('addInvestmentDetails', () => {
+        before(deploy);
+
+        it('reverts when invoked without its role', async () => {
+            await expect(
+                investorConInstance.connect(acc1).addInvestmentDetails([acc1.address], [investment], 0)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts for unequal arrays', async () => {
+            await expect(
+                investorConInstance.addInvestmentDetails([acc1.address, acc2.address], [investment], 0)
+            ).to.be.revertedWith("Unequal arrays passed");
+        })
+        it('reverts for an investment type which was never added', async () => {
+            await expect(
+                investorConInstance.addInvestmentDetails([acc1.address], [investment], 3)
+            ).to.be.revertedWith("Invalid Invested Index");
+        })
+        it('pulls the invested tokens from the owner', async () => {
+            await investorConInstance.addInvestmentDetails([acc1.address, acc2.address], [investment, investment], 0);
+            expect(await solhubConInstance.balanceOf(investorConInstance.address)).to.equal(investment.mul(2));
+            const details = await investorConInstance.investorsInvestmentDetails(acc1.address, 0);
+            expect(details.isVesting).to.equal(true);
+            expect(details.totalTGETokens).to.equal(investment.mul(5).div(100));
+            expect(details.dailyTokens).to.equal(investment.div(365));
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(investment.mul(2));
+        })
+        it('reverts for an investor already added to the investment type', async () => {
+            await expect(
+                investorConInstance.addInvestmentDetails([acc1.address], [investment], 0)
+            ).to.be.revertedWith("Invested details already added");
+        })
+        it('reverts above the allocation cap of the investment type', async () => {
+            const remaining = INVESTMENT_TYPES[0].cap.sub(investment.mul(2));
+            await expect(
+                investorConInstance.addInvestmentDetails([accounts[3].address], [remaining.add(1)], 0)
+            ).to.be.revertedWith("Allocation cap exceeded");
+            await investorConInstance.addInvestmentDetails([accounts[3].address], [remaining], 0);
+        })
+    })
+
+    context('allocators', () => {
+        let allocator;
+
+        before(async () => {
+            await deploy(0);
+            allocator = accounts[4];
+        });
+
+        it('lets only the owner set allocators', async () => {
+            await expect(
+                investorConInstance.connect(acc1).setAllocator(allocator.address, true)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+            await expect(investorConInstance.setAllocator(allocator.address, true))
+                .to.emit(investorConInstance, 'AllocatorUpdated')
+                .withArgs(allocator.address, true);
+            expect(await investorConInstance.isAllocator(allocator.address)).to.equal(true);
+        })
+        it('reverts addInvestment for a caller which is not an allocator', async () => {
+            await expect(
+                investorConInstance.addInvestment(acc1.address, 0, investment)
+            ).to.be.revertedWith("Caller is not an allocator");
+        })
+        it('creates an allocation pulled from the owner', async () => {
+            await expect(investorConInstance.connect(allocator).addInvestment(acc1.address, 0, investment))
+                .to.emit(investorConInstance, 'InvestmentAllocated')
+                .withArgs(acc1.address, 0, investment, investment, investment.mul(5).div(100));
+            expect(await solhubConInstance.balanceOf(investorConInstance.address)).to.equal(investment);
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(investment);
+        })
+        it('tops up an allocation until the TGE time', async () => {
+            const total = investment.mul(3);
+            await expect(investorConInstance.connect(allocator).addInvestment(acc1.address, 0, investment.mul(2)))
+                .to.emit(investorConInstance, 'InvestmentAllocated')
+                .withArgs(acc1.address, 0, investment.mul(2), total, total.mul(5).div(100));
+            const details = await investorConInstance.investorsInvestmentDetails(acc1.address, 0);
+            expect(details.totalTokensAllocated).to.equal(total);
+            expect(details.totalTGETokens).to.equal(total.mul(5).div(100));
+            expect(details.dailyTokens).to.equal(total.div(365));
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(total);
+        })
+        it('reverts above the allocation cap of the investment type', async () => {
+            await expect(
+                investorConInstance.connect(allocator).addInvestment(acc2.address, 0, INVESTMENT_TYPES[0].cap)
+            ).to.be.revertedWith("Allocation cap exceeded");
+        })
+        it('reverts for a frozen investment type & while paused', async () => {
+            await investorConInstance.freezeInvestmentType(2);
+            await expect(
+                investorConInstance.connect(allocator).addInvestment(acc1.address, 2, investment)
+            ).to.be.revertedWith("Investment type is frozen");
+            await investorConInstance.pauseContract();
+            await expect(
+                investorConInstance.connect(allocator).addInvestment(acc1.address, 0, investment)
+            ).to.be.revertedWith("Pausable: paused");
+            await investorConInstance.unPauseContract();
+        })
+        it('removes tokens from an allocation & returns them to the owner', async () => {
+            await expect(
+                investorConInstance.removeInvestment(acc1.address, 0, investment)
+            ).to.be.revertedWith("Caller is not an allocator");
+            await expect(
+                investorConInstance.connect(allocator).removeInvestment(acc1.address, 0, investment.mul(3).add(1))
+            ).to.be.revertedWith("Amount exceeds allocation");
+            const ownerBalance = await solhubConInstance.balanceOf(owner.address);
+            const total = investment.mul(2);
+            await expect(investorConInstance.connect(allocator).removeInvestment(acc1.address, 0, investment))
+                .to.emit(investorConInstance, 'InvestmentRemoved')
+                .withArgs(acc1.address, 0, investment, total, total.mul(5).div(100));
+            expect(await solhubConInstance.balanceOf(owner.address)).to.equal(ownerBalance.add(investment));
+            const details = await investorConInstance.investorsInvestmentDetails(acc1.address, 0);
+            expect(details.totalTokensAllocated).to.equal(total);
+            expect(details.dailyTokens).to.equal(total.div(365));
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(total);
+        })
+        it('removes an allocation left empty', async () => {
+            await investorConInstance.connect(allocator).addInvestment(accounts[3].address, 0, investment);
+            await expect(investorConInstance.connect(allocator).removeInvestment(accounts[3].address, 0, investment))
+                .to.emit(investorConInstance, 'InvestmentRemoved')
+                .withArgs(accounts[3].address, 0, investment, 0, 0);
+            expect((await investorConInstance.investorsInvestmentDetails(accounts[3].address, 0)).isVesting)
+                .to.equal(false);
+        })
+        it('refuses top-ups once the TGE time is reached', async () => {
+            const tgeTime = await latestTimestamp() + DAY;
+            await investorConInstance.setTGETime(tgeTime);
+            await setTime(tgeTime);
+            await expect(
+                investorConInstance.connect(allocator).addInvestment(acc1.address, 0, investment)
+            ).to.be.revertedWith("TGE time is locked");
+            await expect(
+                investorConInstance.connect(allocator).removeInvestment(acc1.address, 0, investment)
+            ).to.be.revertedWith("TGE time is locked");
+            await investorConInstance.connect(allocator).addInvestment(acc2.address, 0, investment);
+            expect((await investorConInstance.investorsInvestmentDetails(acc2.address, 0)).isVesting).to.equal(true);
+        })
+        it('revokes allocators', async () => {
+            await investorConInstance.setAllocator(allocator.address, false);
+            await expect(
+                investorConInstance.connect(allocator).addInvestment(accounts[3].address, 0, investment)
+            ).to.be.revertedWith("Caller is not an allocator");
+        })
+    })
+
+    context('investment types', () => {
+        const cap = ethers.utils.parseEther('500000');
+        const WEEK = 7 * DAY;
+
+        before(deploy);
+
+        it('reverts addInvestmentType when invoked without its role', async () => {
+            await expect(
+                investorConInstance.connect(acc1).addInvestmentType(24, 3, 0, WEEK, cap)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts addInvestmentType for invalid definitions', async () => {
+            await expect(investorConInstance.addInvestmentType(0, 3, 0, WEEK, cap)).to.be.revertedWith("Vesting duration is 0");
+            await expect(investorConInstance.addInvestmentType(24, 3, 0, 0, cap)).to.be.revertedWith("Release interval is 0");
+            await expect(investorConInstance.addInvestmentType(24, 3, 101, WEEK, cap)).to.be.revertedWith("TGE percent exceeds 100");
+        })
+        it('adds an investment type under the next index', async () => {
+            await expect(investorConInstance.addInvestmentType(24, 3, 0, WEEK, cap))
+                .to.emit(investorConInstance, 'InvestmentTypeAdded')
+                .withArgs(3, 24, 3, 0, WEEK, cap);
+            expect(await investorConInstance.investmentTypeCount()).to.equal(4);
+        })
+        it('allocates to the new investment type with its release interval', async () => {
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 3);
+            const details = await investorConInstance.investorsInvestmentDetails(acc1.address, 3);
+            expect(details.dailyTokens).to.equal(investment.mul(WEEK).div(365 * DAY));
+            expect(details.lockPeriod).to.equal(3);
+            expect(details.vestingDuration).to.equal(24);
+        })
+        it('reverts a cap below the allocated tokens', async () => {
+            await expect(
+                investorConInstance.updateInvestmentTypeAllocation(3, investment.sub(1))
+            ).to.be.revertedWith("Cap below allocated tokens");
+        })
+        it('updates the cap of an investment type', async () => {
+            await expect(investorConInstance.updateInvestmentTypeAllocation(3, investment))
+                .to.emit(investorConInstance, 'InvestmentTypeAllocationUpdated')
+                .withArgs(3, investment);
+            await expect(
+                investorConInstance.addInvestmentDetails([acc2.address], [1], 3)
+            ).to.be.revertedWith("Allocation cap exceeded");
+        })
+        it('reverts freezeInvestmentType when invoked without its role', async () => {
+            await expect(
+                investorConInstance.connect(acc1).freezeInvestmentType(0)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('freezes an investment type against new investors', async () => {
+            await expect(investorConInstance.freezeInvestmentType(0))
+                .to.emit(investorConInstance, 'InvestmentTypeFrozen')
+                .withArgs(0);
+            await expect(
+                investorConInstance.addInvestmentDetails([acc2.address], [investment], 0)
+            ).to.be.revertedWith("Investment type is frozen");
+            await expect(
+                investorConInstance.freezeInvestmentType(0)
+            ).to.be.revertedWith("Investment type already frozen");
+        })
+        it('reverts for investment types which were never added', async () => {
+            await expect(investorConInstance.freezeInvestmentType(4)).to.be.revertedWith("Invalid Invested Index");
+        })
+    })
+
+    context('beneficiary change', () => {
+        const tgeTokens = investment.mul(5).div(100);
+        let acc3;
+        let acc4;
+
+        before(async () => {
+            await deploy();
+            [acc3, acc4] = [accounts[3], accounts[4]];
+            await investorConInstance.addInvestmentDetails([acc1.address, acc3.address], [investment, investment], 0);
+            await investorConInstance.addInvestmentDetails([acc1.address], [investment], 2);
+            await investorConInstance.connect(acc1).claimTGETokens(acc1.address, 0);
+        });
+
+        it('reverts proposals for address zero, the caller itself or without allocation', async () => {
+            await expect(
+                investorConInstance.connect(acc1).proposeBeneficiaryChange(ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid Address");
+            await expect(
+                investorConInstance.connect(acc1).proposeBeneficiaryChange(acc1.address)
+            ).to.be.revertedWith("Beneficiary is unchanged");
+            await expect(
+                investorConInstance.connect(acc2).proposeBeneficiaryChange(acc4.address)
+            ).to.be.revertedWith("No allocation to move");
+        })
+        it('proposes & cancels a beneficiary change', async () => {
+            await expect(investorConInstance.connect(acc1).proposeBeneficiaryChange(acc4.address))
+                .to.emit(investorConInstance, 'BeneficiaryChangeProposed')
+                .withArgs(acc1.address, acc4.address);
+            expect(await investorConInstance.pendingBeneficiaryOf(acc1.address)).to.equal(acc4.address);
+            await expect(investorConInstance.connect(acc1).cancelBeneficiaryChange())
+                .to.emit(investorConInstance, 'BeneficiaryChangeCancelled')
+                .withArgs(acc1.address, acc4.address);
+            await expect(
+                investorConInstance.connect(acc1).cancelBeneficiaryChange()
+            ).to.be.revertedWith("No beneficiary change proposed");
+        })
+        it('reverts acceptance without proposal or by a third party', async () => {
+            await expect(
+                investorConInstance.acceptBeneficiaryChange(acc1.address)
+            ).to.be.revertedWith("No beneficiary change proposed");
+            await investorConInstance.connect(acc1).proposeBeneficiaryChange(acc2.address);
+            await expect(
+                investorConInstance.connect(acc4).acceptBeneficiaryChange(acc1.address)
+            ).to.be.revertedWith("Caller cannot accept the change");
+        })
+        it('reverts when the new address is invested in the same investment type', async () => {
+            await investorConInstance.connect(acc1).proposeBeneficiaryChange(acc3.address);
+            await expect(
+                investorConInstance.acceptBeneficiaryChange(acc1.address)
+            ).to.be.revertedWith("Beneficiary already invested");
+        })
+        it('moves every allocation when accepted by the new address', async () => {
+            await investorConInstance.connect(acc1).proposeBeneficiaryChange(acc2.address);
+            const seed = await investorConInstance.investorsInvestmentDetails(acc1.address, 0);
+            await expect(investorConInstance.connect(acc2).acceptBeneficiaryChange(acc1.address))
+                .to.emit(investorConInstance, 'BeneficiaryChanged')
+                .withArgs(acc1.address, acc2.address, acc2.address);
+
+            const moved = await investorConInstance.investorsInvestmentDetails(acc2.address, 0);
+            expect(moved.totalTokensAllocated).to.equal(seed.totalTokensAllocated);
+            expect(moved.totalTokensClaimed).to.equal(tgeTokens);
+            expect(moved.isTGETokenClaimed).to.equal(true);
+            expect(moved.investmentTimestamp).to.equal(seed.investmentTimestamp);
+            expect(moved.isVesting).to.equal(true);
+            expect((await investorConInstance.investorsInvestmentDetails(acc2.address, 2)).totalTokensAllocated)
+                .to.equal(investment);
+            for (const index of [0, 2]) {
+                const previous = await investorConInstance.investorsInvestmentDetails(acc1.address, index);
+                expect(previous.totalTokensAllocated).to.equal(0);
+                expect(previous.isVesting).to.equal(false);
+            }
+            expect(await investorConInstance.pendingBeneficiaryOf(acc1.address)).to.equal(ethers.constants.AddressZero);
+        })
+        it('lets only the new address claim the moved allocations', async () => {
+            await expect(
+                investorConInstance.connect(acc1).claimVestingTokens(acc1.address, 2, investment)
+            ).to.be.revertedWith("Not added to investment index");
+            await investorConInstance.connect(acc2).claimVestingTokens(acc2.address, 2, investment);
+            expect(await solhubConInstance.balanceOf(acc2.address)).to.equal(investment);
+        })
+        it('moves the allocations when accepted by the owner', async () => {
+            await investorConInstance.connect(acc2).proposeBeneficiaryChange(acc4.address);
+            await expect(investorConInstance.acceptBeneficiaryChange(acc2.address))
+                .to.emit(investorConInstance, 'BeneficiaryChanged')
+                .withArgs(acc2.address, acc4.address, owner.address);
+            expect((await investorConInstance.investorsInvestmentDetails(acc4.address, 0)).totalTokensClaimed)
+                .to.equal(tgeTokens);
+            expect((await investorConInstance.investorsInvestmentDetails(acc4.address, 2)).isVesting).to.equal(false);
+        })
+    })
+
+    context('Merkle allocations', () => {
+        let tree;
+        let leaf;
+        let other;
+
+        before(async () => {
+            await deploy();
+            tree = buildAllocationTrees(validateAllocations([
+                { address: acc1.address, amount: '1000', round: 0 },
+                { address: acc2.address, amount: '2000', round: 0 },
+                { address: accounts[3].address, amount: '3000', round: 0 },
+            ]))[0];
+            [leaf, other] = tree.entries;
+        });
+
+        it('reverts setAllocationRoot when invoked without its role or for an invalid index', async () => {
+            await expect(
+                investorConInstance.connect(acc1).setAllocationRoot(0, tree.root)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+            await expect(
+                investorConInstance.setAllocationRoot(3, tree.root)
+            ).to.be.revertedWith("Invalid Invested Index");
+        })
+        it('reverts initialization before a root is published', async () => {
+            await expect(
+                investorConInstance.initializeInvestmentDetails(leaf.address, 0, leaf.amount, leaf.proof)
+            ).to.be.revertedWith("No allocation root");
+        })
+        it('publishes the root of an investment type', async () => {
+            await expect(investorConInstance.setAllocationRoot(0, tree.root))
+                .to.emit(investorConInstance, 'AllocationRootUpdated')
+                .withArgs(0, tree.root);
+        })
+        it('reverts for a leaf which is not in the tree', async () => {
+            await expect(
+                investorConInstance.initializeInvestmentDetails(leaf.address, 0, other.amount, leaf.proof)
+            ).to.be.revertedWith("Invalid allocation proof");
+            await expect(
+                investorConInstance.initializeInvestmentDetails(leaf.address, 1, leaf.amount, leaf.proof)
+            ).to.be.revertedWith("No allocation root");
+        })
+        it('initializes the allocation & pulls its tokens on the first TGE claim', async () => {
+            await expect(investorConInstance.connect(acc1).claimTGETokensWithProof(leaf.address, 0, leaf.amount, leaf.proof))
+                .to.emit(investorConInstance, 'InvestmentDetailsInitialized')
+                .withArgs(leaf.address, 0, leaf.amount);
+            const details = await investorConInstance.investorsInvestmentDetails(leaf.address, 0);
+            expect(details.totalTokensAllocated).to.equal(leaf.amount);
+            expect(details.isTGETokenClaimed).to.equal(true);
+            expect(await solhubConInstance.balanceOf(leaf.address)).to.equal(details.totalTGETokens);
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(leaf.amount);
+        })
+        it('does not initialize a leaf twice', async () => {
+            await expect(
+                investorConInstance.initializeInvestmentDetails(leaf.address, 0, leaf.amount, leaf.proof)
+            ).to.be.revertedWith("Allocation already initialized");
+            await investorConInstance.connect(acc1).claimVestingTokensWithProof(leaf.address, 0, leaf.amount, leaf.proof, 1);
+            expect((await investorConInstance.investorsInvestmentType(0)).totalTokensInvested).to.equal(leaf.amount);
+        })
+        it('initializes the allocation on the first vesting claim', async () => {
+            await investorConInstance.connect(acc2).claimVestingTokensWithProof(other.address, 0, other.amount, other.proof, other.amount);
+            expect(await solhubConInstance.balanceOf(other.address)).to.equal(other.amount);
+        })
+        it('counts initialized allocations against the cap', async () => {
+            const [third] = tree.entries.slice(2);
+            await investorConInstance.updateInvestmentTypeAllocation(0, ethers.BigNumber.from(leaf.amount).add(other.amount));
+            await expect(
+                investorConInstance.initializeInvestmentDetails(third.address, 0, third.amount, third.proof)
+            ).to.be.revertedWith("Allocation cap exceeded");
+        })
+    })
+})
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { deployProxy } = require("../utils/proxy");
+
+const { ethers } = hre;
+
+describe('Rescuable', () => {
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const investment = ethers.utils.parseEther('1000'); // 1000 SHUB
+    const stray = ethers.utils.parseUnits('250', 6); // 250 USDT
+    const oneEth = ethers.constants.WeiPerEther;
+    const TGE_TIME = 1624710715; // long reached
+    const TREASURY_ROLE = ethers.utils.id('TREASURY_ROLE');
+    const ETH = ethers.constants.AddressZero;
+
+    let owner;
+    let acc1;
+    let receiver;
+    let solhub;
+    let usdt;
+
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+    // NewSolhubInvestor & Vesting cannot receive ETH, it can still reach them e.g. through a selfdestruct
+    const sendEth = (contract, amount) =>
+        ethers.provider.send('hardhat_setBalance', [contract.address, ethers.utils.hexValue(amount)]);
+
+    const deploySolhub = async () => {
+        solhub = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+        usdt = await (await ethers.getContractFactory("MockUSDT")).deploy();
+    };
+
+    /**
+     * Checks `contract` sends the stray USDT & ETH it holds to `receiver` when `rescuer` asks, refusing `stranger`
+     */
+    const behavesAsRescuable = (getContract, getRescuer, getStranger, refusal) => {
+        it('reports the whole balance of a token or of ETH as rescuable', async () => {
+            const contract = getContract();
+            await usdt.mint(contract.address, stray);
+            await sendEth(contract, oneEth);
+            expect(await contract.rescuableBalance(usdt.address)).to.equal(stray);
+            expect(await contract.rescuableBalance(ETH)).to.equal(oneEth);
+        })
+        it('is restricted', async () => {
+            const stranger = getStranger();
+            await expect(
+                getContract().connect(stranger).rescue(usdt.address, stranger.address, stray)
+            ).to.be.revertedWith(refusal(stranger));
+        })
+        it('reverts for recipient address zero', async () => {
+            await expect(
+                getContract().connect(getRescuer()).rescue(usdt.address, ETH, stray)
+            ).to.be.revertedWith("Invalid Address");
+        })
+        it('reverts above the rescuable balance', async () => {
+            const contract = getContract().connect(getRescuer());
+            await expect(
+                contract.rescue(usdt.address, receiver.address, stray.add(1))
+            ).to.be.revertedWith("Amount exceeds rescuable balance");
+            await expect(
+                contract.rescue(ETH, receiver.address, oneEth.add(1))
+            ).to.be.revertedWith("Amount exceeds rescuable balance");
+        })
+        it('sends the tokens to the recipient', async () => {
+            const contract = getContract();
+            await expect(contract.connect(getRescuer()).rescue(usdt.address, receiver.address, stray))
+                .to.emit(contract, 'FundsRescued')
+                .withArgs(usdt.address, receiver.address, stray);
+            expect(await usdt.balanceOf(receiver.address)).to.equal(stray);
+            expect(await usdt.balanceOf(contract.address)).to.equal(0);
+        })
+        it('sends ETH to the recipient for token address zero', async () => {
+            const contract = getContract();
+            await expect(
+                () => contract.connect(getRescuer()).rescue(ETH, receiver.address, oneEth)
+            ).to.changeEtherBalance(receiver, oneEth);
+            expect(await ethers.provider.getBalance(contract.address)).to.equal(0);
+        })
+    };
+
+    before(async () => {
+        [owner, acc1] = await ethers.getSigners();
+    });
+
+    // A new recipient for every contract, whose balances start at 0
+    beforeEach(() => {
+        receiver = ethers.Wallet.createRandom().connect(ethers.provider);
+    });
+
+    context('Solhub', () => {
+        before(deploySolhub);
+
+        behavesAsRescuable(() => solhub, () => owner, () => acc1, (account) => missingRole(account, TREASURY_ROLE));
+
+        it('rescues SHUB sent to the token itself', async () => {
+            await solhub.transfer(solhub.address, investment);
+            await solhub.rescue(solhub.address, receiver.address, investment);
+            expect(await solhub.balanceOf(receiver.address)).to.equal(investment);
+        })
+    })
+
+    context('NewSolhubInvestor', () => {
+        let investor;
+
+        before(async () => {
+            await deploySolhub();
+            investor = await deployProxy(hre, "NewSolhubInvestor", [solhub.address, TGE_TIME]);
+            await solhub.approve(investor.address, initialSupply);
+        });
+
+        behavesAsRescuable(() => investor, () => owner, () => acc1, (account) => missingRole(account, TREASURY_ROLE));
+
+        it('keeps the SHUB owed to investors out of reach', async () => {
+            await investor.addInvestmentDetails([acc1.address], [investment], 0);
+            expect(await investor.totalTokensOwed()).to.equal(investment);
+            expect(await investor.rescuableBalance(solhub.address)).to.equal(0);
+            await expect(
+                investor.rescue(solhub.address, receiver.address, 1)
+            ).to.be.revertedWith("Amount exceeds rescuable balance");
+        })
+        it('rescues only the SHUB sent on top of the allocations', async () => {
+            await solhub.transfer(investor.address, investment);
+            expect(await investor.rescuableBalance(solhub.address)).to.equal(investment);
+            await expect(
+                investor.rescue(solhub.address, receiver.address, investment.add(1))
+            ).to.be.revertedWith("Amount exceeds rescuable balance");
+            await investor.rescue(solhub.address, receiver.address, investment);
+            expect(await solhub.balanceOf(investor.address)).to.equal(investment);
+        })
+        it('lowers the SHUB owed as investors claim', async () => {
+            await investor.connect(acc1).claimTGETokens(acc1.address, 0);
+            const claimed = await solhub.balanceOf(acc1.address);
+            expect(claimed).to.be.gt(0);
+            expect(await investor.totalTokensOwed()).to.equal(investment.sub(claimed));
+            expect(await investor.rescuableBalance(solhub.address)).to.equal(0);
+        })
+    })
+
+    context('Vesting', () => {
+        let vesting;
+
+        before(async () => {
+            await deploySolhub();
+            vesting = await deployProxy(hre, "Vesting", [solhub.address]);
+        });
+
+        behavesAsRescuable(() => vesting, () => owner, () => acc1, (account) => missingRole(account, TREASURY_ROLE));
+
+        it('rescues SHUB, which claims pull from the token holder', async () => {
+            await solhub.transfer(vesting.address, investment);
+            expect(await vesting.rescuableBalance(solhub.address)).to.equal(investment);
+            await vesting.rescue(solhub.address, receiver.address, investment);
+            expect(await solhub.balanceOf(receiver.address)).to.equal(investment);
+        })
+    })
+
+    context('SolhubInvestor', () => {
+        let investor;
+
+        before(async () => {
+            await deploySolhub();
+            investor = await (await ethers.getContractFactory("SolhubInvestor")).deploy(solhub.address);
+        });
+
+        behavesAsRescuable(() => investor, () => owner, () => acc1, () => "Ownable: caller is not the owner");
+    })
+
+    context('SolhubTimelock', () => {
+        const MIN_DELAY = 2 * 86400;
+        const NO_PREDECESSOR = ethers.constants.HashZero;
+        const SALT = ethers.utils.id('salt');
+        let timelock;
+
+        before(async () => {
+            await deploySolhub();
+            timelock = await (await ethers.getContractFactory("SolhubTimelock"))
+                .deploy(MIN_DELAY, [owner.address], [owner.address]);
+        });
+
+        it('rescues only through a call queued on itself', async () => {
+            await usdt.mint(timelock.address, stray);
+            await owner.sendTransaction({ to: timelock.address, value: oneEth });
+            await expect(
+                timelock.rescue(usdt.address, receiver.address, stray)
+            ).to.be.revertedWith("Caller must be timelock");
+
+            const calls = [
+                [usdt.address, receiver.address, stray],
+                [ETH, receiver.address, oneEth],
+            ].map((args) => [
+                timelock.address, 0, timelock.interface.encodeFunctionData('rescue', args), NO_PREDECESSOR, SALT,
+            ]);
+            for (const call of calls) {
+                await timelock.schedule(...call, MIN_DELAY);
+            }
+            await ethers.provider.send('evm_increaseTime', [MIN_DELAY]);
+            await expect(timelock.execute(...calls[0]))
+                .to.emit(timelock, 'FundsRescued')
+                .withArgs(usdt.address, receiver.address, stray);
+            await expect(() => timelock.execute(...calls[1])).to.changeEtherBalance(receiver, oneEth);
+            expect(await usdt.balanceOf(receiver.address)).to.equal(stray);
+            expect(await timelock.rescuableBalance(ETH)).to.equal(0);
+        })
+    })
+})
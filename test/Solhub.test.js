@@ -8,25 +8,33 @@ const { ethers } = require("hardhat");
  *       )
  * Thus, for Bib Numbers, the hex-encoded mechaninsm is used
  */
-describe('Solhub is [ERC20, Ownable]', () => {
+describe('Solhub is [ERC20, ERC20Permit, ERC20Votes, AccessControl]', () => {
     let accounts;
     let owner;
     let acc1;
     let acc2;
 
     const initialSupply = ethers.BigNumber.from('1000000000000000000000000000') // 1 Billion SHUB Coins
+    const maxSupply = initialSupply.mul(2) // 2 Billion SHUB Coins
     const actualTokenDecimals = 18;
     const updatedTokenDecimals = 8;
+    const MINTER_ROLE = ethers.utils.id('MINTER_ROLE');
+    const BURNER_ROLE = ethers.utils.id('BURNER_ROLE');
+    const TREASURY_ROLE = ethers.utils.id('TREASURY_ROLE');
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
 
     let solhubConInstance;
     let txObject;
 
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
     context('Solhub tests', () => {
         before(async () => {
             accounts = await ethers.getSigners();
             [owner, acc1, acc2] = accounts;
             const Solhub = await ethers.getContractFactory("Solhub");
-            solhubConInstance = await Solhub.deploy(initialSupply)
+            solhubConInstance = await Solhub.deploy(initialSupply, maxSupply)
         });
 
         context('checks constructor invocation is successful', () => {
@@ -42,20 +50,35 @@ describe('Solhub is [ERC20, Ownable]', () => {
             it('should verify totalSupply is 1 Billion SHUB', async () => {
                 expect(await solhubConInstance.totalSupply()).to.equal(initialSupply)
             })
+            it('should verify the supply is capped at 2 Billion SHUB', async () => {
+                expect(await solhubConInstance.cap()).to.equal(maxSupply)
+            })
+            it('should leave the decimals open to updates', async () => {
+                expect(await solhubConInstance.decimalsFinalized()).to.equal(false)
+                await expect(solhubConInstance.deployTransaction)
+                    .to.emit(solhubConInstance, 'DecimalsUpdated')
+                    .withArgs(actualTokenDecimals)
+            })
+            it('reverts when the initial supply exceeds the cap', async () => {
+                const Solhub = await ethers.getContractFactory("Solhub");
+                await expect(Solhub.deploy(maxSupply.add(1), maxSupply)).to.be.revertedWith('ERC20Capped: cap exceeded')
+                await expect(Solhub.deploy(0, 0)).to.be.revertedWith('ERC20Capped: cap is 0')
+            })
         })
 
         context('updateDecimals', () => {
-            it('reverts when updateDecimals is invoked by non-owner', async () => {
+            it('reverts when updateDecimals is invoked without its role', async () => {
                 await expect(
                     solhubConInstance.connect(acc1).updateDecimals(updatedTokenDecimals)
-                ).to.be.revertedWith("Ownable: caller is not the owner")
+                ).to.be.revertedWith(missingRole(acc1, DEFAULT_ADMIN_ROLE))
             })
             it('before update tokenDecimals is 18', async () => {
                 expect(await solhubConInstance.tokenDecimals()).to.equal(actualTokenDecimals)
             })
-            it('updates token decimals when invoked by owner', async () => {
-                txObject = await solhubConInstance.updateDecimals(updatedTokenDecimals)
-                expect(txObject.confirmations).to.equal(1);
+            it('updates token decimals when invoked by an admin', async () => {
+                await expect(solhubConInstance.updateDecimals(updatedTokenDecimals))
+                    .to.emit(solhubConInstance, 'DecimalsUpdated')
+                    .withArgs(updatedTokenDecimals)
             })
             it('after update tokenDecimals is 8', async () => {
                 expect(await solhubConInstance.decimals()).to.equal(updatedTokenDecimals)
@@ -67,37 +90,108 @@ describe('Solhub is [ERC20, Ownable]', () => {
         })
 
 
+        context('finalizeDecimals', () => {
+            let token;
+
+            before(async () => {
+                token = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+                await token.updateDecimals(updatedTokenDecimals);
+            })
+            it('reverts when finalizeDecimals is invoked without its role', async () => {
+                await expect(
+                    token.connect(acc1).finalizeDecimals()
+                ).to.be.revertedWith(missingRole(acc1, DEFAULT_ADMIN_ROLE))
+            })
+            it('fixes the current decimals', async () => {
+                await expect(token.finalizeDecimals())
+                    .to.emit(token, 'DecimalsFinalized')
+                    .withArgs(updatedTokenDecimals)
+                expect(await token.decimalsFinalized()).to.equal(true)
+                expect(await token.decimals()).to.equal(updatedTokenDecimals)
+            })
+            it('reverts any later update', async () => {
+                await expect(token.updateDecimals(actualTokenDecimals)).to.be.revertedWith('Decimals are finalized')
+                await expect(token.finalizeDecimals()).to.be.revertedWith('Decimals are finalized')
+                expect(await token.decimals()).to.equal(updatedTokenDecimals)
+            })
+        })
+
         context('burn', () => {
             const transferAmount = ethers.BigNumber.from('3000000000000000000000'); // 3000 SHUB
             const burnAmount = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
             const balanceAfterBurn = ethers.BigNumber.from('2000000000000000000000'); // 2000 SHUB
             before(async () => {
-                // Transfer 3000 SHUB to acc1 then burn 1000 SHUB from acc1
+                // Transfer 3000 SHUB to acc1, which burns 1000 SHUB of them itself
                 await solhubConInstance.transfer(acc1.address, transferAmount);
             })
-            it('reverts when burn is invoked by non-owner', async () => {
-                await expect(
-                    solhubConInstance.connect(acc1).burn(acc1.address, burnAmount)
-                ).to.be.revertedWith("Ownable: caller is not the owner")
-            })
             it("before burn account balance is 3000 SHUB", async () => {
                 expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(transferAmount)
             })
-            it('burns 1000 SHUB coins of acc1', async () => {
-                txObject = await solhubConInstance.burn(acc1.address, burnAmount)
-                expect(txObject.confirmations).to.equal(1);
+            it('burns 1000 SHUB coins of acc1 when invoked by acc1', async () => {
+                await expect(solhubConInstance.connect(acc1).burn(burnAmount))
+                    .to.emit(solhubConInstance, 'Transfer')
+                    .withArgs(acc1.address, ethers.constants.AddressZero, burnAmount)
             })
             it("after burn acc1 balance is 2000 SHUB coins", async () => {
                 expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(balanceAfterBurn);
+                expect(await solhubConInstance.totalSupply()).to.equal(initialSupply.sub(burnAmount));
+            })
+            it('reverts when burning more than the balance', async () => {
+                await expect(
+                    solhubConInstance.connect(acc1).burn(transferAmount)
+                ).to.be.revertedWith('ERC20: burn amount exceeds balance')
+            })
+        })
+
+        context('burnFrom', () => {
+            const burnAmount = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
+            const balanceBefore = ethers.BigNumber.from('2000000000000000000000'); // 2000 SHUB
+            it("cannot reduce the balance of a holder which did not approve the caller", async () => {
+                // The deployer holds every role, yet cannot burn tokens of acc1 without its consent
+                await expect(
+                    solhubConInstance.burnFrom(acc1.address, burnAmount)
+                ).to.be.revertedWith('ERC20: insufficient allowance')
+                await expect(
+                    solhubConInstance.connect(acc2).burnFrom(acc1.address, burnAmount)
+                ).to.be.revertedWith('ERC20: insufficient allowance')
+                expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(balanceBefore);
+            })
+            it('burns up to the allowance granted by the holder', async () => {
+                await solhubConInstance.connect(acc1).approve(acc2.address, burnAmount)
+                await expect(
+                    solhubConInstance.connect(acc2).burnFrom(acc1.address, burnAmount.add(1))
+                ).to.be.revertedWith('ERC20: insufficient allowance')
+                await solhubConInstance.connect(acc2).burnFrom(acc1.address, burnAmount)
+                expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(balanceBefore.sub(burnAmount));
+                expect(await solhubConInstance.allowance(acc1.address, acc2.address)).to.equal(0);
+            })
+        })
+
+        context('forceBurn', () => {
+            const burnAmount = ethers.BigNumber.from('500000000000000000000'); // 500 SHUB
+            const balanceBefore = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
+            it('reverts when forceBurn is invoked without its role', async () => {
+                await expect(
+                    solhubConInstance.connect(acc2).forceBurn(acc1.address, burnAmount)
+                ).to.be.revertedWith(missingRole(acc2, BURNER_ROLE))
+                expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(balanceBefore);
+            })
+            it('burns the tokens of a holder when invoked by a burner, logging it', async () => {
+                await expect(solhubConInstance.forceBurn(acc1.address, burnAmount))
+                    .to.emit(solhubConInstance, 'ForceBurned')
+                    .withArgs(owner.address, acc1.address, burnAmount)
+                    .and.to.emit(solhubConInstance, 'Transfer')
+                    .withArgs(acc1.address, ethers.constants.AddressZero, burnAmount)
+                expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(balanceBefore.sub(burnAmount));
             })
         })
 
         context('mint', () => {
             const mintAmount = ethers.BigNumber.from('3000000000000000000000'); // 3000 SHUB
-            it('reverts when mint is invoked by non-owner', async () => {
+            it('reverts when mint is invoked without its role', async () => {
                 await expect(
                     solhubConInstance.connect(acc2).mint(acc2.address, mintAmount)
-                ).to.be.revertedWith("Ownable: caller is not the owner")
+                ).to.be.revertedWith(missingRole(acc2, MINTER_ROLE))
             })
             it("before mint acc2 balance is 0 SHUB", async () => {
                 expect(await solhubConInstance.balanceOf(acc2.address)).to.equal(0)
@@ -109,6 +203,20 @@ describe('Solhub is [ERC20, Ownable]', () => {
             it("after mint acc2 balance is 3000 SHUB coins", async () => {
                 expect(await solhubConInstance.balanceOf(acc2.address)).to.equal(mintAmount);
             })
+            it('mints up to the cap but never above it', async () => {
+                const token = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+                await expect(
+                    token.mint(acc2.address, maxSupply.sub(initialSupply).add(1))
+                ).to.be.revertedWith('ERC20Capped: cap exceeded')
+                await token.mint(acc2.address, maxSupply.sub(initialSupply))
+                expect(await token.totalSupply()).to.equal(maxSupply)
+                await expect(token.mint(acc2.address, 1)).to.be.revertedWith('ERC20Capped: cap exceeded')
+
+                // Burnt tokens can be minted again
+                await token.connect(acc2).burn(mintAmount)
+                await token.mint(acc1.address, mintAmount)
+                expect(await token.totalSupply()).to.equal(maxSupply)
+            })
         })
 
         context('withdrawAll', () => {
@@ -126,13 +234,198 @@ describe('Solhub is [ERC20, Ownable]', () => {
             })
 
             it('should withdraw 1 Eth from the contract', async () => {
-                txObject = await solhubConInstance.withdrawAll()
-                expect(txObject.confirmations).to.equal(1);
+                await expect(solhubConInstance.withdrawAll())
+                    .to.emit(solhubConInstance, 'FundsRescued')
+                    .withArgs(ethers.constants.AddressZero, owner.address, oneEth)
             })
 
             it('after withdraw should verify contract balance to be 0 Eth', async () => {
                 expect(await ethers.provider.getBalance(solhubConInstance.address)).to.equal(0)
             })
         })
+
+        context('access control', () => {
+            const ROLES = [DEFAULT_ADMIN_ROLE, MINTER_ROLE, BURNER_ROLE, TREASURY_ROLE];
+            const amount = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
+            const PRIVILEGED = [
+                { role: DEFAULT_ADMIN_ROLE, name: 'updateDecimals', call: (c) => c.updateDecimals(actualTokenDecimals) },
+                { role: MINTER_ROLE, name: 'mint', call: (c) => c.mint(acc2.address, amount) },
+                { role: BURNER_ROLE, name: 'forceBurn', call: (c) => c.forceBurn(acc2.address, amount) },
+                { role: TREASURY_ROLE, name: 'withdrawAll', call: (c) => c.withdrawAll() },
+                { role: TREASURY_ROLE, name: 'rescue', call: (c) => c.rescue(ethers.constants.AddressZero, acc2.address, 0) },
+                { role: DEFAULT_ADMIN_ROLE, name: 'finalizeDecimals', call: (c) => c.finalizeDecimals() },
+            ];
+
+            it('grants every role to the deployer', async () => {
+                for (const role of ROLES) {
+                    expect(await solhubConInstance.hasRole(role, owner.address)).to.equal(true)
+                }
+            })
+            PRIVILEGED.forEach(({ role, name, call }) => {
+                it(`${name} requires its role`, async () => {
+                    const caller = accounts[5];
+                    const otherRoles = ROLES.filter((other) => other !== role);
+                    for (const other of otherRoles) {
+                        await solhubConInstance.grantRole(other, caller.address)
+                    }
+                    await expect(call(solhubConInstance.connect(caller))).to.be.revertedWith(missingRole(caller, role))
+                    for (const other of otherRoles) {
+                        await solhubConInstance.revokeRole(other, caller.address)
+                    }
+
+                    const holder = accounts[6];
+                    await solhubConInstance.grantRole(role, holder.address)
+                    await call(solhubConInstance.connect(holder))
+                    await solhubConInstance.revokeRole(role, holder.address)
+                })
+            })
+            it('only lets an admin grant & revoke roles', async () => {
+                await expect(
+                    solhubConInstance.connect(acc1).grantRole(MINTER_ROLE, acc1.address)
+                ).to.be.revertedWith(missingRole(acc1, DEFAULT_ADMIN_ROLE))
+                await expect(solhubConInstance.grantRole(MINTER_ROLE, acc1.address))
+                    .to.emit(solhubConInstance, 'RoleGranted')
+                    .withArgs(MINTER_ROLE, acc1.address, owner.address)
+                await solhubConInstance.connect(acc1).mint(acc1.address, amount)
+                await solhubConInstance.revokeRole(MINTER_ROLE, acc1.address)
+                await expect(
+                    solhubConInstance.connect(acc1).mint(acc1.address, amount)
+                ).to.be.revertedWith(missingRole(acc1, MINTER_ROLE))
+            })
+        })
+
+        context('permit', () => {
+            const amount = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
+            let token;
+
+            const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+            /**
+             * Signs an EIP-2612 permit of `signer` letting `spender` spend `value`
+             */
+            const signPermit = async (signer, spender, value, deadline, nonce) => {
+                const { chainId } = await ethers.provider.getNetwork();
+                const signature = await signer._signTypedData(
+                    { name: 'SolhubCoin', version: '1', chainId, verifyingContract: token.address },
+                    {
+                        Permit: [
+                            { name: 'owner', type: 'address' },
+                            { name: 'spender', type: 'address' },
+                            { name: 'value', type: 'uint256' },
+                            { name: 'nonce', type: 'uint256' },
+                            { name: 'deadline', type: 'uint256' },
+                        ],
+                    },
+                    {
+                        owner: signer.address,
+                        spender,
+                        value,
+                        nonce: nonce === undefined ? await token.nonces(signer.address) : nonce,
+                        deadline,
+                    }
+                );
+                const { v, r, s } = ethers.utils.splitSignature(signature);
+                return [signer.address, spender, value, deadline, v, r, s];
+            };
+
+            before(async () => {
+                token = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+                await token.transfer(acc1.address, amount);
+            });
+
+            it('approves a spender from a signature sent by anyone', async () => {
+                const deadline = (await latestTimestamp()) + 3600;
+                const args = await signPermit(acc1, acc2.address, amount, deadline);
+                await expect(token.connect(accounts[5]).permit(...args))
+                    .to.emit(token, 'Approval')
+                    .withArgs(acc1.address, acc2.address, amount)
+                expect(await token.allowance(acc1.address, acc2.address)).to.equal(amount)
+                expect(await token.nonces(acc1.address)).to.equal(1)
+
+                await token.connect(acc2).transferFrom(acc1.address, acc2.address, amount)
+                expect(await token.balanceOf(acc2.address)).to.equal(amount)
+            })
+            it('cannot replay a used signature', async () => {
+                const deadline = (await latestTimestamp()) + 3600;
+                const args = await signPermit(acc1, acc2.address, amount, deadline);
+                await token.permit(...args)
+                await expect(token.permit(...args)).to.be.revertedWith('ERC20Permit: invalid signature')
+                // Nor a signature of the used nonce
+                const reused = await signPermit(acc1, acc2.address, amount, deadline, 1);
+                await expect(token.permit(...reused)).to.be.revertedWith('ERC20Permit: invalid signature')
+            })
+            it('rejects an expired signature', async () => {
+                const deadline = (await latestTimestamp()) - 1;
+                const args = await signPermit(acc1, acc2.address, amount, deadline);
+                await expect(token.permit(...args)).to.be.revertedWith('ERC20Permit: expired deadline')
+            })
+            it('rejects a signature of another account or for other values', async () => {
+                const deadline = (await latestTimestamp()) + 3600;
+                const [, spender, value, , v, r, s] = await signPermit(acc2, acc2.address, amount, deadline);
+                await expect(
+                    token.permit(acc1.address, spender, value, deadline, v, r, s)
+                ).to.be.revertedWith('ERC20Permit: invalid signature')
+                const args = await signPermit(acc1, acc2.address, amount, deadline);
+                args[2] = amount.mul(2);
+                await expect(token.permit(...args)).to.be.revertedWith('ERC20Permit: invalid signature')
+            })
+        })
+
+        context('votes', () => {
+            const amount = ethers.BigNumber.from('1000000000000000000000'); // 1000 SHUB
+            let token;
+
+            const mine = () => ethers.provider.send('evm_mine', []);
+
+            beforeEach(async () => {
+                token = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+            });
+
+            it('only counts delegated balances', async () => {
+                expect(await token.getVotes(owner.address)).to.equal(0)
+                await expect(token.delegate(owner.address))
+                    .to.emit(token, 'DelegateChanged')
+                    .withArgs(owner.address, ethers.constants.AddressZero, owner.address)
+                    .and.to.emit(token, 'DelegateVotesChanged')
+                    .withArgs(owner.address, 0, initialSupply)
+                expect(await token.delegates(owner.address)).to.equal(owner.address)
+                expect(await token.getVotes(owner.address)).to.equal(initialSupply)
+            })
+            it('moves votes along with transfers & delegation changes', async () => {
+                await token.delegate(owner.address)
+                await token.connect(acc1).delegate(acc2.address)
+                await token.transfer(acc1.address, amount)
+                expect(await token.getVotes(owner.address)).to.equal(initialSupply.sub(amount))
+                expect(await token.getVotes(acc2.address)).to.equal(amount)
+                expect(await token.getVotes(acc1.address)).to.equal(0)
+
+                await token.connect(acc1).delegate(acc1.address)
+                expect(await token.getVotes(acc2.address)).to.equal(0)
+                expect(await token.getVotes(acc1.address)).to.equal(amount)
+            })
+            it('keeps a checkpoint per block for past votes & supply', async () => {
+                await token.connect(acc1).delegate(acc1.address)
+                const first = (await (await token.transfer(acc1.address, amount)).wait()).blockNumber;
+                const second = (await (await token.transfer(acc1.address, amount)).wait()).blockNumber;
+                await token.mint(owner.address, amount)
+                const minted = await ethers.provider.getBlockNumber();
+                await mine()
+
+                expect(await token.numCheckpoints(acc1.address)).to.equal(2)
+                expect(await token.getPastVotes(acc1.address, first - 1)).to.equal(0)
+                expect(await token.getPastVotes(acc1.address, first)).to.equal(amount)
+                expect(await token.getPastVotes(acc1.address, second)).to.equal(amount.mul(2))
+                expect(await token.getPastTotalSupply(second)).to.equal(initialSupply)
+                expect(await token.getPastTotalSupply(minted)).to.equal(initialSupply.add(amount))
+                await expect(
+                    token.getPastVotes(acc1.address, await ethers.provider.getBlockNumber())
+                ).to.be.revertedWith('ERC20Votes: future lookup')
+            })
+            it('removes burnt tokens from the votes', async () => {
+                await token.delegate(owner.address)
+                await token.burn(amount)
+                expect(await token.getVotes(owner.address)).to.equal(initialSupply.sub(amount))
+            })
+        })
     })
-})
\ No newline at end of file
+})
@@ -0,0 +1,583 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { deployProxy } = require("../utils/proxy");
+
+const { ethers } = hre;
+
+describe('SolhubSale is [AccessControl, Pausable]', () => {
+    const DAY = 86400;
+    const [SEED, STRATEGIC, PRIVATE] = [0, 1, 2];
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const tokenPrice = ethers.utils.parseEther('0.05'); // $0.05 per SHUB
+    const ETH_USD = ethers.utils.parseUnits('2000', 8); // $2000, 8 decimals like mainnet
+    const USDT_ETH = ethers.utils.parseEther('0.0005'); // $1 in ETH, 18 decimals like mainnet
+    const USDT_USD = ethers.utils.parseUnits('1', 8);
+    const tokensPerETH = ethers.utils.parseEther('40000');
+    const tokensPerUSDT = ethers.utils.parseEther('20');
+    const oneETH = ethers.utils.parseEther('1');
+    const usd = (amount) => ethers.utils.parseEther(amount);
+    const usdt = (amount) => ethers.utils.parseUnits(amount, 6);
+    const KYC_ADMIN_ROLE = ethers.utils.id('KYC_ADMIN_ROLE');
+    const PAUSER_ROLE = ethers.utils.id('PAUSER_ROLE');
+    const TREASURY_ROLE = ethers.utils.id('TREASURY_ROLE');
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+    let accounts;
+    let owner;
+    let buyer;
+    let wallet;
+    let kycAdmin;
+    let solhub;
+    let investor;
+    let usdtToken;
+    let ethUsdFeed;
+    let usdtEthFeed;
+    let sale;
+    let startTime;
+    let tgeTime;
+
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+    const setTime = async (timestamp) => {
+        await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+        await ethers.provider.send('evm_mine', []);
+    };
+
+    const phaseOf = (overrides = {}) => ({
+        tokenPrice,
+        softCap: 0,
+        hardCap: ethers.utils.parseEther('1000000'),
+        startTime,
+        endTime: startTime + 7 * DAY,
+        minContribution: usd('100'),
+        maxContribution: usd('50000'),
+        tokensSold: 0,
+        ...overrides,
+    });
+
+    const deploySale = async (usdtFeed = usdtEthFeed, isUsdtFeedEthQuoted = true) => {
+        const SolhubSale = await ethers.getContractFactory("SolhubSale");
+        return SolhubSale.deploy(
+            investor.address,
+            usdtToken.address,
+            ethUsdFeed.address,
+            usdtFeed.address,
+            isUsdtFeedEthQuoted,
+            wallet.address
+        );
+    };
+
+    // Deploys a sale with a SEED phase starting in a day, buyer whitelisted, and the TGE in a month
+    const deploy = async () => {
+        startTime = await latestTimestamp() + DAY;
+        tgeTime = startTime + 30 * DAY;
+        solhub = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+        investor = await deployProxy(hre, "NewSolhubInvestor", [solhub.address, tgeTime]);
+        await solhub.approve(investor.address, initialSupply);
+        usdtToken = await (await ethers.getContractFactory("MockUSDT")).deploy();
+        const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+        ethUsdFeed = await MockV3Aggregator.deploy(8, ETH_USD);
+        usdtEthFeed = await MockV3Aggregator.deploy(18, USDT_ETH);
+        sale = await deploySale();
+        await investor.setAllocator(sale.address, true);
+        await sale.grantRole(KYC_ADMIN_ROLE, kycAdmin.address);
+        await sale.connect(kycAdmin).setWhitelisted([buyer.address], true);
+        await sale.configurePhase(SEED, phaseOf());
+        await usdtToken.mint(buyer.address, usdt('100000'));
+        await usdtToken.connect(buyer).approve(sale.address, usdt('100000'));
+    };
+
+    // Keeps the feeds fresh after moving the time forward
+    const updateFeeds = async () => {
+        await ethUsdFeed.updateAnswer(ETH_USD);
+        await usdtEthFeed.updateAnswer(USDT_ETH);
+    };
+
+    const startPhase = async () => {
+        await setTime(startTime);
+        await updateFeeds();
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        [owner, buyer, wallet, kycAdmin] = accounts;
+    });
+
+    context('constructor', () => {
+        before(deploy);
+
+        it('reverts for the investor contract at address zero', async () => {
+            const SolhubSale = await ethers.getContractFactory("SolhubSale");
+            await expect(SolhubSale.deploy(
+                ethers.constants.AddressZero,
+                usdtToken.address,
+                ethUsdFeed.address,
+                usdtEthFeed.address,
+                true,
+                wallet.address
+            )).to.be.revertedWith("Invalid investor contract");
+        })
+        it('grants every role to the deployer', async () => {
+            for (const role of [DEFAULT_ADMIN_ROLE, KYC_ADMIN_ROLE, PAUSER_ROLE, TREASURY_ROLE]) {
+                expect(await sale.hasRole(role, owner.address)).to.equal(true);
+            }
+        })
+        it('sets the sale parameters', async () => {
+            expect(await sale.investorContract()).to.equal(investor.address);
+            expect(await sale.wallet()).to.equal(wallet.address);
+            expect((await sale.ethUsdFeed()).maxAge).to.equal(3600);
+            expect((await sale.usdtFeed()).maxAge).to.equal(DAY);
+        })
+    })
+
+    context('prices', () => {
+        before(deploy);
+
+        it('reads the ETH / USD feed with 18 decimals', async () => {
+            expect(await sale.getETHPrice()).to.equal(usd('2000'));
+        })
+        it('derives the USDT price from a USDT / ETH feed', async () => {
+            expect(await sale.getUSDTPrice()).to.equal(usd('1'));
+        })
+        it('reads a USDT / USD feed', async () => {
+            const usdtUsdFeed = await (await ethers.getContractFactory("MockV3Aggregator")).deploy(8, USDT_USD.mul(99).div(100));
+            const usdSale = await deploySale(usdtUsdFeed, false);
+            await usdSale.configurePhase(SEED, phaseOf());
+            expect(await usdSale.getUSDTPrice()).to.equal(usd('0.99'));
+            expect(await usdSale.getTokensForUSDT(SEED, usdt('1'))).to.equal(tokensPerUSDT.mul(99).div(100));
+        })
+        it('quotes the tokens bought in a phase', async () => {
+            expect(await sale.getTokensForETH(SEED, oneETH)).to.equal(tokensPerETH);
+            expect(await sale.getTokensForUSDT(SEED, usdt('10'))).to.equal(tokensPerUSDT.mul(10));
+            await expect(sale.getTokensForETH(STRATEGIC, oneETH)).to.be.revertedWith("Phase not configured");
+        })
+        it('reverts for a stale answer', async () => {
+            const now = await latestTimestamp();
+            await ethUsdFeed.updateRoundData(2, ETH_USD, now - 3601, now - 3601);
+            await expect(sale.getETHPrice()).to.be.revertedWith("Stale feed price");
+            await expect(sale.getUSDTPrice()).to.be.revertedWith("Stale feed price");
+        })
+        it('lets only an admin update the max ages', async () => {
+            await expect(sale.connect(buyer).setPriceFeedMaxAges(7200, DAY))
+                .to.be.revertedWith(missingRole(buyer, DEFAULT_ADMIN_ROLE));
+            await expect(sale.setPriceFeedMaxAges(0, DAY)).to.be.revertedWith("Max age is 0");
+            await expect(sale.setPriceFeedMaxAges(7200, DAY))
+                .to.emit(sale, 'PriceFeedMaxAgesUpdated')
+                .withArgs(7200, DAY);
+            expect(await sale.getETHPrice()).to.equal(usd('2000'));
+        })
+        it('reverts for an answer which is not positive', async () => {
+            await ethUsdFeed.updateAnswer(0);
+            await expect(sale.getETHPrice()).to.be.revertedWith("Invalid feed price");
+            await ethUsdFeed.updateAnswer(-1);
+            await expect(sale.getETHPrice()).to.be.revertedWith("Invalid feed price");
+        })
+        it('reverts for an answer carried over from a previous round', async () => {
+            const now = await latestTimestamp();
+            await ethUsdFeed.setRoundData(10, ETH_USD, now, now, 9);
+            await expect(sale.getETHPrice()).to.be.revertedWith("Incomplete feed round");
+            await ethUsdFeed.setRoundData(11, ETH_USD, 0, 0, 11);
+            await expect(sale.getETHPrice()).to.be.revertedWith("Incomplete feed round");
+        })
+    })
+
+    context('phases', () => {
+        before(deploy);
+
+        it('lets only an admin configure a phase', async () => {
+            await expect(
+                sale.connect(buyer).configurePhase(STRATEGIC, phaseOf())
+            ).to.be.revertedWith(missingRole(buyer, DEFAULT_ADMIN_ROLE));
+        })
+        it('reverts for an investment type which was never added', async () => {
+            await expect(sale.configurePhase(3, phaseOf())).to.be.revertedWith("Invalid Invested Index");
+        })
+        it('reverts for invalid phase parameters', async () => {
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ tokenPrice: 0 })))
+                .to.be.revertedWith("Token price is 0");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ hardCap: 0 })))
+                .to.be.revertedWith("Invalid phase caps");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ softCap: usd('1000001') })))
+                .to.be.revertedWith("Invalid phase caps");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ endTime: startTime })))
+                .to.be.revertedWith("Invalid phase times");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ startTime: startTime - 2 * DAY })))
+                .to.be.revertedWith("Invalid phase times");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ maxContribution: 0 })))
+                .to.be.revertedWith("Invalid contribution limits");
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ minContribution: usd('50001') })))
+                .to.be.revertedWith("Invalid contribution limits");
+        })
+        it('reverts for a phase which does not end before the TGE time', async () => {
+            await expect(sale.configurePhase(STRATEGIC, phaseOf({ endTime: tgeTime })))
+                .to.be.revertedWith("Phase must end before TGE");
+            const noTGEInvestor = await deployProxy(hre, "NewSolhubInvestor", [solhub.address, 0]);
+            const noTGESale = await (await ethers.getContractFactory("SolhubSale")).deploy(
+                noTGEInvestor.address,
+                usdtToken.address,
+                ethUsdFeed.address,
+                usdtEthFeed.address,
+                true,
+                wallet.address
+            );
+            await expect(noTGESale.configurePhase(STRATEGIC, phaseOf()))
+                .to.be.revertedWith("Phase must end before TGE");
+        })
+        it('configures the phase of an investment type', async () => {
+            const phase = phaseOf({ tokenPrice: tokenPrice.mul(2), softCap: usd('1000') });
+            await expect(sale.configurePhase(STRATEGIC, phase))
+                .to.emit(sale, 'PhaseConfigured')
+                .withArgs(
+                    STRATEGIC,
+                    phase.tokenPrice,
+                    phase.softCap,
+                    phase.hardCap,
+                    phase.startTime,
+                    phase.endTime,
+                    phase.minContribution,
+                    phase.maxContribution
+                );
+            const stored = await sale.phases(STRATEGIC);
+            expect(stored.tokenPrice).to.equal(phase.tokenPrice);
+            expect(stored.softCap).to.equal(phase.softCap);
+            expect(stored.endTime).to.equal(phase.endTime);
+            expect(await sale.isPhaseActive(STRATEGIC)).to.equal(false);
+        })
+        it('reverts once the phase started', async () => {
+            await startPhase();
+            expect(await sale.isPhaseActive(SEED)).to.equal(true);
+            await expect(
+                sale.configurePhase(SEED, phaseOf({ startTime: startTime + DAY }))
+            ).to.be.revertedWith("Phase already started");
+        })
+    })
+
+    context('whitelist', () => {
+        before(deploy);
+
+        it('lets only an admin grant the KYC admin role', async () => {
+            await expect(
+                sale.connect(buyer).grantRole(KYC_ADMIN_ROLE, buyer.address)
+            ).to.be.revertedWith(missingRole(buyer, DEFAULT_ADMIN_ROLE));
+            await expect(sale.grantRole(KYC_ADMIN_ROLE, accounts[5].address))
+                .to.emit(sale, 'RoleGranted')
+                .withArgs(KYC_ADMIN_ROLE, accounts[5].address, owner.address);
+        })
+        it('lets only KYC admins whitelist buyers', async () => {
+            await expect(
+                sale.connect(buyer).setWhitelisted([accounts[4].address], true)
+            ).to.be.revertedWith(missingRole(buyer, KYC_ADMIN_ROLE));
+            await expect(sale.connect(accounts[5]).setWhitelisted([accounts[4].address], true))
+                .to.emit(sale, 'WhitelistUpdated')
+                .withArgs(accounts[4].address, true);
+            expect(await sale.isWhitelisted(accounts[4].address)).to.equal(true);
+        })
+        it('reverts purchases of buyers who are not whitelisted', async () => {
+            await startPhase();
+            await sale.connect(kycAdmin).setWhitelisted([accounts[4].address], false);
+            await expect(
+                sale.connect(accounts[4]).buyWithETH(SEED, 0, { value: oneETH })
+            ).to.be.revertedWith("Buyer not whitelisted");
+        })
+        it('revokes KYC admins', async () => {
+            await sale.revokeRole(KYC_ADMIN_ROLE, accounts[5].address);
+            await expect(
+                sale.connect(accounts[5]).setWhitelisted([accounts[4].address], true)
+            ).to.be.revertedWith(missingRole(accounts[5], KYC_ADMIN_ROLE));
+        })
+    })
+
+    context('purchases', () => {
+        const tgePercent = 5;
+
+        before(deploy);
+
+        it('reverts before the phase starts', async () => {
+            await expect(
+                sale.connect(buyer).buyWithETH(SEED, 0, { value: oneETH })
+            ).to.be.revertedWith("Phase not active");
+        })
+        it('reverts for a phase which was never configured', async () => {
+            await startPhase();
+            await expect(
+                sale.connect(buyer).buyWithETH(STRATEGIC, 0, { value: oneETH })
+            ).to.be.revertedWith("Phase not active");
+        })
+        it('credits the tokens bought with ETH & forwards the ETH to the wallet', async () => {
+            const walletBalance = await wallet.getBalance();
+            const tx = await sale.connect(buyer).buyWithETH(SEED, tokensPerETH, { value: oneETH });
+            await expect(tx)
+                .to.emit(sale, 'TokensPurchased')
+                .withArgs(buyer.address, SEED, ethers.constants.AddressZero, oneETH, usd('2000'), tokensPerETH);
+            await expect(tx)
+                .to.emit(investor, 'InvestmentAllocated')
+                .withArgs(buyer.address, SEED, tokensPerETH, tokensPerETH, tokensPerETH.mul(tgePercent).div(100));
+            expect(await wallet.getBalance()).to.equal(walletBalance.add(oneETH));
+            expect(await ethers.provider.getBalance(sale.address)).to.equal(0);
+            expect(await solhub.balanceOf(investor.address)).to.equal(tokensPerETH);
+        })
+        it('credits the tokens bought with USDT to the same allocation', async () => {
+            const amount = usdt('500');
+            const tokens = tokensPerUSDT.mul(500);
+            await expect(sale.connect(buyer).buyWithUSDT(SEED, amount, 0))
+                .to.emit(sale, 'TokensPurchased')
+                .withArgs(buyer.address, SEED, usdtToken.address, amount, usd('500'), tokens);
+            expect(await usdtToken.balanceOf(wallet.address)).to.equal(amount);
+            const details = await investor.investorsInvestmentDetails(buyer.address, SEED);
+            expect(details.totalTokensAllocated).to.equal(tokensPerETH.add(tokens));
+            const contribution = await sale.contributions(SEED, buyer.address);
+            expect(contribution.tokens).to.equal(tokensPerETH.add(tokens));
+            expect(contribution.usdValue).to.equal(usd('2500'));
+            expect((await sale.phases(SEED)).tokensSold).to.equal(tokensPerETH.add(tokens));
+            expect(await sale.totalTokensSold()).to.equal(tokensPerETH.add(tokens));
+        })
+        it('reverts below the minimum number of tokens', async () => {
+            await expect(
+                sale.connect(buyer).buyWithETH(SEED, tokensPerETH.add(1), { value: oneETH })
+            ).to.be.revertedWith("Tokens below minimum");
+            await expect(
+                sale.connect(buyer).buyWithUSDT(SEED, usdt('100'), tokensPerUSDT.mul(100).add(1))
+            ).to.be.revertedWith("Tokens below minimum");
+        })
+        it('reverts for empty payments', async () => {
+            await expect(sale.connect(buyer).buyWithETH(SEED, 0)).to.be.revertedWith("No ETH sent");
+            await expect(sale.connect(buyer).buyWithUSDT(SEED, 0, 0)).to.be.revertedWith("No USDT sent");
+        })
+        it('enforces the contribution limits of a wallet', async () => {
+            await sale.connect(kycAdmin).setWhitelisted([accounts[4].address], true);
+            await usdtToken.mint(accounts[4].address, usdt('100'));
+            await usdtToken.connect(accounts[4]).approve(sale.address, usdt('100'));
+            await expect(
+                sale.connect(accounts[4]).buyWithUSDT(SEED, usdt('99'), 0)
+            ).to.be.revertedWith("Below min contribution");
+            await expect(
+                sale.connect(buyer).buyWithUSDT(SEED, usdt('47501'), 0)
+            ).to.be.revertedWith("Above max contribution");
+            // The minimum counts the previous purchases of the wallet
+            await sale.connect(buyer).buyWithUSDT(SEED, usdt('1'), 0);
+        })
+        it('reverts with a stale price', async () => {
+            const now = await latestTimestamp();
+            await usdtEthFeed.updateRoundData(2, USDT_ETH, now - DAY - 1, now - DAY - 1);
+            await expect(sale.connect(buyer).buyWithUSDT(SEED, usdt('100'), 0)).to.be.revertedWith("Stale feed price");
+            await usdtEthFeed.updateAnswer(USDT_ETH);
+        })
+        it('reverts above the allocation cap of the investment type', async () => {
+            await expect(
+                sale.connect(buyer).buyWithUSDT(SEED, usdt('40000'), 0)
+            ).to.be.revertedWith("Allocation cap exceeded");
+        })
+        it('reverts above the hard cap of the phase', async () => {
+            await sale.configurePhase(STRATEGIC, phaseOf({
+                hardCap: tokensPerUSDT.mul(150),
+                startTime: await latestTimestamp() + DAY,
+            }));
+            await setTime((await sale.phases(STRATEGIC)).startTime.toNumber());
+            await updateFeeds();
+            await sale.connect(buyer).buyWithUSDT(STRATEGIC, usdt('100'), 0);
+            await expect(
+                sale.connect(buyer).buyWithUSDT(STRATEGIC, usdt('51'), 0)
+            ).to.be.revertedWith("Phase hard cap exceeded");
+            expect((await investor.investorsInvestmentDetails(buyer.address, STRATEGIC)).totalTokensAllocated)
+                .to.equal(tokensPerUSDT.mul(100));
+        })
+        it('lets only a pauser pause the sale', async () => {
+            await expect(sale.connect(buyer).pauseContract()).to.be.revertedWith(missingRole(buyer, PAUSER_ROLE));
+            await sale.grantRole(PAUSER_ROLE, accounts[5].address);
+            await sale.connect(accounts[5]).pauseContract();
+            await expect(
+                sale.connect(buyer).buyWithETH(SEED, 0, { value: oneETH })
+            ).to.be.revertedWith("Pausable: paused");
+            await expect(sale.connect(buyer).unPauseContract()).to.be.revertedWith(missingRole(buyer, PAUSER_ROLE));
+            await sale.connect(accounts[5]).unPauseContract();
+            await sale.revokeRole(PAUSER_ROLE, accounts[5].address);
+        })
+        it('reverts once the sale is no longer an allocator', async () => {
+            await investor.setAllocator(sale.address, false);
+            await expect(
+                sale.connect(buyer).buyWithUSDT(SEED, usdt('100'), 0)
+            ).to.be.revertedWith("Caller is not an allocator");
+            await investor.setAllocator(sale.address, true);
+        })
+        it('reverts after the phase ends', async () => {
+            await setTime(startTime + 7 * DAY);
+            await updateFeeds();
+            await expect(
+                sale.connect(buyer).buyWithUSDT(SEED, usdt('100'), 0)
+            ).to.be.revertedWith("Phase not active");
+        })
+    })
+
+    context('soft cap', () => {
+        const softCap = tokensPerETH.mul(2);
+        const buyer2 = () => accounts[4];
+
+        const configureSoftCapPhase = async () => {
+            await deploy();
+            await sale.connect(kycAdmin).setWhitelisted([buyer2().address], true);
+            await usdtToken.mint(buyer2().address, usdt('100000'));
+            await usdtToken.connect(buyer2()).approve(sale.address, usdt('100000'));
+            await sale.configurePhase(PRIVATE, phaseOf({ softCap }));
+            await startPhase();
+        };
+
+        const gasCost = async (tx) => {
+            const receipt = await tx.wait();
+            return receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        };
+
+        context('not reached', () => {
+            before(configureSoftCapPhase);
+
+            it('holds the payments in the sale', async () => {
+                await sale.connect(buyer).buyWithETH(PRIVATE, 0, { value: oneETH });
+                await sale.connect(buyer).buyWithUSDT(PRIVATE, usdt('500'), 0);
+                await sale.connect(buyer2()).buyWithUSDT(PRIVATE, usdt('100'), 0);
+                expect(await ethers.provider.getBalance(sale.address)).to.equal(oneETH);
+                expect(await usdtToken.balanceOf(sale.address)).to.equal(usdt('600'));
+                expect(await sale.ethEscrowOf(PRIVATE)).to.equal(oneETH);
+                expect(await sale.usdtEscrowOf(PRIVATE)).to.equal(usdt('600'));
+                expect((await investor.investorsInvestmentDetails(buyer.address, PRIVATE)).isVesting).to.equal(true);
+            })
+            it('keeps the payments below the soft cap', async () => {
+                await expect(sale.withdrawPhaseFunds(PRIVATE)).to.be.revertedWith("Soft cap not reached");
+            })
+            it('leaves the payments held out of the rescues', async () => {
+                const receiver = accounts[5];
+                await usdtToken.mint(sale.address, usdt('50'));
+                expect(await sale.totalEthEscrow()).to.equal(oneETH);
+                expect(await sale.totalUsdtEscrow()).to.equal(usdt('600'));
+                expect(await sale.rescuableBalance(ethers.constants.AddressZero)).to.equal(0);
+                expect(await sale.rescuableBalance(usdtToken.address)).to.equal(usdt('50'));
+
+                await expect(
+                    sale.connect(buyer).rescue(usdtToken.address, receiver.address, usdt('50'))
+                ).to.be.revertedWith(missingRole(buyer, TREASURY_ROLE));
+                await expect(
+                    sale.rescue(usdtToken.address, receiver.address, usdt('51'))
+                ).to.be.revertedWith("Amount exceeds rescuable balance");
+                await expect(
+                    sale.rescue(ethers.constants.AddressZero, receiver.address, 1)
+                ).to.be.revertedWith("Amount exceeds rescuable balance");
+                await expect(sale.rescue(usdtToken.address, receiver.address, usdt('50')))
+                    .to.emit(sale, 'FundsRescued')
+                    .withArgs(usdtToken.address, receiver.address, usdt('50'));
+                expect(await usdtToken.balanceOf(sale.address)).to.equal(usdt('600'));
+            })
+            it('reverts refunds until the phase ends', async () => {
+                await expect(sale.connect(buyer).claimRefund(PRIVATE)).to.be.revertedWith("Refunds not available");
+            })
+            it('refunds the ETH & USDT paid & removes the tokens bought from the allocation', async () => {
+                await setTime(startTime + 7 * DAY);
+                const tokens = tokensPerETH.add(tokensPerUSDT.mul(500));
+                const ethBalance = await buyer.getBalance();
+                const usdtBalance = await usdtToken.balanceOf(buyer.address);
+                const ownerBalance = await solhub.balanceOf(owner.address);
+
+                const tx = await sale.connect(buyer).claimRefund(PRIVATE);
+                await expect(tx)
+                    .to.emit(sale, 'Refunded')
+                    .withArgs(buyer.address, PRIVATE, oneETH, usdt('500'), tokens);
+                await expect(tx)
+                    .to.emit(investor, 'InvestmentRemoved')
+                    .withArgs(buyer.address, PRIVATE, tokens, 0, 0);
+                expect(await buyer.getBalance()).to.equal(ethBalance.add(oneETH).sub(await gasCost(tx)));
+                expect(await usdtToken.balanceOf(buyer.address)).to.equal(usdtBalance.add(usdt('500')));
+                expect(await solhub.balanceOf(owner.address)).to.equal(ownerBalance.add(tokens));
+                expect((await investor.investorsInvestmentDetails(buyer.address, PRIVATE)).isVesting).to.equal(false);
+                expect((await investor.investorsInvestmentType(PRIVATE)).totalTokensInvested)
+                    .to.equal(tokensPerUSDT.mul(100));
+                expect(await sale.ethEscrowOf(PRIVATE)).to.equal(0);
+                expect(await sale.usdtEscrowOf(PRIVATE)).to.equal(usdt('100'));
+                expect(await sale.totalEthEscrow()).to.equal(0);
+                expect(await sale.totalUsdtEscrow()).to.equal(usdt('100'));
+            })
+            it('refunds a buyer once', async () => {
+                await expect(sale.connect(buyer).claimRefund(PRIVATE)).to.be.revertedWith("Nothing to refund");
+            })
+        })
+
+        context('allocation removal refused by the investor contract', () => {
+            const tokens = tokensPerUSDT.mul(500);
+
+            before(async () => {
+                await configureSoftCapPhase();
+                await sale.connect(buyer).buyWithUSDT(PRIVATE, usdt('500'), 0);
+                await sale.connect(buyer2()).buyWithUSDT(PRIVATE, usdt('500'), 0);
+                await setTime(startTime + 7 * DAY);
+            });
+
+            it('reverts refunds while the investor contract is paused, keeping the escrow', async () => {
+                await investor.pauseContract();
+                await expect(sale.connect(buyer).claimRefund(PRIVATE)).to.be.revertedWith("Pausable: paused");
+                expect(await usdtToken.balanceOf(sale.address)).to.equal(usdt('1000'));
+                expect((await sale.contributions(PRIVATE, buyer.address)).tokens).to.equal(tokens);
+            })
+            it('refunds once the investor contract is unpaused', async () => {
+                await investor.unPauseContract();
+                await expect(sale.connect(buyer).claimRefund(PRIVATE))
+                    .to.emit(investor, 'InvestmentRemoved')
+                    .withArgs(buyer.address, PRIVATE, tokens, 0, 0);
+                expect((await investor.investorsInvestmentDetails(buyer.address, PRIVATE)).totalTokensAllocated)
+                    .to.equal(0);
+            })
+            it('reverts refunds once the TGE time is reached, leaving the allocation claimable', async () => {
+                await setTime(tgeTime);
+                await expect(sale.connect(buyer2()).claimRefund(PRIVATE)).to.be.revertedWith("TGE time is locked");
+                expect(await usdtToken.balanceOf(sale.address)).to.equal(usdt('500'));
+                expect((await investor.investorsInvestmentDetails(buyer2().address, PRIVATE)).totalTokensAllocated)
+                    .to.equal(tokens);
+            })
+        })
+
+        context('reached', () => {
+            before(configureSoftCapPhase);
+
+            it('sends the payments held to the wallet once the soft cap is reached', async () => {
+                await sale.connect(buyer).buyWithETH(PRIVATE, 0, { value: oneETH });
+                await sale.connect(buyer2()).buyWithUSDT(PRIVATE, usdt('2000'), 0);
+                const walletBalance = await wallet.getBalance();
+                await expect(sale.connect(buyer).withdrawPhaseFunds(PRIVATE))
+                    .to.be.revertedWith(missingRole(buyer, TREASURY_ROLE));
+                await expect(sale.withdrawPhaseFunds(PRIVATE))
+                    .to.emit(sale, 'PhaseFundsWithdrawn')
+                    .withArgs(PRIVATE, oneETH, usdt('2000'));
+                expect(await wallet.getBalance()).to.equal(walletBalance.add(oneETH));
+                expect(await usdtToken.balanceOf(wallet.address)).to.equal(usdt('2000'));
+                expect(await ethers.provider.getBalance(sale.address)).to.equal(0);
+                expect(await sale.totalEthEscrow()).to.equal(0);
+                expect(await sale.totalUsdtEscrow()).to.equal(0);
+            })
+            it('keeps holding the later payments of the phase', async () => {
+                await sale.connect(buyer).buyWithUSDT(PRIVATE, usdt('100'), 0);
+                expect(await usdtToken.balanceOf(sale.address)).to.equal(usdt('100'));
+                await sale.withdrawPhaseFunds(PRIVATE);
+                expect(await usdtToken.balanceOf(wallet.address)).to.equal(usdt('2100'));
+            })
+            it('does not refund after the phase ends', async () => {
+                await setTime(startTime + 7 * DAY);
+                await expect(sale.connect(buyer).claimRefund(PRIVATE)).to.be.revertedWith("Refunds not available");
+            })
+        })
+    })
+
+    context('settings', () => {
+        before(deploy);
+
+        it('lets only the treasury role update the wallet', async () => {
+            await startPhase();
+            await expect(sale.connect(buyer).setWallet(buyer.address)).to.be.revertedWith(missingRole(buyer, TREASURY_ROLE));
+            await expect(sale.setWallet(ethers.constants.AddressZero)).to.be.revertedWith("Invalid Address");
+            await expect(sale.setWallet(accounts[3].address))
+                .to.emit(sale, 'WalletUpdated')
+                .withArgs(accounts[3].address);
+            await sale.connect(buyer).buyWithUSDT(SEED, usdt('100'), 0);
+            expect(await usdtToken.balanceOf(accounts[3].address)).to.equal(usdt('100'));
+        })
+    })
+})
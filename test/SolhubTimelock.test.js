@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { ethers } = hre;
+
+describe('SolhubTimelock is [TimelockController]', () => {
+    const DAY = 86400;
+    const MIN_DELAY = 2 * DAY;
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const amount = ethers.utils.parseEther('1000'); // 1000 SHUB
+    const MINTER_ROLE = ethers.utils.id('MINTER_ROLE');
+    const BURNER_ROLE = ethers.utils.id('BURNER_ROLE');
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+    const NO_PREDECESSOR = ethers.constants.HashZero;
+    const SALT = ethers.utils.id('salt');
+
+    let owner;
+    let proposer;
+    let executor;
+    let acc1;
+    let solhub;
+    let timelock;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+    const setTime = async (timestamp) => {
+        await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+        await ethers.provider.send('evm_mine', []);
+    };
+
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+    /**
+     * Deploys Solhub handing its mint, burn & admin roles over to a new timelock, as scripts/deploy.js does
+     */
+    const deploy = async (proposers, executors) => {
+        solhub = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+        timelock = await (await ethers.getContractFactory("SolhubTimelock")).deploy(MIN_DELAY, proposers, executors);
+        for (const role of [MINTER_ROLE, BURNER_ROLE, DEFAULT_ADMIN_ROLE]) {
+            await solhub.grantRole(role, timelock.address);
+            await solhub.renounceRole(role, owner.address);
+        }
+    };
+
+    const call = (name, args) =>
+        [solhub.address, 0, solhub.interface.encodeFunctionData(name, args), NO_PREDECESSOR, SALT];
+
+    before(async () => {
+        [owner, proposer, executor, acc1] = await ethers.getSigners();
+    });
+
+    context('Solhub admin actions', () => {
+        before(() => deploy([proposer.address], [executor.address]));
+
+        it('can no longer be sent directly by the deployer', async () => {
+            await expect(solhub.mint(acc1.address, amount)).to.be.revertedWith(missingRole(owner, MINTER_ROLE));
+            await expect(solhub.forceBurn(owner.address, amount)).to.be.revertedWith(missingRole(owner, BURNER_ROLE));
+            await expect(solhub.updateDecimals(8)).to.be.revertedWith(missingRole(owner, DEFAULT_ADMIN_ROLE));
+            await expect(
+                solhub.grantRole(MINTER_ROLE, owner.address)
+            ).to.be.revertedWith(missingRole(owner, DEFAULT_ADMIN_ROLE));
+        })
+        it('are only queued by a proposer, for at least the minimum delay', async () => {
+            const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
+            await expect(
+                timelock.connect(acc1).schedule(...call('mint', [acc1.address, amount]), MIN_DELAY)
+            ).to.be.revertedWith(missingRole(acc1, PROPOSER_ROLE));
+            await expect(
+                timelock.connect(proposer).schedule(...call('mint', [acc1.address, amount]), MIN_DELAY - 1)
+            ).to.be.revertedWith("TimelockController: insufficient delay");
+        })
+        it('emits an event when queued', async () => {
+            const args = call('mint', [acc1.address, amount]);
+            const id = await timelock.hashOperation(...args);
+            await expect(timelock.connect(proposer).schedule(...args, MIN_DELAY))
+                .to.emit(timelock, 'CallScheduled')
+                .withArgs(id, 0, args[0], 0, args[2], NO_PREDECESSOR, MIN_DELAY)
+                .and.to.emit(timelock, 'CallSalt')
+                .withArgs(id, SALT);
+            expect(await timelock.getTimestamp(id)).to.equal(await latestTimestamp() + MIN_DELAY);
+        })
+        it('cannot be executed before the delay passed', async () => {
+            await expect(
+                timelock.connect(executor).execute(...call('mint', [acc1.address, amount]))
+            ).to.be.revertedWith("TimelockController: operation is not ready");
+        })
+        it('are only executed by an executor once the delay passed', async () => {
+            const args = call('mint', [acc1.address, amount]);
+            const id = await timelock.hashOperation(...args);
+            await setTime((await timelock.getTimestamp(id)).toNumber());
+            await expect(
+                timelock.connect(acc1).execute(...args)
+            ).to.be.revertedWith(missingRole(acc1, await timelock.EXECUTOR_ROLE()));
+            await expect(timelock.connect(executor).execute(...args))
+                .to.emit(timelock, 'CallExecuted')
+                .withArgs(id, 0, args[0], 0, args[2]);
+            expect(await solhub.balanceOf(acc1.address)).to.equal(amount);
+            expect(await timelock.isOperationDone(id)).to.equal(true);
+        })
+        it('run forceBurn, updateDecimals & finalizeDecimals the same way', async () => {
+            const actions = [['forceBurn', [acc1.address, amount]], ['updateDecimals', [8]], ['finalizeDecimals', []]];
+            for (const [name, args] of actions) {
+                await timelock.connect(proposer).schedule(...call(name, args), MIN_DELAY);
+            }
+            await setTime(await latestTimestamp() + MIN_DELAY);
+            for (const [name, args] of actions) {
+                await timelock.connect(executor).execute(...call(name, args));
+            }
+            expect(await solhub.balanceOf(acc1.address)).to.equal(0);
+            expect(await solhub.decimals()).to.equal(8);
+            expect(await solhub.decimalsFinalized()).to.equal(true);
+        })
+        it('can be cancelled by a proposer until executed', async () => {
+            const args = call('mint', [owner.address, amount]);
+            const id = await timelock.hashOperation(...args);
+            await timelock.connect(proposer).schedule(...args, MIN_DELAY);
+            await expect(
+                timelock.connect(acc1).cancel(id)
+            ).to.be.revertedWith(missingRole(acc1, await timelock.CANCELLER_ROLE()));
+            await expect(timelock.connect(proposer).cancel(id))
+                .to.emit(timelock, 'Cancelled')
+                .withArgs(id);
+            await setTime(await latestTimestamp() + MIN_DELAY);
+            await expect(
+                timelock.connect(executor).execute(...args)
+            ).to.be.revertedWith("TimelockController: operation is not ready");
+        })
+        it('changes its own delay only through a queued action', async () => {
+            await expect(timelock.updateDelay(0)).to.be.revertedWith("TimelockController: caller must be timelock");
+        })
+    })
+
+    context('tasks', () => {
+        const options = () => ({ timelock: timelock.address, token: solhub.address });
+        let mintId;
+        let burnId;
+
+        // The tasks send from the first signer
+        before(() => deploy([owner.address], [owner.address]));
+
+        it('queues actions with the minimum delay', async () => {
+            ({ id: mintId } = await hre.run('timelock-queue', {
+                ...options(),
+                action: 'mint',
+                params: [acc1.address, '1000'],
+            }));
+            expect(await timelock.getTimestamp(mintId)).to.equal(await latestTimestamp() + MIN_DELAY);
+            ({ id: burnId } = await hre.run('timelock-queue', {
+                ...options(),
+                action: 'forceBurn',
+                params: [owner.address, '500'],
+                delay: 3 * DAY,
+            }));
+            expect(await timelock.getTimestamp(burnId)).to.equal(await latestTimestamp() + 3 * DAY);
+        })
+        it('rejects unknown actions', async () => {
+            let error;
+            try {
+                await hre.run('timelock-queue', { ...options(), action: 'pause', params: [] });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain('Unknown action "pause"');
+        })
+        it('lists the pending operations with their decoded action', async () => {
+            const operations = await hre.run('timelock-list', options());
+            expect(operations.map(({ id, action, state }) => ({ id, action, state }))).to.deep.equal([
+                { id: mintId, action: `mint(${acc1.address}, ${amount})`, state: 'pending' },
+                { id: burnId, action: `forceBurn(${owner.address}, ${ethers.utils.parseEther('500')})`, state: 'pending' },
+            ]);
+        })
+        it('refuses to execute an operation which is not ready', async () => {
+            let error;
+            try {
+                await hre.run('timelock-execute', { ...options(), id: mintId });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain(`Operation ${mintId} is pending`);
+        })
+        it('executes a ready operation and cancels another', async () => {
+            await setTime(await latestTimestamp() + MIN_DELAY);
+            const executed = await hre.run('timelock-execute', { ...options(), id: mintId });
+            expect(executed.state).to.equal('done');
+            expect(await solhub.balanceOf(acc1.address)).to.equal(amount);
+
+            await hre.run('timelock-cancel', { ...options(), id: burnId });
+            expect(await hre.run('timelock-list', options())).to.deep.equal([]);
+            const all = await hre.run('timelock-list', { ...options(), all: true });
+            expect(all.map(({ id, state }) => ({ id, state }))).to.deep.equal([
+                { id: mintId, state: 'done' },
+                { id: burnId, state: 'cancelled' },
+            ]);
+        })
+        it('refuses to cancel an executed operation', async () => {
+            let error;
+            try {
+                await hre.run('timelock-cancel', { ...options(), id: mintId });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain(`Operation ${mintId} is done`);
+        })
+    })
+})
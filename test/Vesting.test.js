@@ -0,0 +1,996 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { validateAllocations } = require("../utils/allocations");
+const { buildAllocationTrees } = require("../utils/merkle");
+const {
+    claimDomain,
+    signClaim,
+    submitClaim,
+    recoverClaimSigner,
+} = require("../utils/claimSignatures");
+const { deployProxy } = require("../utils/proxy");
+
+const { ethers } = hre;
+
+/**
+ * Every round is walked from allocation to the end of its vesting duration by moving the Hardhat
+ * clock. Expected amounts follow the intended schedule:
+ * - TGE tokens (MARKETING only) become claimable at the MARKETING listing time
+ * - the first monthly slice is released once `lockPeriod` months have passed since the round's listing
+ * - one more slice is released every 30 days, missed months add up
+ * - the rest of the allocation is released with the last slice of `vestingDuration`
+ */
+describe('Vesting is [AccessControl]', () => {
+    const DAY = 86400;
+    const MONTH = 30 * DAY;
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const allocation = ethers.utils.parseEther('100000'); // 100K SHUB
+    const ALLOCATION_MANAGER_ROLE = ethers.utils.id('ALLOCATION_MANAGER_ROLE');
+    const TREASURY_ROLE = ethers.utils.id('TREASURY_ROLE');
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+    const ROUNDS = [
+        { name: 'MARKETING', id: 0, vestingDuration: 12, lockPeriod: 1, tgePercent: 5, tokenPercent: 5 },
+        { name: 'ADVISORS', id: 1, vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 5 },
+        { name: 'TEAM', id: 2, vestingDuration: 12, lockPeriod: 12, tgePercent: 0, tokenPercent: 10 },
+        { name: 'RESERVES', id: 3, vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 10 },
+        { name: 'MINING_REWARDS', id: 4, vestingDuration: 12, lockPeriod: 1, tgePercent: 0, tokenPercent: 5 },
+        { name: 'EXCHANGE_LIQUIDITY', id: 5, vestingDuration: 12, lockPeriod: 0, tgePercent: 0, tokenPercent: 100 },
+        { name: 'ECOSYSTEM', id: 6, vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 10 },
+    ];
+
+    let owner;
+    let acc1;
+    let accounts;
+    let solhubConInstance;
+    let vestingConInstance;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+    const setTime = async (timestamp) => {
+        if (timestamp <= await latestTimestamp()) {
+            return;
+        }
+        await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+        await ethers.provider.send('evm_mine', []);
+    };
+
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+    const percentOf = (amount, percent) => amount.mul(percent).div(100);
+
+    /**
+     * Vesting tokens (TGE excluded) unlocked `months` full months after listing
+     */
+    const vestedAfter = (round, months) => {
+        const vestingTokens = allocation.sub(percentOf(allocation, round.tgePercent));
+        if (months < round.lockPeriod) {
+            return ethers.BigNumber.from(0);
+        }
+        const releases = months - round.lockPeriod + 1;
+        const vested = percentOf(allocation, round.tokenPercent).mul(releases);
+        if (releases >= round.vestingDuration || vested.gt(vestingTokens)) {
+            return vestingTokens;
+        }
+        return vested;
+    };
+
+    const deploy = async () => {
+        const Solhub = await ethers.getContractFactory("Solhub");
+        solhubConInstance = await Solhub.deploy(initialSupply, maxSupply);
+        vestingConInstance = await deployProxy(hre, "Vesting", [solhubConInstance.address]);
+        await solhubConInstance.approve(vestingConInstance.address, initialSupply);
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        [owner, acc1] = accounts;
+    });
+
+    context('setListingTime', () => {
+        before(deploy);
+
+        it('reverts when invoked without its role', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).setListingTime([0], [await latestTimestamp() + DAY])
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts when rounds & timestamps lengths differ', async () => {
+            await expect(
+                vestingConInstance.setListingTime([0, 1], [await latestTimestamp() + DAY])
+            ).to.be.revertedWith("Params mismatch");
+        })
+        it('reverts for a round above ECOSYSTEM', async () => {
+            await expect(
+                vestingConInstance.setListingTime([7], [await latestTimestamp() + DAY])
+            ).to.be.revertedWith("Round does not exist");
+        })
+        it('reverts for a listing time in the past', async () => {
+            await expect(
+                vestingConInstance.setListingTime([0], [await latestTimestamp() - 1])
+            ).to.be.revertedWith("Listing time is in the past");
+        })
+        it('sets the listing time of several rounds', async () => {
+            const listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([0, 6], [listingTime, listingTime + 1]);
+            expect(await vestingConInstance.listingTimeOf(0)).to.equal(listingTime);
+            expect(await vestingConInstance.listingTimeOf(6)).to.equal(listingTime + 1);
+        })
+    })
+
+    context('transferSHUBTo', () => {
+        before(deploy);
+
+        it('reverts when invoked without its role', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).transferSHUBTo(acc1.address, allocation, 0)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts for a round above ECOSYSTEM', async () => {
+            await expect(
+                vestingConInstance.transferSHUBTo(acc1.address, allocation, 7)
+            ).to.be.revertedWith("Round does not exist");
+        })
+        it('reverts for address zero', async () => {
+            await expect(
+                vestingConInstance.transferSHUBTo(ethers.constants.AddressZero, allocation, 0)
+            ).to.be.revertedWith("Investor is address zero");
+        })
+        it('reverts for 0 SHUB', async () => {
+            await expect(
+                vestingConInstance.transferSHUBTo(acc1.address, 0, 0)
+            ).to.be.revertedWith("SHUBs must be greater than 0");
+        })
+        it('records the allocation & TGE tokens without moving any SHUB', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, 0);
+            const details = await vestingConInstance.investorsInvestmentDetails(acc1.address, 0);
+            expect(details.totalTokensAllocated).to.equal(allocation);
+            expect(details.totalTGETokens).to.equal(percentOf(allocation, 5));
+            expect(details.isTGETokenClaimed).to.equal(false);
+            expect(await solhubConInstance.balanceOf(vestingConInstance.address)).to.equal(0);
+        })
+        it('adds a top-up to the existing allocation', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, 0);
+            const details = await vestingConInstance.investorsInvestmentDetails(acc1.address, 0);
+            expect(details.totalTokensAllocated).to.equal(allocation.mul(2));
+        })
+    })
+
+    context('rounds', () => {
+        const cap = ethers.utils.parseEther('250000');
+
+        before(deploy);
+
+        it('starts with the seven default rounds', async () => {
+            expect(await vestingConInstance.roundCount()).to.equal(7);
+            for (const round of ROUNDS) {
+                const definition = await vestingConInstance.rounds(round.id);
+                expect(definition.vestingDuration).to.equal(round.vestingDuration);
+                expect(definition.lockPeriod).to.equal(round.lockPeriod);
+                expect(definition.tgePercent).to.equal(round.tgePercent);
+                expect(definition.tokenPercent).to.equal(round.tokenPercent);
+                expect(definition.releaseInterval).to.equal(MONTH);
+                expect(definition.allocationCap).to.equal(ethers.constants.MaxUint256);
+            }
+        })
+        it('reverts addRound when invoked without its role', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).addRound(4, 2, 10, 25, DAY, cap)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts addRound for invalid definitions', async () => {
+            await expect(vestingConInstance.addRound(0, 2, 10, 25, DAY, cap)).to.be.revertedWith("Vesting duration is 0");
+            await expect(vestingConInstance.addRound(4, 2, 10, 25, 0, cap)).to.be.revertedWith("Release interval is 0");
+            await expect(vestingConInstance.addRound(4, 2, 101, 25, DAY, cap)).to.be.revertedWith("TGE percent exceeds 100");
+            await expect(vestingConInstance.addRound(4, 2, 10, 0, DAY, cap)).to.be.revertedWith("Invalid token percent");
+        })
+        it('adds a round under the next index', async () => {
+            await expect(vestingConInstance.addRound(4, 2, 10, 25, DAY, cap))
+                .to.emit(vestingConInstance, 'RoundAdded')
+                .withArgs(7, 4, 2, 10, 25, DAY, cap);
+            expect(await vestingConInstance.roundCount()).to.equal(8);
+        })
+        it('reverts allocations above the remaining cap', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, cap.sub(1), 7);
+            await expect(
+                vestingConInstance.transferSHUBTo(accounts[2].address, 2, 7)
+            ).to.be.revertedWith("Round allocation cap exceeded");
+            expect((await vestingConInstance.rounds(7)).totalAllocated).to.equal(cap.sub(1));
+        })
+        it('reverts a cap below the allocated tokens', async () => {
+            await expect(
+                vestingConInstance.updateRoundAllocationCap(7, cap.sub(2))
+            ).to.be.revertedWith("Cap below allocated tokens");
+        })
+        it('raises the cap of a round', async () => {
+            await expect(vestingConInstance.updateRoundAllocationCap(7, cap.mul(2)))
+                .to.emit(vestingConInstance, 'RoundAllocationCapUpdated')
+                .withArgs(7, cap.mul(2));
+            await vestingConInstance.transferSHUBTo(accounts[2].address, cap, 7);
+        })
+        it('releases a custom round on its own interval', async () => {
+            const listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([7], [listingTime]);
+            await setTime(listingTime);
+            await vestingConInstance.connect(acc1).claimTGETokens();
+            await expect(vestingConInstance.connect(acc1).claimVestingTokens(7))
+                .to.be.revertedWith("Cannot claim in lock period");
+            await setTime(listingTime + 2 * DAY);
+            await vestingConInstance.connect(acc1).claimVestingTokens(7);
+            const allocated = cap.sub(1);
+            expect(await solhubConInstance.balanceOf(acc1.address))
+                .to.equal(percentOf(allocated, 10).add(percentOf(allocated, 25)));
+            await setTime(listingTime + 5 * DAY);
+            await vestingConInstance.connect(acc1).claimVestingTokens(7);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(allocated);
+        })
+        it('reverts freezeRound when invoked without its role', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).freezeRound(7)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('freezes a round against new allocations', async () => {
+            await expect(vestingConInstance.freezeRound(7))
+                .to.emit(vestingConInstance, 'RoundFrozen')
+                .withArgs(7);
+            await expect(
+                vestingConInstance.transferSHUBTo(accounts[3].address, 1, 7)
+            ).to.be.revertedWith("Round is frozen");
+            await expect(vestingConInstance.freezeRound(7)).to.be.revertedWith("Round already frozen");
+        })
+        it('keeps vesting the allocations of a frozen round', async () => {
+            await vestingConInstance.connect(accounts[2]).claimTGETokens();
+            await vestingConInstance.connect(accounts[2]).claimVestingTokens(7);
+            expect(await solhubConInstance.balanceOf(accounts[2].address)).to.equal(cap);
+        })
+        it('reverts for rounds which were never added', async () => {
+            await expect(vestingConInstance.freezeRound(8)).to.be.revertedWith("Round does not exist");
+            await expect(
+                vestingConInstance.transferSHUBTo(acc1.address, 1, 8)
+            ).to.be.revertedWith("Round does not exist");
+        })
+    })
+
+    context('revocations', () => {
+        const [ADVISORS, TEAM] = [ROUNDS[1], ROUNDS[2]];
+        let treasury;
+        let listingTime;
+
+        before(async () => {
+            await deploy();
+            treasury = accounts[15];
+        });
+
+        it('makes only ADVISORS & TEAM revocable by default', async () => {
+            for (const round of ROUNDS) {
+                expect((await vestingConInstance.rounds(round.id)).isRevocable)
+                    .to.equal(round === ADVISORS || round === TEAM);
+            }
+            expect(await vestingConInstance.treasury()).to.equal(owner.address);
+        })
+        it('reverts setRoundRevocable & setTreasury when invoked without its role', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).setRoundRevocable(0, true)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+            await expect(
+                vestingConInstance.connect(acc1).setTreasury(acc1.address)
+            ).to.be.revertedWith(missingRole(acc1, TREASURY_ROLE));
+        })
+        it('reverts setTreasury for address zero', async () => {
+            await expect(
+                vestingConInstance.setTreasury(ethers.constants.AddressZero)
+            ).to.be.revertedWith("Treasury is address zero");
+        })
+        it('updates the revocability of a round & the treasury', async () => {
+            await expect(vestingConInstance.setRoundRevocable(4, true))
+                .to.emit(vestingConInstance, 'RoundRevocabilityUpdated')
+                .withArgs(4, true);
+            await expect(vestingConInstance.setRoundRevocable(4, false))
+                .to.emit(vestingConInstance, 'RoundRevocabilityUpdated')
+                .withArgs(4, false);
+            await expect(vestingConInstance.setTreasury(treasury.address))
+                .to.emit(vestingConInstance, 'TreasuryUpdated')
+                .withArgs(treasury.address);
+        })
+        it('reverts revoke when invoked without its role', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, ADVISORS.id);
+            await expect(
+                vestingConInstance.connect(acc1).revoke(acc1.address, ADVISORS.id)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+        })
+        it('reverts revoke for a round which is not revocable', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, 0);
+            await expect(
+                vestingConInstance.revoke(acc1.address, 0)
+            ).to.be.revertedWith("Round is not revocable");
+        })
+        it('reverts revoke without allocation', async () => {
+            await expect(
+                vestingConInstance.revoke(accounts[2].address, TEAM.id)
+            ).to.be.revertedWith("No allocation to revoke");
+        })
+        it('sends the whole allocation to the treasury before the listing', async () => {
+            const investor = accounts[2];
+            await vestingConInstance.transferSHUBTo(investor.address, allocation, TEAM.id);
+            await expect(vestingConInstance.revoke(investor.address, TEAM.id))
+                .to.emit(vestingConInstance, 'AllocationRevoked')
+                .withArgs(investor.address, TEAM.id, 0, allocation, treasury.address);
+            expect(await solhubConInstance.balanceOf(treasury.address)).to.equal(allocation);
+            expect((await vestingConInstance.rounds(TEAM.id)).totalAllocated).to.equal(0);
+            expect((await vestingConInstance.investorsInvestmentDetails(investor.address, TEAM.id)).totalTokensAllocated)
+                .to.equal(0);
+        })
+        it('reverts a second revocation & top-ups of a revoked allocation', async () => {
+            await expect(
+                vestingConInstance.revoke(accounts[2].address, TEAM.id)
+            ).to.be.revertedWith("Allocation already revoked");
+            await expect(
+                vestingConInstance.transferSHUBTo(accounts[2].address, allocation, TEAM.id)
+            ).to.be.revertedWith("Allocation is revoked");
+        })
+        it('keeps the tokens vested before the revocation claimable', async () => {
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([ADVISORS.id], [listingTime]);
+            await setTime(listingTime + 7 * MONTH);
+            await vestingConInstance.connect(acc1).claimVestingTokens(ADVISORS.id);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(vestedAfter(ADVISORS, 7));
+
+            await setTime(listingTime + 8 * MONTH);
+            const vested = vestedAfter(ADVISORS, 8);
+            await expect(vestingConInstance.revoke(acc1.address, ADVISORS.id))
+                .to.emit(vestingConInstance, 'AllocationRevoked')
+                .withArgs(acc1.address, ADVISORS.id, vested, allocation.sub(vested), treasury.address);
+            expect(await solhubConInstance.balanceOf(treasury.address))
+                .to.equal(allocation.add(allocation.sub(vested)));
+
+            await setTime(listingTime + 12 * MONTH);
+            await vestingConInstance.connect(acc1).claimVestingTokens(ADVISORS.id);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(vested);
+            await expect(
+                vestingConInstance.connect(acc1).claimVestingTokens(ADVISORS.id)
+            ).to.be.revertedWith("No tokens to claim");
+        })
+        it('keeps the unvested tokens with the owner when it is the treasury', async () => {
+            const investor = accounts[3];
+            await vestingConInstance.setTreasury(owner.address);
+            await vestingConInstance.transferSHUBTo(investor.address, allocation, TEAM.id);
+            const balance = await solhubConInstance.balanceOf(owner.address);
+            const allowance = await solhubConInstance.allowance(owner.address, vestingConInstance.address);
+            await expect(vestingConInstance.revoke(investor.address, TEAM.id))
+                .to.emit(vestingConInstance, 'AllocationRevoked')
+                .withArgs(investor.address, TEAM.id, 0, allocation, owner.address);
+            expect(await solhubConInstance.balanceOf(owner.address)).to.equal(balance);
+            expect(await solhubConInstance.allowance(owner.address, vestingConInstance.address)).to.equal(allowance);
+        })
+    })
+
+    context('beneficiary change', () => {
+        const MARKETING = ROUNDS[0];
+        const [investor, newBeneficiary, stranger] = [1, 2, 3];
+        let listingTime;
+
+        before(async () => {
+            await deploy();
+            await vestingConInstance.transferSHUBTo(accounts[investor].address, allocation, MARKETING.id);
+            await vestingConInstance.transferSHUBTo(accounts[investor].address, allocation, 2);
+            await vestingConInstance.transferSHUBTo(accounts[stranger].address, allocation, MARKETING.id);
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([MARKETING.id], [listingTime]);
+            await setTime(listingTime);
+            await vestingConInstance.connect(accounts[investor]).claimTGETokens();
+        });
+
+        it('reverts proposals for address zero, the caller itself or without allocation', async () => {
+            await expect(
+                vestingConInstance.connect(accounts[investor]).proposeBeneficiaryChange(ethers.constants.AddressZero)
+            ).to.be.revertedWith("Beneficiary is address zero");
+            await expect(
+                vestingConInstance.connect(accounts[investor]).proposeBeneficiaryChange(accounts[investor].address)
+            ).to.be.revertedWith("Beneficiary is unchanged");
+            await expect(
+                vestingConInstance.connect(accounts[newBeneficiary]).proposeBeneficiaryChange(accounts[4].address)
+            ).to.be.revertedWith("No allocation to move");
+        })
+        it('proposes & cancels a beneficiary change', async () => {
+            const from = accounts[investor];
+            await expect(vestingConInstance.connect(from).proposeBeneficiaryChange(accounts[4].address))
+                .to.emit(vestingConInstance, 'BeneficiaryChangeProposed')
+                .withArgs(from.address, accounts[4].address);
+            await expect(vestingConInstance.connect(from).cancelBeneficiaryChange())
+                .to.emit(vestingConInstance, 'BeneficiaryChangeCancelled')
+                .withArgs(from.address, accounts[4].address);
+            expect(await vestingConInstance.pendingBeneficiaryOf(from.address)).to.equal(ethers.constants.AddressZero);
+        })
+        it('reverts acceptance by a third party or towards an allocated address', async () => {
+            const from = accounts[investor];
+            await vestingConInstance.connect(from).proposeBeneficiaryChange(accounts[stranger].address);
+            await expect(
+                vestingConInstance.connect(accounts[4]).acceptBeneficiaryChange(from.address)
+            ).to.be.revertedWith("Caller cannot accept the change");
+            await expect(
+                vestingConInstance.acceptBeneficiaryChange(from.address)
+            ).to.be.revertedWith("Beneficiary already allocated");
+        })
+        it('moves every allocation when accepted by the owner', async () => {
+            const [from, to] = [accounts[investor], accounts[newBeneficiary]];
+            await vestingConInstance.connect(from).proposeBeneficiaryChange(to.address);
+            await expect(vestingConInstance.acceptBeneficiaryChange(from.address))
+                .to.emit(vestingConInstance, 'BeneficiaryChanged')
+                .withArgs(from.address, to.address, owner.address);
+
+            const moved = await vestingConInstance.investorsInvestmentDetails(to.address, MARKETING.id);
+            expect(moved.totalTokensAllocated).to.equal(allocation);
+            expect(moved.totalTokensClaimed).to.equal(percentOf(allocation, MARKETING.tgePercent));
+            expect(moved.isTGETokenClaimed).to.equal(true);
+            expect((await vestingConInstance.investorsInvestmentDetails(to.address, 2)).totalTokensAllocated)
+                .to.equal(allocation);
+            expect((await vestingConInstance.investorsInvestmentType(to.address, 2)).totalTokenAllocation)
+                .to.equal(allocation);
+            for (const round of [MARKETING.id, 2]) {
+                expect((await vestingConInstance.investorsInvestmentDetails(from.address, round)).totalTokensAllocated)
+                    .to.equal(0);
+            }
+        })
+        it('keeps vesting the moved allocations for the new address only', async () => {
+            const [from, to] = [accounts[investor], accounts[newBeneficiary]];
+            await expect(vestingConInstance.connect(to).claimTGETokens())
+                .to.be.revertedWith("TGE withdraw already processed");
+            await setTime(listingTime + 2 * MONTH);
+            await expect(
+                vestingConInstance.connect(from).claimVestingTokens(MARKETING.id)
+            ).to.be.revertedWith("No tokens to claim");
+            await vestingConInstance.connect(to).claimVestingTokens(MARKETING.id);
+            expect(await solhubConInstance.balanceOf(to.address)).to.equal(vestedAfter(MARKETING, 2));
+        })
+        it('moves the allocations when accepted by the new address', async () => {
+            const [from, to] = [accounts[newBeneficiary], accounts[4]];
+            await vestingConInstance.connect(from).proposeBeneficiaryChange(to.address);
+            await expect(vestingConInstance.connect(to).acceptBeneficiaryChange(from.address))
+                .to.emit(vestingConInstance, 'BeneficiaryChanged')
+                .withArgs(from.address, to.address, to.address);
+            expect((await vestingConInstance.investorsInvestmentDetails(to.address, MARKETING.id)).totalTokensClaimed)
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vestedAfter(MARKETING, 2)));
+        })
+    })
+
+    context('Merkle allocations', () => {
+        const MARKETING = ROUNDS[0];
+        let tree;
+        let leaf;
+        let other;
+        let listingTime;
+
+        before(async () => {
+            await deploy();
+            tree = buildAllocationTrees(validateAllocations([
+                { address: acc1.address, amount: '100000', round: MARKETING.id },
+                { address: accounts[2].address, amount: '100000', round: MARKETING.id },
+            ], { roundCount: 7 }))[MARKETING.id];
+            [leaf, other] = tree.entries;
+        });
+
+        it('reverts setAllocationRoot when invoked without its role or for a missing round', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).setAllocationRoot(MARKETING.id, tree.root)
+            ).to.be.revertedWith(missingRole(acc1, ALLOCATION_MANAGER_ROLE));
+            await expect(
+                vestingConInstance.setAllocationRoot(7, tree.root)
+            ).to.be.revertedWith("Round does not exist");
+        })
+        it('reverts initialization before a root is published', async () => {
+            await expect(
+                vestingConInstance.initializeAllocation(leaf.address, MARKETING.id, leaf.amount, leaf.proof)
+            ).to.be.revertedWith("No allocation root");
+        })
+        it('publishes the root of a round', async () => {
+            await expect(vestingConInstance.setAllocationRoot(MARKETING.id, tree.root))
+                .to.emit(vestingConInstance, 'AllocationRootUpdated')
+                .withArgs(MARKETING.id, tree.root);
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([MARKETING.id], [listingTime]);
+            await setTime(listingTime);
+        })
+        it('reverts for a leaf which is not in the tree', async () => {
+            await expect(
+                vestingConInstance.connect(acc1).claimTGETokensWithProof(MARKETING.id, 1, leaf.proof)
+            ).to.be.revertedWith("Invalid allocation proof");
+        })
+        it('initializes the allocation on the first TGE claim', async () => {
+            await expect(vestingConInstance.connect(acc1).claimTGETokensWithProof(MARKETING.id, leaf.amount, leaf.proof))
+                .to.emit(vestingConInstance, 'AllocationInitialized')
+                .withArgs(acc1.address, MARKETING.id, leaf.amount);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(percentOf(allocation, MARKETING.tgePercent));
+            expect((await vestingConInstance.rounds(MARKETING.id)).totalAllocated).to.equal(allocation);
+        })
+        it('does not initialize a leaf twice', async () => {
+            await expect(
+                vestingConInstance.initializeAllocation(acc1.address, MARKETING.id, leaf.amount, leaf.proof)
+            ).to.be.revertedWith("Allocation already initialized");
+            await setTime(listingTime + MONTH);
+            await vestingConInstance.connect(acc1).claimVestingTokensWithProof(MARKETING.id, leaf.amount, leaf.proof);
+            expect((await vestingConInstance.investorsInvestmentDetails(acc1.address, MARKETING.id)).totalTokensAllocated)
+                .to.equal(allocation);
+            expect(await solhubConInstance.balanceOf(acc1.address))
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vestedAfter(MARKETING, 1)));
+        })
+        it('initializes the allocation on the first vesting claim, even once the round is frozen', async () => {
+            await vestingConInstance.freezeRound(MARKETING.id);
+            const investor = accounts[2];
+            await vestingConInstance.connect(investor).claimVestingTokensWithProof(MARKETING.id, other.amount, other.proof);
+            expect(await solhubConInstance.balanceOf(investor.address)).to.equal(vestedAfter(MARKETING, 1));
+            await vestingConInstance.connect(investor).claimTGETokens();
+            expect(await solhubConInstance.balanceOf(investor.address))
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vestedAfter(MARKETING, 1)));
+        })
+    })
+
+    context('vesting status', () => {
+        const [MARKETING, ADVISORS] = ROUNDS;
+        let listingTime;
+
+        const claimable = (status) => status.claimableTGETokens.add(status.claimableVestingTokens);
+
+        /**
+         * Moves to the next unlock of `status` and checks it releases `nextUnlockTokens`
+         */
+        const expectNextUnlock = async (status) => {
+            await setTime(status.nextUnlockTime.toNumber());
+            const next = await vestingConInstance.getVestingStatus(status.investor, status.round);
+            expect(claimable(next).sub(claimable(status))).to.equal(status.nextUnlockTokens);
+            expect(next.lockedTokens).to.equal(status.lockedTokens.sub(status.nextUnlockTokens));
+            return next;
+        };
+
+        before(async () => {
+            await deploy();
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, MARKETING.id);
+            await vestingConInstance.transferSHUBTo(accounts[2].address, allocation, ADVISORS.id);
+        });
+
+        it('reverts for a round which does not exist', async () => {
+            await expect(
+                vestingConInstance.getVestingStatus(acc1.address, 7)
+            ).to.be.revertedWith("Round does not exist");
+        })
+        it('shows no next unlock until the listing time is set', async () => {
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            expect(status.investor).to.equal(acc1.address);
+            expect(status.totalTokensAllocated).to.equal(allocation);
+            expect(status.vestedTokens).to.equal(0);
+            expect(status.lockedTokens).to.equal(allocation);
+            expect(status.nextUnlockTime).to.equal(0);
+        })
+        it('shows the listing as the next unlock, releasing the TGE tokens', async () => {
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([MARKETING.id, ADVISORS.id], [listingTime, listingTime]);
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            expect(status.nextUnlockTime).to.equal(listingTime);
+            expect(status.nextUnlockTokens).to.equal(percentOf(allocation, MARKETING.tgePercent));
+
+            const next = await expectNextUnlock(status);
+            expect(next.claimableTGETokens).to.equal(percentOf(allocation, MARKETING.tgePercent));
+            expect(next.claimableVestingTokens).to.equal(0);
+        })
+        it('shows the end of the lock period as the next unlock', async () => {
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            expect(status.nextUnlockTime).to.equal(listingTime + MARKETING.lockPeriod * MONTH);
+            expect(status.nextUnlockTokens).to.equal(vestedAfter(MARKETING, 1));
+            const next = await expectNextUnlock(status);
+            expect(next.claimableVestingTokens).to.equal(vestedAfter(MARKETING, 1));
+        })
+        it('matches the claims and shows the next monthly slice', async () => {
+            await vestingConInstance.connect(acc1).claimTGETokens();
+            await vestingConInstance.connect(acc1).claimVestingTokens(MARKETING.id);
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            expect(status.totalTokensClaimed)
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vestedAfter(MARKETING, 1)));
+            expect(status.vestedTokens).to.equal(status.totalTokensClaimed);
+            expect(claimable(status)).to.equal(0);
+            expect(status.nextUnlockTime).to.equal(listingTime + 2 * MONTH);
+            expect(status.nextUnlockTokens).to.equal(percentOf(allocation, MARKETING.tokenPercent));
+            await expectNextUnlock(status);
+        })
+        it('shows no next unlock once everything is released', async () => {
+            await setTime(listingTime + 12 * MONTH);
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            expect(status.vestedTokens).to.equal(allocation);
+            expect(status.lockedTokens).to.equal(0);
+            expect(status.nextUnlockTime).to.equal(0);
+            expect(status.nextUnlockTokens).to.equal(0);
+        })
+        it('shows a revoked allocation as fully released', async () => {
+            const investor = accounts[2];
+            await vestingConInstance.revoke(investor.address, ADVISORS.id);
+            const status = await vestingConInstance.getVestingStatus(investor.address, ADVISORS.id);
+            expect(status.totalTokensAllocated).to.equal(vestedAfter(ADVISORS, 12));
+            expect(status.claimableVestingTokens).to.equal(vestedAfter(ADVISORS, 12));
+            expect(status.lockedTokens).to.equal(0);
+            expect(status.nextUnlockTime).to.equal(0);
+        })
+        it('returns the statuses of many investors in one call', async () => {
+            const statuses = await vestingConInstance.getVestingStatuses(
+                [acc1.address, accounts[3].address],
+                [MARKETING.id, ADVISORS.id]
+            );
+            expect(statuses).to.have.length(2);
+            expect(statuses[0].vestedTokens).to.equal(allocation);
+            expect(statuses[1].investor).to.equal(accounts[3].address);
+            expect(statuses[1].round).to.equal(ADVISORS.id);
+            expect(statuses[1].totalTokensAllocated).to.equal(0);
+            expect(statuses[1].nextUnlockTime).to.equal(0);
+            await expect(
+                vestingConInstance.getVestingStatuses([acc1.address], [0, 1])
+            ).to.be.revertedWith("Unequal arrays passed");
+        })
+    })
+
+    context('last releases of the default rounds', () => {
+        const [MARKETING, , TEAM] = ROUNDS;
+        let listingTime;
+
+        before(async () => {
+            await deploy();
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, MARKETING.id);
+            await vestingConInstance.transferSHUBTo(accounts[2].address, allocation, TEAM.id);
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([MARKETING.id, TEAM.id], [listingTime, listingTime]);
+        });
+
+        it('releases what the slices leave of MARKETING at its last release', async () => {
+            await setTime(listingTime + 11 * MONTH);
+            const status = await vestingConInstance.getVestingStatus(acc1.address, MARKETING.id);
+            // 5% at TGE & 11 slices of 5%
+            expect(status.vestedTokens).to.equal(percentOf(allocation, 60));
+            expect(status.nextUnlockTime).to.equal(listingTime + 12 * MONTH);
+            expect(status.nextUnlockTokens).to.equal(percentOf(allocation, 40));
+        })
+        it('fully vests TEAM after 10 of its 12 releases', async () => {
+            await setTime(listingTime + 20 * MONTH);
+            let status = await vestingConInstance.getVestingStatus(accounts[2].address, TEAM.id);
+            expect(status.vestedTokens).to.equal(percentOf(allocation, 90));
+            expect(status.nextUnlockTime).to.equal(listingTime + 21 * MONTH);
+            await setTime(listingTime + 21 * MONTH);
+            status = await vestingConInstance.getVestingStatus(accounts[2].address, TEAM.id);
+            expect(status.vestedTokens).to.equal(allocation);
+            expect(status.nextUnlockTime).to.equal(0);
+        })
+    })
+
+    context('signed claims', () => {
+        const MARKETING = ROUNDS[0];
+        let relayer;
+        let listingTime;
+        let signedClaim;
+
+        before(async () => {
+            await deploy();
+            relayer = accounts[5];
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, MARKETING.id);
+            await vestingConInstance.transferSHUBTo(accounts[2].address, allocation, MARKETING.id);
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.setListingTime([MARKETING.id], [listingTime]);
+            signedClaim = await signClaim(acc1, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline: listingTime + 2 * MONTH,
+            });
+        });
+
+        it('signs the claim in the domain of the contract', async () => {
+            const domain = await claimDomain(vestingConInstance);
+            expect(domain.name).to.equal('Vesting');
+            expect(recoverClaimSigner(domain, signedClaim)).to.equal(acc1.address);
+        })
+        it('reverts before the listing of the round', async () => {
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), signedClaim)
+            ).to.be.revertedWith("Round not listed yet");
+        })
+        it('lets any relayer claim the TGE tokens during the lock period, tokens go to the investor', async () => {
+            await setTime(listingTime);
+            await expect(submitClaim(vestingConInstance.connect(relayer), signedClaim))
+                .to.emit(vestingConInstance, 'ClaimSignatureUsed')
+                .withArgs(acc1.address, MARKETING.id, 0, relayer.address);
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(percentOf(allocation, MARKETING.tgePercent));
+            expect(await solhubConInstance.balanceOf(relayer.address)).to.equal(0);
+            expect(await vestingConInstance.nonces(acc1.address)).to.equal(1);
+            await expect(vestingConInstance.connect(acc1).claimTGETokens())
+                .to.be.revertedWith("TGE withdraw already processed");
+        })
+        it('reverts a replayed signature', async () => {
+            await setTime(listingTime + MONTH);
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), signedClaim)
+            ).to.be.revertedWith("Invalid claim nonce");
+        })
+        it('reverts an expired signature', async () => {
+            const expired = await signClaim(acc1, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline: await latestTimestamp() - 1,
+            });
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), expired)
+            ).to.be.revertedWith("Claim signature expired");
+        })
+        it('reverts a claim for another round than the signed one', async () => {
+            const signed = await signClaim(acc1, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline: await latestTimestamp() + DAY,
+            });
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), { ...signed, investmentIndex: 5 })
+            ).to.be.revertedWith("Invalid claim signature");
+        })
+        it('claims the vested tokens up to the maximum amount', async () => {
+            const deadline = await latestTimestamp() + DAY;
+            const vested = vestedAfter(MARKETING, 1);
+            const capped = await signClaim(acc1, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline,
+                maxAmount: vested.sub(1),
+            });
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), capped)
+            ).to.be.revertedWith("Claim exceeds max amount");
+
+            const signed = await signClaim(acc1, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline,
+                maxAmount: vested,
+            });
+            await submitClaim(vestingConInstance.connect(relayer), signed);
+            expect(await solhubConInstance.balanceOf(acc1.address))
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vested));
+
+            const again = await signClaim(acc1, vestingConInstance, { investmentIndex: MARKETING.id, deadline });
+            await expect(
+                submitClaim(vestingConInstance.connect(relayer), again)
+            ).to.be.revertedWith("Withdrawal already processed");
+        })
+        it('claims the TGE & vested tokens in one signed claim', async () => {
+            const investor = accounts[2];
+            const signed = await signClaim(investor, vestingConInstance, {
+                investmentIndex: MARKETING.id,
+                deadline: await latestTimestamp() + DAY,
+            });
+            await expect(submitClaim(vestingConInstance.connect(relayer), signed))
+                .to.emit(vestingConInstance, 'TokensClaimed')
+                .withArgs(investor.address, MARKETING.id, percentOf(allocation, MARKETING.tgePercent), vestedAfter(MARKETING, 1));
+            expect(await solhubConInstance.balanceOf(investor.address))
+                .to.equal(percentOf(allocation, MARKETING.tgePercent).add(vestedAfter(MARKETING, 1)));
+        })
+    })
+
+    context('access control', () => {
+        const ROLES = [DEFAULT_ADMIN_ROLE, ALLOCATION_MANAGER_ROLE, TREASURY_ROLE];
+        // In order, as some calls depend on the previous ones
+        const PRIVILEGED = [
+            { role: ALLOCATION_MANAGER_ROLE, name: 'addRound', call: (c) => c.addRound(12, 1, 0, 10, MONTH, allocation) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'updateRoundAllocationCap', call: (c) => c.updateRoundAllocationCap(7, allocation.mul(3)) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setRoundRevocable', call: (c) => c.setRoundRevocable(7, true) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'transferSHUBTo', call: (c) => c.transferSHUBTo(accounts[11].address, allocation, 7) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'revoke', call: (c) => c.revoke(accounts[11].address, 7) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setAllocationRoot', call: (c) => c.setAllocationRoot(7, ethers.utils.id('root')) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'setListingTime', call: async (c) => c.setListingTime([7], [await latestTimestamp() + DAY]) },
+            { role: ALLOCATION_MANAGER_ROLE, name: 'freezeRound', call: (c) => c.freezeRound(7) },
+            { role: TREASURY_ROLE, name: 'setTreasury', call: (c) => c.setTreasury(owner.address) },
+            { role: TREASURY_ROLE, name: 'setTokenHolder', call: (c) => c.setTokenHolder(owner.address) },
+            { role: TREASURY_ROLE, name: 'rescue', call: (c) => c.rescue(ethers.constants.AddressZero, owner.address, 0) },
+            { role: DEFAULT_ADMIN_ROLE, name: 'grantRole', call: (c) => c.grantRole(TREASURY_ROLE, acc1.address) },
+            { role: DEFAULT_ADMIN_ROLE, name: 'revokeRole', call: (c) => c.revokeRole(TREASURY_ROLE, acc1.address) },
+        ];
+
+        before(deploy);
+
+        it('grants every role to the deployer, who holds the tokens', async () => {
+            for (const role of ROLES) {
+                expect(await vestingConInstance.hasRole(role, owner.address)).to.equal(true);
+            }
+            expect(await vestingConInstance.tokenHolder()).to.equal(owner.address);
+        })
+        PRIVILEGED.forEach(({ role, name, call }) => {
+            it(`${name} requires its role`, async () => {
+                const caller = accounts[5];
+                const otherRoles = ROLES.filter((other) => other !== role);
+                for (const other of otherRoles) {
+                    await vestingConInstance.grantRole(other, caller.address);
+                }
+                await expect(call(vestingConInstance.connect(caller))).to.be.revertedWith(missingRole(caller, role));
+                for (const other of otherRoles) {
+                    await vestingConInstance.revokeRole(other, caller.address);
+                }
+
+                const holder = accounts[6];
+                await vestingConInstance.grantRole(role, holder.address);
+                await call(vestingConInstance.connect(holder));
+                await vestingConInstance.revokeRole(role, holder.address);
+            })
+        })
+        it('lets an allocation manager accept beneficiary changes', async () => {
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, 0);
+            await vestingConInstance.connect(acc1).proposeBeneficiaryChange(accounts[4].address);
+            await expect(
+                vestingConInstance.connect(accounts[6]).acceptBeneficiaryChange(acc1.address)
+            ).to.be.revertedWith("Caller cannot accept the change");
+            await vestingConInstance.grantRole(ALLOCATION_MANAGER_ROLE, accounts[6].address);
+            await expect(vestingConInstance.connect(accounts[6]).acceptBeneficiaryChange(acc1.address))
+                .to.emit(vestingConInstance, 'BeneficiaryChanged')
+                .withArgs(acc1.address, accounts[4].address, accounts[6].address);
+        })
+    })
+
+    context('funding through transferFrom(tokenHolder)', () => {
+        let listingTime;
+
+        before(async () => {
+            await deploy();
+            listingTime = await latestTimestamp() + DAY;
+            await vestingConInstance.transferSHUBTo(acc1.address, allocation, 5); // EXCHANGE_LIQUIDITY
+            await vestingConInstance.setListingTime([5], [listingTime]);
+            await setTime(listingTime);
+        });
+
+        it('reverts claims once the token holder allowance is withdrawn', async () => {
+            await solhubConInstance.approve(vestingConInstance.address, 0);
+            await expect(vestingConInstance.connect(acc1).claimVestingTokens(5)).to.be.reverted;
+        })
+        it('pays claims out of the owner balance', async () => {
+            await solhubConInstance.approve(vestingConInstance.address, allocation);
+            const ownerBalance = await solhubConInstance.balanceOf(owner.address);
+            await vestingConInstance.connect(acc1).claimVestingTokens(5);
+            expect(await solhubConInstance.balanceOf(owner.address)).to.equal(ownerBalance.sub(allocation));
+            expect(await solhubConInstance.balanceOf(acc1.address)).to.equal(allocation);
+            expect(await solhubConInstance.allowance(owner.address, vestingConInstance.address)).to.equal(0);
+        })
+    })
+
+    ROUNDS.forEach((round) => {
+        context(`${round.name} round`, () => {
+            let investor;
+            let allocatedAt;
+            let listingTime;
+            const tgeTokens = percentOf(allocation, round.tgePercent);
+
+            const balance = () => solhubConInstance.balanceOf(investor.address);
+            const claim = () => vestingConInstance.connect(investor).claimVestingTokens(round.id);
+            const expectVested = async (months) => {
+                expect(await balance()).to.equal(tgeTokens.add(vestedAfter(round, months)));
+            };
+
+            before(async () => {
+                await deploy();
+                investor = accounts[2 + round.id];
+                await vestingConInstance.transferSHUBTo(investor.address, allocation, round.id);
+                allocatedAt = await latestTimestamp();
+                // Listing a week after the allocation, so lock periods counted from the allocation show up
+                listingTime = allocatedAt + 7 * DAY;
+                await vestingConInstance.setListingTime([0, round.id], [listingTime, listingTime]);
+            });
+
+            it('reverts vesting claims before the listing', async () => {
+                await expect(claim()).to.be.reverted;
+            })
+
+            if (round.tgePercent > 0) {
+                it('reverts TGE claims before the listing', async () => {
+                    await expect(
+                        vestingConInstance.connect(investor).claimTGETokens()
+                    ).to.be.revertedWith("TGE not announced");
+                })
+                it(`pays ${round.tgePercent}% TGE tokens once listed`, async () => {
+                    await setTime(listingTime);
+                    await vestingConInstance.connect(investor).claimTGETokens();
+                    expect(await balance()).to.equal(tgeTokens);
+                })
+                it('reverts a second TGE claim', async () => {
+                    await expect(
+                        vestingConInstance.connect(investor).claimTGETokens()
+                    ).to.be.revertedWith("TGE withdraw already processed");
+                })
+            } else {
+                it('has no TGE tokens to claim', async () => {
+                    await setTime(listingTime);
+                    await expect(vestingConInstance.connect(investor).claimTGETokens()).to.be.reverted;
+                })
+            }
+
+            if (round.lockPeriod > 0) {
+                it(`reverts during the ${round.lockPeriod} month lock period`, async () => {
+                    await setTime(listingTime + round.lockPeriod * MONTH - DAY);
+                    await expect(claim()).to.be.revertedWith("Cannot claim in lock period");
+                })
+            }
+
+            it('releases the first monthly slice when the lock period ends', async () => {
+                await setTime(listingTime + round.lockPeriod * MONTH);
+                await claim();
+                await expectVested(round.lockPeriod);
+            })
+
+            it('reverts a second claim within the same month', async () => {
+                await setTime(listingTime + round.lockPeriod * MONTH + 29 * DAY);
+                await expect(claim()).to.be.reverted;
+                await expectVested(round.lockPeriod);
+            })
+
+            it('adds up the months that were not claimed', async () => {
+                const months = round.lockPeriod + 3;
+                await setTime(listingTime + months * MONTH);
+                if (vestedAfter(round, months).eq(vestedAfter(round, round.lockPeriod))) {
+                    await expect(claim()).to.be.reverted;
+                } else {
+                    await claim();
+                }
+                await expectVested(months);
+            })
+
+            it('releases the whole allocation by the end of the vesting duration', async () => {
+                const months = round.lockPeriod + round.vestingDuration;
+                await setTime(listingTime + months * MONTH);
+                if (vestedAfter(round, months).eq(vestedAfter(round, round.lockPeriod + 3))) {
+                    await expect(claim()).to.be.reverted;
+                } else {
+                    await claim();
+                }
+                expect(await balance()).to.equal(allocation);
+            })
+
+            it('never pays more than the allocation', async () => {
+                await setTime(listingTime + (round.lockPeriod + round.vestingDuration + 6) * MONTH);
+                await expect(claim()).to.be.reverted;
+                const details = await vestingConInstance.investorsInvestmentDetails(investor.address, round.id);
+                expect(details.totalTokensClaimed).to.equal(allocation);
+                expect(await balance()).to.equal(allocation);
+            })
+        })
+    })
+    context('claimVestingTokens cadence regressions', () => {
+        ROUNDS.forEach((round) => {
+            it(`${round.name}: monthly claims add up to one claim at the end, repeats pay nothing`, async () => {
+                await deploy();
+                const [monthly, lazy] = [accounts[10], accounts[11]];
+                await vestingConInstance.transferSHUBTo(monthly.address, allocation, round.id);
+                await vestingConInstance.transferSHUBTo(lazy.address, allocation, round.id);
+                const listingTime = await latestTimestamp() + DAY;
+                await vestingConInstance.setListingTime([0, round.id], [listingTime, listingTime]);
+                await setTime(listingTime);
+                if (round.tgePercent > 0) {
+                    await vestingConInstance.connect(monthly).claimTGETokens();
+                    await vestingConInstance.connect(lazy).claimTGETokens();
+                }
+
+                for (let month = round.lockPeriod; month < round.lockPeriod + round.vestingDuration; month++) {
+                    await setTime(listingTime + month * MONTH);
+                    const before = await solhubConInstance.balanceOf(monthly.address);
+                    if (vestedAfter(round, month).gt(vestedAfter(round, month - 1))) {
+                        await vestingConInstance.connect(monthly).claimVestingTokens(round.id);
+                    }
+                    await expect(vestingConInstance.connect(monthly).claimVestingTokens(round.id)).to.be.reverted;
+                    expect((await solhubConInstance.balanceOf(monthly.address)).sub(before))
+                        .to.equal(vestedAfter(round, month).sub(vestedAfter(round, month - 1)));
+                }
+                await vestingConInstance.connect(lazy).claimVestingTokens(round.id);
+
+                expect(await solhubConInstance.balanceOf(monthly.address)).to.equal(allocation);
+                expect(await solhubConInstance.balanceOf(lazy.address)).to.equal(allocation);
+            })
+        })
+
+        it('keeps claimed tokens when an allocation is topped up', async () => {
+            await deploy();
+            const investor = accounts[12];
+            await vestingConInstance.transferSHUBTo(investor.address, allocation, 5);
+            await vestingConInstance.setListingTime([5], [await latestTimestamp() + DAY]);
+            await setTime(await latestTimestamp() + DAY);
+            await vestingConInstance.connect(investor).claimVestingTokens(5);
+
+            await vestingConInstance.transferSHUBTo(investor.address, allocation, 5);
+            await vestingConInstance.connect(investor).claimVestingTokens(5);
+            expect(await solhubConInstance.balanceOf(investor.address)).to.equal(allocation.mul(2));
+            await expect(vestingConInstance.connect(investor).claimVestingTokens(5))
+                .to.be.revertedWith("No tokens to claim");
+        })
+    })
+})
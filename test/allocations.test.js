@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ethers } = hre;
+const {
+    parseCsv,
+    validateAllocations,
+    batchAllocations,
+} = require("../utils/allocations");
+const { deployProxy } = require("../utils/proxy");
+
+const expectThrow = (fn, message) => {
+    let error;
+    try {
+        fn();
+    } catch (err) {
+        error = err;
+    }
+    expect(error, 'expected an error').to.not.equal(undefined);
+    expect(error.message).to.contain(message);
+};
+
+describe('Allocation import', () => {
+    let accounts;
+    let investors;
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        investors = accounts.slice(1, 6).map((account) => account.address);
+    });
+
+    context('validateAllocations', () => {
+        it('parses a CSV list & converts SHUB amounts to wei', () => {
+            const rows = parseCsv(`address,amount,round\n${investors[0]},1500.5,0\n\n${investors[1]},20,2\n`);
+            const [first, second] = validateAllocations(rows);
+            expect(first.amount).to.equal(ethers.utils.parseEther('1500.5'));
+            expect(first.round).to.equal(0);
+            expect(second.address).to.equal(investors[1]);
+        })
+        it('rejects a bad checksum', () => {
+            const badChecksum = investors[0].slice(0, -1) + (investors[0].endsWith('a') ? 'A' : 'a');
+            expectThrow(
+                () => validateAllocations([{ address: badChecksum, amount: '1', round: 0 }]),
+                'invalid address or checksum'
+            );
+        })
+        it('rejects rounds outside 0 - 2', () => {
+            expectThrow(
+                () => validateAllocations([{ address: investors[0], amount: '1', round: 3 }]),
+                'round must be between 0 and 2'
+            );
+        })
+        it('rejects duplicate investors within a round', () => {
+            expectThrow(
+                () => validateAllocations([
+                    { address: investors[0], amount: '1', round: 1 },
+                    { address: investors[0].toLowerCase(), amount: '2', round: 1 },
+                ]),
+                'duplicate entry'
+            );
+        })
+        it('rejects zero & malformed amounts', () => {
+            expectThrow(
+                () => validateAllocations([
+                    { address: investors[0], amount: '0', round: 1 },
+                    { address: investors[1], amount: '1.5e3', round: 1 },
+                ]),
+                'row 2: invalid SHUB amount'
+            );
+        })
+    })
+
+    context('batchAllocations', () => {
+        it('groups batches by round and caps their size', () => {
+            const allocations = validateAllocations([
+                { address: investors[0], amount: '1', round: 2 },
+                { address: investors[1], amount: '1', round: 0 },
+                { address: investors[2], amount: '1', round: 0 },
+                { address: investors[3], amount: '1', round: 0 },
+            ]);
+            const batches = batchAllocations(allocations, 2);
+            expect(batches.map((batch) => batch.round)).to.deep.equal([0, 0, 2]);
+            expect(batches[0].addresses).to.deep.equal([investors[1], investors[2]]);
+            expect(batches[1].addresses).to.deep.equal([investors[3]]);
+        })
+        it('orders the rounds numerically', () => {
+            const allocations = validateAllocations([
+                { address: investors[0], amount: '1', round: 10 },
+                { address: investors[1], amount: '1', round: 2 },
+                { address: investors[2], amount: '1', round: 1 },
+            ], { roundCount: 11 });
+            expect(batchAllocations(allocations, 2).map((batch) => batch.round)).to.deep.equal([1, 2, 10]);
+        })
+    })
+
+    context('import-allocations task', () => {
+        let dir;
+        let file;
+        let journal;
+        let solhub;
+        let newSolhubInvestor;
+
+        before(async () => {
+            const Solhub = await ethers.getContractFactory("Solhub");
+            solhub = await Solhub.deploy(ethers.utils.parseEther('1000000000'), ethers.utils.parseEther('2000000000'));
+            newSolhubInvestor = await deployProxy(hre, "NewSolhubInvestor", [solhub.address, 0]);
+            await solhub.approve(newSolhubInvestor.address, ethers.utils.parseEther('10000'));
+
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-allocations-'));
+            file = path.join(dir, 'seed.json');
+            journal = path.join(dir, 'seed.journal.json');
+            fs.writeFileSync(file, JSON.stringify([
+                { address: investors[0], amount: '100', round: 0 },
+                { address: investors[1], amount: '200', round: 0 },
+                { address: investors[2], amount: '300', round: 0 },
+                { address: investors[3], amount: '400', round: 1 },
+            ]));
+            // investors[1] was already added by hand
+            await newSolhubInvestor.addInvestmentDetails([investors[1]], [ethers.utils.parseEther('200')], 0);
+        });
+
+        after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('imports every batch and skips investors already vesting', async () => {
+            const state = await hre.run('import-allocations', {
+                file, investor: newSolhubInvestor.address, batchSize: 2, journal,
+            });
+            expect(state.batches.map((batch) => batch.status)).to.deep.equal(['confirmed', 'confirmed', 'confirmed']);
+            expect(state.batches[0].skipped).to.deep.equal([investors[1]]);
+            const details = await newSolhubInvestor.investorsInvestmentDetails(investors[3], 1);
+            expect(details.isVesting).to.equal(true);
+            expect(details.totalTokensAllocated).to.equal(ethers.utils.parseEther('400'));
+        })
+
+        it('resumes from the journal without sending confirmed batches again', async () => {
+            const [owner] = accounts;
+            const saved = JSON.parse(fs.readFileSync(journal, 'utf8'));
+            saved.batches[2].status = 'failed';
+            fs.writeFileSync(journal, JSON.stringify(saved));
+
+            const nonceBefore = await owner.getTransactionCount();
+            const state = await hre.run('import-allocations', {
+                file, investor: newSolhubInvestor.address, batchSize: 2, journal,
+            });
+            expect(await owner.getTransactionCount()).to.equal(nonceBefore);
+            expect(state.batches[2].status).to.equal('skipped');
+            expect(state.batches[2].skipped).to.deep.equal([investors[3]]);
+        })
+    })
+})
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deploy, CONTRACT_ROLES, TIMELOCKED_ROLES } = require("../scripts/deploy");
+const { manifestPath } = require("../utils/deployments");
+
+describe('scripts/deploy.js', () => {
+    let dir;
+    let owner;
+    let acc1;
+    let acc2;
+    let firstRun;
+
+    before(async () => {
+        [owner, acc1, acc2] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-deploy-'));
+        firstRun = await deploy({ dir, env: {} });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('deploys NewSolhubInvestor & Vesting pointing at the Solhub token', async () => {
+        const { solhub, investor, vesting } = firstRun;
+        expect(await investor.solhubTokenContract()).to.equal(solhub.address);
+        expect(await vesting.solhubTokenContract()).to.equal(solhub.address);
+    })
+
+    it('funds both vesting contracts through allowances', async () => {
+        const { solhub, investor, vesting } = firstRun;
+        expect(await solhub.allowance(owner.address, investor.address))
+            .to.equal(ethers.utils.parseEther('3200000'));
+        expect(await solhub.allowance(owner.address, vesting.address))
+            .to.equal(ethers.utils.parseEther('996800000'));
+    })
+
+    it('writes addresses & constructor args to the network manifest', async () => {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath('hardhat', dir), 'utf8'));
+        expect(manifest.contracts.Solhub.address).to.equal(firstRun.solhub.address);
+        expect(manifest.contracts.Solhub.args).to.deep.equal([
+            ethers.utils.parseEther('1000000000').toString(),
+            ethers.utils.parseEther('1000000000').toString(),
+        ]);
+        expect(manifest.contracts.Vesting.args).to.deep.equal([firstRun.solhub.address]);
+        expect(manifest.contracts.NewSolhubInvestor.args).to.deep.equal([firstRun.solhub.address, '0']);
+        expect(manifest.funding.NewSolhubInvestor.spender).to.equal(firstRun.investor.address);
+    })
+
+    it('deploys NewSolhubInvestor & Vesting behind proxies of one ProxyAdmin', async () => {
+        const { proxyAdmin, investor, vesting, manifest } = firstRun;
+        expect(manifest.contracts.ProxyAdmin.address).to.equal(proxyAdmin.address);
+        expect(await proxyAdmin.owner()).to.equal(owner.address);
+        for (const [name, contract] of [['NewSolhubInvestor', investor], ['Vesting', vesting]]) {
+            const entry = manifest.contracts[name];
+            expect(entry.proxyAdmin).to.equal(proxyAdmin.address);
+            expect(await proxyAdmin.getProxyAdmin(contract.address)).to.equal(proxyAdmin.address);
+            expect(await proxyAdmin.getProxyImplementation(contract.address)).to.equal(entry.implementation);
+            expect(entry.storageLayout.map(({ label }) => label)).to.include('solhubTokenContract');
+        }
+    })
+
+    it('reuses the contracts from the manifest on a rerun', async () => {
+        const nonceBefore = await owner.getTransactionCount();
+        const secondRun = await deploy({ dir, env: {} });
+        expect(secondRun.solhub.address).to.equal(firstRun.solhub.address);
+        expect(secondRun.timelock.address).to.equal(firstRun.timelock.address);
+        expect(secondRun.investor.address).to.equal(firstRun.investor.address);
+        expect(secondRun.proxyAdmin.address).to.equal(firstRun.proxyAdmin.address);
+        expect(secondRun.vesting.address).to.equal(firstRun.vesting.address);
+        expect(await owner.getTransactionCount()).to.equal(nonceBefore);
+    })
+
+    it('refuses to reuse a contract deployed with different args', async () => {
+        let error;
+        try {
+            await deploy({ dir, env: { SHUB_INITIAL_SUPPLY: '5' } });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.contain('Solhub was deployed with args');
+    })
+
+    it('caps the supply at the initial supply & finalizes the decimals by default', async () => {
+        const { solhub } = firstRun;
+        expect(await solhub.cap()).to.equal(ethers.utils.parseEther('1000000000'));
+        expect(await solhub.decimalsFinalized()).to.equal(true);
+        expect(await solhub.decimals()).to.equal(18);
+    })
+
+    it('reads the supply cap & open decimals from the environment', async () => {
+        const supplyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-supply-'));
+        try {
+            const { solhub } = await deploy({
+                dir: supplyDir,
+                env: { SHUB_MAX_SUPPLY: '1500000000', SHUB_DECIMALS_OPEN: 'true' },
+            });
+            expect(await solhub.cap()).to.equal(ethers.utils.parseEther('1500000000'));
+            expect(await solhub.decimalsFinalized()).to.equal(false);
+        } finally {
+            fs.rmSync(supplyDir, { recursive: true, force: true });
+        }
+    })
+
+    it('rejects a supply cap below the initial supply', async () => {
+        let error;
+        try {
+            await deploy({ dir, env: { SHUB_MAX_SUPPLY: '999999999' } });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.contain('SHUB_MAX_SUPPLY must be at least the initial supply');
+    })
+
+    it('hands mint, burn & the Solhub admin role over to the timelock', async () => {
+        const { solhub, timelock, manifest } = firstRun;
+        expect(manifest.contracts.SolhubTimelock.address).to.equal(timelock.address);
+        expect(manifest.contracts.SolhubTimelock.args).to.deep.equal(['172800', owner.address, owner.address]);
+        expect(await timelock.getMinDelay()).to.equal(2 * 86400);
+        expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), owner.address)).to.equal(true);
+        expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), owner.address)).to.equal(true);
+        for (const role of TIMELOCKED_ROLES) {
+            expect(await solhub.hasRole(await solhub[role](), timelock.address)).to.equal(true);
+            expect(await solhub.hasRole(await solhub[role](), owner.address)).to.equal(false);
+            expect(manifest.roles.Solhub[role]).to.deep.equal([timelock.address]);
+        }
+    })
+
+    it('leaves every other role with the deployer by default', async () => {
+        const contracts = { Solhub: firstRun.solhub, NewSolhubInvestor: firstRun.investor, Vesting: firstRun.vesting };
+        for (const [name, roles] of Object.entries(CONTRACT_ROLES)) {
+            for (const role of roles) {
+                if (name === 'Solhub' && TIMELOCKED_ROLES.includes(role)) {
+                    continue;
+                }
+                expect(await contracts[name].hasRole(await contracts[name][role](), owner.address)).to.equal(true);
+                expect(firstRun.manifest.roles[name][role]).to.deep.equal([owner.address]);
+            }
+        }
+        expect(await firstRun.investor.tokenHolder()).to.equal(owner.address);
+    })
+
+    it('hands the roles listed in the environment over', async () => {
+        const rolesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-roles-'));
+        try {
+            const { solhub, timelock, investor, vesting, manifest } = await deploy({
+                dir: rolesDir,
+                env: {
+                    ADMIN_ADDRESSES: acc1.address,
+                    TREASURY_ADDRESSES: `${acc1.address}, ${acc2.address}`,
+                    ALLOCATION_MANAGER_ADDRESSES: `${owner.address},${acc2.address}`,
+                    TIMELOCK_MIN_DELAY: '3600',
+                    TIMELOCK_PROPOSER_ADDRESSES: acc1.address,
+                    TIMELOCK_EXECUTOR_ADDRESSES: ethers.constants.AddressZero,
+                },
+            });
+            const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+            const TREASURY_ROLE = await solhub.TREASURY_ROLE();
+            const ALLOCATION_MANAGER_ROLE = await vesting.ALLOCATION_MANAGER_ROLE();
+            for (const contract of [investor, vesting]) {
+                expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, acc1.address)).to.equal(true);
+                expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+            }
+            expect(await solhub.hasRole(DEFAULT_ADMIN_ROLE, timelock.address)).to.equal(true);
+            expect(await solhub.hasRole(TREASURY_ROLE, acc2.address)).to.equal(true);
+            expect(await solhub.hasRole(TREASURY_ROLE, owner.address)).to.equal(false);
+            expect(await vesting.hasRole(ALLOCATION_MANAGER_ROLE, owner.address)).to.equal(true);
+            expect(await investor.hasRole(ALLOCATION_MANAGER_ROLE, acc2.address)).to.equal(true);
+            expect(await investor.hasRole(await investor.PAUSER_ROLE(), owner.address)).to.equal(true);
+            expect(manifest.roles.Solhub.TREASURY_ROLE).to.deep.equal([acc1.address, acc2.address]);
+            expect(manifest.roles.Vesting.DEFAULT_ADMIN_ROLE).to.deep.equal([acc1.address]);
+
+            expect(await timelock.getMinDelay()).to.equal(3600);
+            expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), acc1.address)).to.equal(true);
+            expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), owner.address)).to.equal(false);
+            // Address zero lets anyone execute
+            expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), ethers.constants.AddressZero)).to.equal(true);
+        } finally {
+            fs.rmSync(rolesDir, { recursive: true, force: true });
+        }
+    })
+
+    it('hands the ProxyAdmin over to PROXY_ADMIN_OWNER', async () => {
+        const ownerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-proxy-admin-'));
+        try {
+            const { proxyAdmin } = await deploy({ dir: ownerDir, env: { PROXY_ADMIN_OWNER: acc1.address } });
+            expect(await proxyAdmin.owner()).to.equal(acc1.address);
+        } finally {
+            fs.rmSync(ownerDir, { recursive: true, force: true });
+        }
+    })
+
+    it('rejects role holders which are not addresses', async () => {
+        let error;
+        try {
+            await deploy({ dir, env: { PAUSER_ADDRESSES: `${acc1.address},0x1234` } });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.contain('PAUSER_ADDRESSES must be a comma separated list of addresses');
+    })
+})
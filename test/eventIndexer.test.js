@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ethers } = hre;
+const {
+    loadStore,
+    indexEvents,
+    claimedPerRoundPerDay,
+    investorsWithUnclaimedTGE,
+} = require("../utils/eventIndexer");
+const { deployProxy } = require("../utils/proxy");
+
+describe('Event indexer', () => {
+    const DAY = 86400;
+    const initialSupply = ethers.utils.parseEther('1000000000'); // 1 Billion SHUB
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const allocation = ethers.utils.parseEther('100000'); // 100K SHUB
+    const tgeTokens = allocation.mul(5).div(100); // SEED & MARKETING
+
+    let owner;
+    let acc1;
+    let acc2;
+    let accounts;
+    let solhub;
+    let investor;
+    let vesting;
+    let legacy;
+    let contracts;
+    let store;
+    let firstDay;
+    let tgeDay;
+    let dir;
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+    const setTime = async (timestamp) => {
+        await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+        await ethers.provider.send('evm_mine', []);
+    };
+
+    const dayOf = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+    const approve = async (contract) => {
+        await solhub.approve(contract.address, initialSupply);
+        return contract;
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        [owner, acc1, acc2] = accounts;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-events-'));
+
+        solhub = await (await ethers.getContractFactory("Solhub")).deploy(initialSupply, maxSupply);
+        // Start of the UTC day after tomorrow, so the claims below fall on known days
+        tgeDay = (Math.floor(await latestTimestamp() / DAY) + 2) * DAY;
+        investor = await approve(await deployProxy(hre, "NewSolhubInvestor", [solhub.address, tgeDay + 100]));
+        vesting = await approve(await deployProxy(hre, "Vesting", [solhub.address]));
+        legacy = await approve(await (await ethers.getContractFactory("SolhubInvestor")).deploy(solhub.address));
+        const deployed = { NewSolhubInvestor: investor, Vesting: vesting, SolhubInvestor: legacy };
+        contracts = await Promise.all(Object.entries(deployed).map(async ([name, contract]) => ({
+            name,
+            address: contract.address,
+            abi: (await hre.artifacts.readArtifact(name)).abi,
+            fromBlock: (await contract.deployTransaction.wait()).blockNumber,
+        })));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    context('contract events', () => {
+        it('emits the allocations, listing times & claims of SolhubInvestor', async () => {
+            await expect(legacy.transferSHUBTo(acc1.address, allocation, 0))
+                .to.emit(legacy, 'InvestmentAllocated')
+                .withArgs(acc1.address, 0, allocation, allocation, tgeTokens);
+            const listingTime = await latestTimestamp() + DAY;
+            await expect(legacy.setListingTime([0], [listingTime]))
+                .to.emit(legacy, 'ListingTimeUpdated')
+                .withArgs(0, listingTime);
+            await expect(legacy.connect(acc1).claimTGETokens())
+                .to.emit(legacy, 'TokensClaimed')
+                .withArgs(acc1.address, 0, tgeTokens, 0);
+            firstDay = dayOf(await latestTimestamp());
+        })
+        it('emits the allocations & listing times of Vesting', async () => {
+            await expect(vesting.transferSHUBTo(acc1.address, allocation, 0))
+                .to.emit(vesting, 'InvestmentAllocated')
+                .withArgs(acc1.address, 0, allocation, allocation, tgeTokens);
+            await expect(vesting.transferSHUBTo(acc1.address, allocation, 0))
+                .to.emit(vesting, 'InvestmentAllocated')
+                .withArgs(acc1.address, 0, allocation, allocation.mul(2), tgeTokens.mul(2));
+            await vesting.transferSHUBTo(acc2.address, allocation, 0);
+            await vesting.transferSHUBTo(accounts[5].address, allocation, 0);
+            await expect(vesting.setListingTime([0], [tgeDay + 50]))
+                .to.emit(vesting, 'ListingTimeUpdated')
+                .withArgs(0, tgeDay + 50);
+        })
+        it('emits the allocations of NewSolhubInvestor', async () => {
+            await expect(investor.addInvestmentDetails([acc1.address, acc2.address], [allocation, allocation], 0))
+                .to.emit(investor, 'InvestmentAllocated')
+                .withArgs(acc2.address, 0, allocation, allocation, tgeTokens);
+        })
+        it('emits the TGE claims of Vesting & NewSolhubInvestor', async () => {
+            // accounts[5]'s allocation is revoked before the listing, its TGE tokens with it
+            await vesting.setRoundRevocable(0, true);
+            await vesting.revoke(accounts[5].address, 0);
+
+            await setTime(tgeDay + 200);
+            await expect(vesting.connect(acc1).claimTGETokens())
+                .to.emit(vesting, 'TokensClaimed')
+                .withArgs(acc1.address, 0, tgeTokens.mul(2), 0);
+            await expect(investor.connect(acc1).claimTGETokens(acc1.address, 0))
+                .to.emit(investor, 'TokensClaimed')
+                .withArgs(acc1.address, 0, tgeTokens, 0);
+            await investor.pauseContract();
+            await investor.unPauseContract();
+        })
+    })
+
+    context('indexEvents', () => {
+        it('stores the decoded events of every contract', async () => {
+            store = loadStore(path.join(dir, 'missing.json'));
+            const added = await indexEvents(ethers.provider, store, contracts, { batchSize: 5 });
+            expect(added).to.equal(store.events.length);
+            expect(store.chainId).to.equal((await ethers.provider.getNetwork()).chainId);
+
+            const claim = store.events.find((event) => event.contract === 'Vesting' && event.event === 'TokensClaimed');
+            expect(claim.args).to.deep.equal({
+                investor: acc1.address,
+                round: 0,
+                tgeTokens: tgeTokens.mul(2).toString(),
+                vestingTokens: '0',
+            });
+            expect(dayOf(claim.timestamp)).to.equal(dayOf(tgeDay));
+            expect(store.events.filter((event) => event.event === 'Paused')).to.have.length(1);
+            const blocks = store.events.map((event) => event.blockNumber);
+            expect(blocks).to.deep.equal([...blocks].sort((a, b) => a - b));
+        })
+        it('only fetches new blocks when run again', async () => {
+            const count = store.events.length;
+            expect(await indexEvents(ethers.provider, store, contracts)).to.equal(0);
+
+            await setTime(tgeDay + DAY + 100);
+            await investor.connect(acc2).claimAll();
+            await vesting.connect(acc2).proposeBeneficiaryChange(accounts[4].address);
+            await vesting.acceptBeneficiaryChange(acc2.address);
+            expect(await indexEvents(ethers.provider, store, contracts)).to.equal(3);
+            expect(store.events).to.have.length(count + 3);
+        })
+        it('refuses a store of another chain', async () => {
+            let error;
+            try {
+                await indexEvents(ethers.provider, { ...store, chainId: 1 }, contracts);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain('written for chainId 1');
+        })
+    })
+
+    context('queries', () => {
+        it('totals the claims per round per day', () => {
+            expect(claimedPerRoundPerDay(store)).to.deep.equal([
+                { contract: 'SolhubInvestor', round: 0, day: firstDay, tgeTokens: tgeTokens.toString(), vestingTokens: '0', totalTokens: tgeTokens.toString() },
+                { contract: 'NewSolhubInvestor', round: 0, day: dayOf(tgeDay), tgeTokens: tgeTokens.toString(), vestingTokens: '0', totalTokens: tgeTokens.toString() },
+                { contract: 'Vesting', round: 0, day: dayOf(tgeDay), tgeTokens: tgeTokens.mul(2).toString(), vestingTokens: '0', totalTokens: tgeTokens.mul(2).toString() },
+                { contract: 'NewSolhubInvestor', round: 0, day: dayOf(tgeDay + DAY), tgeTokens: tgeTokens.toString(), vestingTokens: '0', totalTokens: tgeTokens.toString() },
+            ]);
+            expect(claimedPerRoundPerDay(store, { contract: 'Vesting' })).to.have.length(1);
+        })
+        it('lists the investors with unclaimed TGE tokens, following beneficiary changes & revocations', () => {
+            expect(investorsWithUnclaimedTGE(store)).to.deep.equal([
+                { contract: 'Vesting', investor: accounts[4].address, round: 0, totalTGETokens: tgeTokens.toString() },
+            ]);
+        })
+    })
+
+    context('tasks', () => {
+        it('indexes the legacy SolhubInvestor and reports on the store', async () => {
+            const file = path.join(dir, 'events.json');
+            await hre.run('index-events', {
+                store: file,
+                solhubInvestor: legacy.address,
+                fromBlock: contracts[2].fromBlock,
+            });
+            expect(Object.values(loadStore(file).contracts).map((contract) => contract.name))
+                .to.deep.equal(['SolhubInvestor']);
+
+            const rows = await hre.run('events-report', { query: 'claimed-per-day', store: file });
+            expect(rows).to.have.length(1);
+            expect(rows[0].contract).to.equal('SolhubInvestor');
+            expect(await hre.run('events-report', { query: 'unclaimed-tge', store: file })).to.deep.equal([]);
+        })
+        it('rejects unknown queries', async () => {
+            let error;
+            try {
+                await hre.run('events-report', { query: 'balances', store: path.join(dir, 'events.json') });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain('Unknown query "balances"');
+        })
+    })
+})
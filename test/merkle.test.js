@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ethers } = hre;
+const {
+    allocationLeaf,
+    buildMerkleTree,
+    verifyProof,
+    buildAllocationTrees,
+} = require("../utils/merkle");
+
+describe('Merkle allocations', () => {
+    let investors;
+
+    before(async () => {
+        investors = (await ethers.getSigners()).slice(1, 8).map((account) => account.address);
+    });
+
+    context('buildMerkleTree', () => {
+        it('proves every leaf of trees of 1 to 7 leaves', () => {
+            for (let size = 1; size <= 7; size++) {
+                const leaves = investors.slice(0, size).map((address, i) => allocationLeaf(address, 0, i + 1));
+                const { root, proofs } = buildMerkleTree(leaves);
+                leaves.forEach((leaf, i) => expect(verifyProof(proofs[i], root, leaf)).to.equal(true));
+                expect(verifyProof(proofs[0], root, allocationLeaf(investors[0], 0, 99))).to.equal(false);
+            }
+        })
+        it('rejects an empty list', () => {
+            expect(() => buildMerkleTree([])).to.throw('without leaves');
+        })
+    })
+
+    context('buildAllocationTrees', () => {
+        it('builds one tree per round', () => {
+            const amount = ethers.utils.parseEther('10');
+            const trees = buildAllocationTrees([
+                { address: investors[0], amount, round: 0 },
+                { address: investors[1], amount, round: 0 },
+                { address: investors[0], amount, round: 2 },
+            ]);
+            expect(Object.keys(trees)).to.deep.equal(['0', '2']);
+            expect(trees[0].entries).to.have.length(2);
+            expect(trees[2].root).to.equal(allocationLeaf(investors[0], 2, amount));
+            expect(trees[2].entries[0].proof).to.deep.equal([]);
+        })
+    })
+
+    context('build-allocation-tree task', () => {
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-merkle-'));
+        });
+
+        after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('writes the roots & one proof file per investor from a CSV list', async () => {
+            const file = path.join(dir, 'private.csv');
+            fs.writeFileSync(file, [
+                'address,amount,round',
+                `${investors[0]},100,0`,
+                `${investors[1]},200,0`,
+                `${investors[0]},300,6`,
+            ].join('\n'));
+
+            const { roots, out } = await hre.run('build-allocation-tree', { file, roundCount: 7 });
+            expect(out).to.equal(path.join(dir, 'private-merkle'));
+            expect(JSON.parse(fs.readFileSync(path.join(out, 'roots.json'), 'utf8')).roots).to.deep.equal(roots);
+
+            const { allocations } = JSON.parse(
+                fs.readFileSync(path.join(out, 'proofs', `${investors[0]}.json`), 'utf8')
+            );
+            expect(allocations.map((allocation) => allocation.round)).to.deep.equal([0, 6]);
+            const leaf = allocationLeaf(investors[0], 0, allocations[0].amount);
+            expect(allocations[0].amount).to.equal(ethers.utils.parseEther('100').toString());
+            expect(verifyProof(allocations[0].proof, roots[0], leaf)).to.equal(true);
+        })
+        it('rejects rounds above the round count', async () => {
+            const file = path.join(dir, 'vesting.csv');
+            fs.writeFileSync(file, `address,amount,round\n${investors[0]},100,6\n`);
+            let error;
+            try {
+                await hre.run('build-allocation-tree', { file });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.contain('round must be between 0 and 2');
+        })
+    })
+})
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { normalizeStorageLayout, compareStorageLayouts } = require("../utils/storageLayout");
+const { readStorageLayout } = require("../utils/proxy");
+
+describe('utils/storageLayout.js', () => {
+    const types = {
+        't_uint256': { encoding: 'inplace', label: 'uint256', numberOfBytes: '32' },
+        't_address': { encoding: 'inplace', label: 'address', numberOfBytes: '20' },
+        't_bool': { encoding: 'inplace', label: 'bool', numberOfBytes: '1' },
+        't_struct(Grant)12_storage': {
+            encoding: 'inplace',
+            label: 'struct Vesting.Grant',
+            numberOfBytes: '32',
+            members: [{ label: 'amount', slot: '0', offset: 0, type: 't_uint256' }],
+        },
+        't_struct(Grant)34_storage': {
+            encoding: 'inplace',
+            label: 'struct Vesting.Grant',
+            numberOfBytes: '64',
+            members: [
+                { label: 'amount', slot: '0', offset: 0, type: 't_uint256' },
+                { label: 'claimed', slot: '1', offset: 0, type: 't_uint256' },
+            ],
+        },
+        't_mapping(t_address,t_struct(Grant)12_storage)': {
+            encoding: 'mapping',
+            label: 'mapping(address => struct Vesting.Grant)',
+            numberOfBytes: '32',
+            key: 't_address',
+            value: 't_struct(Grant)12_storage',
+        },
+        't_mapping(t_address,t_struct(Grant)34_storage)': {
+            encoding: 'mapping',
+            label: 'mapping(address => struct Vesting.Grant)',
+            numberOfBytes: '32',
+            key: 't_address',
+            value: 't_struct(Grant)34_storage',
+        },
+    };
+
+    const layout = (...storage) => normalizeStorageLayout({
+        storage: storage.map(([label, slot, type, offset = 0]) => ({ label, slot, offset, type })),
+        types,
+    });
+
+    const v1 = layout(
+        ['owner', '0', 't_address'],
+        ['paused', '0', 't_bool', 20],
+        ['grants', '1', 't_mapping(t_address,t_struct(Grant)12_storage)'],
+        ['grant', '2', 't_struct(Grant)12_storage'],
+    );
+
+    it('drops the AST ids of the types', () => {
+        expect(v1[2]).to.deep.equal({
+            label: 'grants',
+            slot: '1',
+            offset: 0,
+            type: {
+                label: 'mapping(address => struct Vesting.Grant)',
+                encoding: 'mapping',
+                numberOfBytes: '32',
+                key: { label: 'address', encoding: 'inplace', numberOfBytes: '20' },
+                value: {
+                    label: 'struct Vesting.Grant',
+                    encoding: 'inplace',
+                    numberOfBytes: '32',
+                    members: [{
+                        label: 'amount',
+                        slot: '0',
+                        offset: 0,
+                        type: { label: 'uint256', encoding: 'inplace', numberOfBytes: '32' },
+                    }],
+                },
+            },
+        });
+    })
+
+    it('accepts the same layout & appended variables', () => {
+        expect(compareStorageLayouts(v1, v1)).to.deep.equal([]);
+        expect(compareStorageLayouts(v1, [...v1, ...layout(['extra', '3', 't_uint256'])])).to.deep.equal([]);
+    })
+
+    it('accepts members appended to a struct stored as a mapping value', () => {
+        const v2 = layout(
+            ['owner', '0', 't_address'],
+            ['paused', '0', 't_bool', 20],
+            ['grants', '1', 't_mapping(t_address,t_struct(Grant)34_storage)'],
+            ['grant', '2', 't_struct(Grant)12_storage'],
+        );
+        expect(compareStorageLayouts(v1, v2)).to.deep.equal([]);
+    })
+
+    it('refuses members appended to a struct stored in place', () => {
+        const v2 = layout(
+            ['owner', '0', 't_address'],
+            ['paused', '0', 't_bool', 20],
+            ['grants', '1', 't_mapping(t_address,t_struct(Grant)12_storage)'],
+            ['grant', '2', 't_struct(Grant)34_storage'],
+        );
+        expect(compareStorageLayouts(v1, v2)).to.deep.equal([
+            'grant (struct Vesting.Grant) changed size, it is not stored as a mapping value',
+        ]);
+    })
+
+    it('refuses removed, replaced, moved & retyped variables', () => {
+        expect(compareStorageLayouts(v1, v1.slice(0, 3))).to.deep.equal(['grant was removed']);
+        expect(compareStorageLayouts(v1, layout(
+            ['admin', '0', 't_address'],
+            ['paused', '0', 't_bool', 21],
+            ['grants', '1', 't_uint256'],
+            ['grant', '2', 't_struct(Grant)12_storage'],
+        ))).to.deep.equal([
+            'owner at slot 0 was replaced by admin',
+            'paused moved from slot 0 offset 20 to slot 0 offset 21',
+            'grants changed from mapping(address => struct Vesting.Grant) to uint256',
+        ]);
+    })
+
+    it('reads the compiled layout of a contract', async () => {
+        const labels = (await readStorageLayout(hre, 'Vesting')).map(({ label }) => label);
+        expect(labels.slice(0, 2)).to.deep.equal(['_initialized', '_initializing']);
+        expect(labels).to.include('solhubTokenContract');
+    })
+})
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deploy } = require("../scripts/deploy");
+const { loadManifest } = require("../utils/deployments");
+
+const { ethers } = hre;
+
+describe('upgrade task', () => {
+    const amount = ethers.utils.parseEther('1000'); // 1000 SHUB
+
+    let dir;
+    let owner;
+    let acc1;
+    let deployment;
+
+    const manifest = () => loadManifest('hardhat', 31337, dir);
+
+    const upgrade = (contract, implementation, options = {}) =>
+        hre.run('upgrade', { contract, implementation, deployments: dir, ...options });
+
+    const upgradeError = async (...args) => {
+        try {
+            await upgrade(...args);
+        } catch (err) {
+            return err;
+        }
+        return undefined;
+    };
+
+    beforeEach(async () => {
+        [owner, acc1] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solhub-upgrade-'));
+        deployment = await deploy({ dir, env: {} });
+        await deployment.investor.addInvestmentDetails([acc1.address], [amount], 0);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps the state of the proxy through a compatible upgrade', async () => {
+        const { solhub, investor, proxyAdmin } = deployment;
+        const before = manifest().contracts.NewSolhubInvestor;
+
+        await upgrade('NewSolhubInvestor', 'NewSolhubInvestorV2Mock');
+
+        const upgraded = await ethers.getContractAt('NewSolhubInvestorV2Mock', investor.address);
+        expect((await upgraded.investorsInvestmentDetails(acc1.address, 0)).totalTokensAllocated).to.equal(amount);
+        expect(await upgraded.solhubTokenContract()).to.equal(solhub.address);
+        expect(await upgraded.tokenHolder()).to.equal(owner.address);
+        expect(await upgraded.hasRole(ethers.constants.HashZero, owner.address)).to.equal(true);
+        expect(await solhub.balanceOf(investor.address)).to.equal(amount);
+        await upgraded.setUpgradedValue(7);
+        expect(await upgraded.upgradedValue()).to.equal(7);
+
+        const after = manifest().contracts.NewSolhubInvestor;
+        expect(after.address).to.equal(before.address);
+        expect(after.implementation).to.equal(await proxyAdmin.getProxyImplementation(investor.address));
+        expect(after.implementation).to.not.equal(before.implementation);
+        expect(after.storageLayout.map(({ label }) => label)).to.include('upgradedValue');
+        expect(after.upgrades).to.have.length(1);
+        expect(after.upgrades[0]).to.include({
+            from: before.implementation,
+            to: after.implementation,
+            contractName: 'NewSolhubInvestorV2Mock',
+        });
+    })
+
+    it('refuses an implementation moving the state variables', async () => {
+        const { vesting, proxyAdmin } = deployment;
+        const implementation = await proxyAdmin.getProxyImplementation(vesting.address);
+
+        const error = await upgradeError('Vesting', 'VestingBadLayoutMock');
+
+        expect(error.message).to.contain(
+            `The storage layout of VestingBadLayoutMock is incompatible with the proxy at ${vesting.address}`
+        );
+        expect(error.message).to.contain('_initialized at slot 0 was replaced by insertedValue');
+        expect(await proxyAdmin.getProxyImplementation(vesting.address)).to.equal(implementation);
+        expect(manifest().contracts.Vesting.implementation).to.equal(implementation);
+    })
+
+    it('only checks the storage layout on a dry run', async () => {
+        const { investor, proxyAdmin } = deployment;
+        const implementation = await proxyAdmin.getProxyImplementation(investor.address);
+
+        await upgrade('NewSolhubInvestor', 'NewSolhubInvestorV2Mock', { dryRun: true });
+        expect(await proxyAdmin.getProxyImplementation(investor.address)).to.equal(implementation);
+        expect(manifest().contracts.NewSolhubInvestor.upgrades).to.equal(undefined);
+
+        const error = await upgradeError('Vesting', 'VestingBadLayoutMock', { dryRun: true });
+        expect(error.message).to.contain('is incompatible with the proxy');
+    })
+
+    it('refuses to upgrade unless the signer owns the ProxyAdmin', async () => {
+        const { proxyAdmin } = deployment;
+        await proxyAdmin.transferOwnership(acc1.address);
+
+        const error = await upgradeError('NewSolhubInvestor', 'NewSolhubInvestorV2Mock');
+
+        expect(error.message).to.contain(`The ProxyAdmin at ${proxyAdmin.address} is owned by ${acc1.address}`);
+        await expect(
+            proxyAdmin.upgrade(deployment.investor.address, proxyAdmin.address)
+        ).to.be.revertedWith('Ownable: caller is not the owner');
+    })
+
+    it('refuses contracts which are not behind a proxy', async () => {
+        const error = await upgradeError('Solhub');
+        expect(error.message).to.contain('Solhub is not deployed behind a proxy on hardhat');
+    })
+})
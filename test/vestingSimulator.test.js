@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const {
+    DAY,
+    MONTH,
+    newSolhubInvestor: investorMath,
+    vesting: vestingMath,
+} = require("../utils/vestingSimulator");
+const { deployProxy } = require("../utils/proxy");
+
+const { ethers } = hre;
+
+const increaseTime = async (seconds) => {
+    await ethers.provider.send('evm_increaseTime', [seconds]);
+    await ethers.provider.send('evm_mine', []);
+};
+
+const latestTimestamp = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+describe('utils/vestingSimulator.js', () => {
+    const initialSupply = ethers.utils.parseEther('1000000000');
+    const maxSupply = ethers.utils.parseEther('2000000000'); // 2 Billion SHUB
+    const allocation = ethers.utils.parseEther('12345.678');
+
+    let owner;
+    let investors;
+    let vestingInvestors;
+    let solhub;
+
+    before(async () => {
+        const accounts = await ethers.getSigners();
+        [owner] = accounts;
+        investors = accounts.slice(1, 8);
+        vestingInvestors = accounts.slice(8, 15);
+        const Solhub = await ethers.getContractFactory("Solhub");
+        solhub = await Solhub.deploy(initialSupply, maxSupply);
+    });
+
+    context('unlock tables', () => {
+        it('releases exactly the allocation in the NewSolhubInvestor day-by-day table', () => {
+            [0, 1, 2].forEach((index) => {
+                const rows = investorMath.unlockSchedule(index, allocation, investorMath.TGE_TIME);
+                const released = rows.reduce((sum, row) => sum.add(row.released), ethers.BigNumber.from(0));
+                expect(released).to.equal(allocation);
+                expect(rows[0].unlocked).to.equal(allocation.mul(investorMath.INVESTMENT_TYPES[index].tgePercent).div(100));
+            });
+        })
+        it('keeps the NewSolhubInvestor table flat until the lock period is over', () => {
+            const rows = investorMath.unlockSchedule(0, allocation, investorMath.TGE_TIME);
+            // a started month counts as a full one, so SEED unlocks from day 31
+            expect(rows[30].unlocked).to.equal(rows[0].unlocked);
+            expect(rows[31].unlocked).to.be.gt(rows[0].unlocked);
+        })
+        it('releases one monthly slice per month after the Vesting lock period', () => {
+            const rows = vestingMath.unlockSchedule(3, allocation, 0); // RESERVES
+            const slice = vestingMath.tokensBasedOnPercent(allocation, 10);
+            expect(rows[5].unlocked).to.equal(0);
+            expect(rows[6].released).to.equal(slice);
+            expect(rows[rows.length - 1].unlocked).to.equal(allocation);
+        })
+        it('releases the TGE amount in month 0 for MARKETING', () => {
+            const rows = vestingMath.unlockSchedule(0, allocation, 0);
+            expect(rows[0].released).to.equal(vestingMath.tokensBasedOnPercent(allocation, 5));
+        })
+    })
+
+    context('cross-check with NewSolhubInvestor', () => {
+        let investorContract;
+        let simulated;
+
+        before(async () => {
+            investorContract = await deployProxy(hre, "NewSolhubInvestor", [solhub.address, investorMath.TGE_TIME]);
+            await solhub.approve(investorContract.address, allocation.mul(3));
+            simulated = [];
+            for (const index of [0, 1, 2]) {
+                await investorContract.addInvestmentDetails([investors[index].address], [allocation], index);
+                simulated.push(investorMath.createAllocation(index, allocation, await latestTimestamp()));
+            }
+        });
+
+        it('stores the allocation the simulator computes', async () => {
+            for (const index of [0, 1, 2]) {
+                const onChain = await investorContract.investorsInvestmentDetails(investors[index].address, index);
+                const expected = simulated[index];
+                expect(onChain.totalTGETokens).to.equal(expected.totalTGETokens);
+                expect(onChain.dailyTokens).to.equal(expected.dailyTokens);
+                expect(onChain.lockPeriod).to.equal(expected.lockPeriod);
+                expect(onChain.vestingDuration).to.equal(expected.vestingDuration);
+                expect(onChain.investmentTimestamp).to.equal(expected.investmentTimestamp);
+            }
+        })
+
+        it('transfers the simulated TGE & vesting amounts', async () => {
+            for (const index of [0, 1, 2]) {
+                const investor = investors[index];
+                const expected = simulated[index];
+
+                await investorContract.connect(investor).claimTGETokens(investor.address, index);
+                expect(await solhub.balanceOf(investor.address)).to.equal(expected.totalTGETokens);
+                expected.totalTokensClaimed = expected.totalTokensClaimed.add(expected.totalTGETokens);
+                expected.isTGETokenClaimed = true;
+
+                const { amount } = investorMath.claimableTokens(expected, await latestTimestamp() + 1);
+                await expect(
+                    investorContract.connect(investor).claimVestingTokens(investor.address, index, amount.add(1))
+                ).to.be.reverted;
+                await investorContract.connect(investor).claimVestingTokens(investor.address, index, amount);
+                expect(await solhub.balanceOf(investor.address)).to.equal(expected.totalTGETokens.add(amount));
+            }
+        })
+    })
+
+    context('cross-check with Vesting', () => {
+        let vestingContract;
+        let listingTime;
+        const simulated = {};
+
+        before(async () => {
+            vestingContract = await deployProxy(hre, "Vesting", [solhub.address]);
+            await solhub.approve(vestingContract.address, initialSupply);
+            for (let round = 0; round < 7; round++) {
+                await vestingContract.transferSHUBTo(vestingInvestors[round].address, allocation, round);
+                simulated[round] = vestingMath.createAllocation(round, allocation, await latestTimestamp());
+            }
+            listingTime = await latestTimestamp() + DAY;
+            await vestingContract.setListingTime([0, 1, 2, 3, 4, 5, 6], Array(7).fill(listingTime));
+        });
+
+        it('stores the TGE amounts the simulator computes', async () => {
+            for (let round = 0; round < 7; round++) {
+                const onChain = await vestingContract.investorsInvestmentDetails(vestingInvestors[round].address, round);
+                expect(onChain.totalTGETokens).to.equal(simulated[round].totalTGETokens);
+                expect(onChain.isTGETokenClaimed).to.equal(simulated[round].isTGETokenClaimed);
+            }
+        })
+
+        it('transfers the simulated MARKETING TGE amount', async () => {
+            await increaseTime(DAY);
+            await vestingContract.connect(vestingInvestors[0]).claimTGETokens();
+            expect(await solhub.balanceOf(vestingInvestors[0].address)).to.equal(simulated[0].totalTGETokens);
+            simulated[0].totalTokensClaimed = simulated[0].totalTGETokens;
+            simulated[0].isTGETokenClaimed = true;
+        })
+
+        it('agrees with the contract on lock periods & monthly amounts', async () => {
+            // Walk the 24 months of TEAM, claiming every other round at a different cadence
+            for (let month = 0; month < 24; month++) {
+                const now = await latestTimestamp() + 1;
+                for (let round = 0; round < 7; round++) {
+                    if (month % (round + 1) !== 0) {
+                        continue;
+                    }
+                    const investor = vestingInvestors[round];
+                    let expected;
+                    try {
+                        expected = vestingMath.claimableTokens(simulated[round], now, listingTime);
+                    } catch (err) {
+                        await expect(
+                            vestingContract.connect(investor).claimVestingTokens(round)
+                        ).to.be.revertedWith(err.message);
+                        continue;
+                    }
+                    const before = await solhub.balanceOf(investor.address);
+                    await vestingContract.connect(investor).claimVestingTokens(round);
+                    expect((await solhub.balanceOf(investor.address)).sub(before)).to.equal(expected);
+                    simulated[round].totalTokensClaimed = simulated[round].totalTokensClaimed.add(expected);
+                }
+                await increaseTime(MONTH);
+            }
+        })
+
+        it('matches the unlock table once every round has vested', async () => {
+            for (let round = 0; round < 7; round++) {
+                const rows = vestingMath.unlockSchedule(round, allocation, listingTime);
+                expect(rows[rows.length - 1].unlocked).to.equal(allocation);
+                expect(await solhub.balanceOf(vestingInvestors[round].address)).to.equal(allocation);
+            }
+        })
+    })
+
+    context('cross-check with Vesting revocations', () => {
+        const ADVISORS = 1;
+
+        it('keeps the vested amount the simulator computes', async () => {
+            const investor = (await ethers.getSigners())[16];
+            const vestingContract = await deployProxy(hre, "Vesting", [solhub.address]);
+            await solhub.approve(vestingContract.address, initialSupply);
+            await vestingContract.transferSHUBTo(investor.address, allocation, ADVISORS);
+            const simulated = vestingMath.createAllocation(ADVISORS, allocation, await latestTimestamp());
+            const listingTime = await latestTimestamp() + DAY;
+            await vestingContract.setListingTime([ADVISORS], [listingTime]);
+
+            await increaseTime(DAY + 9 * MONTH + DAY);
+            const now = await latestTimestamp() + 1;
+            const revoked = vestingMath.revoke(simulated, now, listingTime);
+            await expect(vestingContract.revoke(investor.address, ADVISORS))
+                .to.emit(vestingContract, 'AllocationRevoked')
+                .withArgs(investor.address, ADVISORS, revoked.vestedTokens, revoked.unvestedTokens, owner.address);
+
+            await increaseTime(6 * MONTH);
+            const expected = vestingMath.claimableTokens(revoked.allocation, await latestTimestamp() + 1, listingTime);
+            await vestingContract.connect(investor).claimVestingTokens(ADVISORS);
+            expect(await solhub.balanceOf(investor.address)).to.equal(expected);
+            expect(expected).to.equal(revoked.vestedTokens);
+        })
+    })
+})
@@ -0,0 +1,160 @@
+// Helpers to read, validate & batch investor allocation lists
+//
+// Lists are either a CSV file with an `address,amount,round` header or a JSON array of
+// `{ "address": "0x..", "amount": "1500.5", "round": 0 }` objects. `amount` is in whole SHUB
+// and `round` is the NewSolhubInvestor investment index { SEED = 0, STRATEGIC = 1, PRIVATE = 2 }.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const SHUB_DECIMALS = 18;
+const DEFAULT_ROUND_COUNT = 3; // SEED, STRATEGIC & PRIVATE
+const REQUIRED_COLUMNS = ["address", "amount", "round"];
+
+/**
+ * Parses the rows of a CSV allocation list
+ * @param {string} content raw file content
+ */
+const parseCsv = (content) => {
+    const lines = content
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "" && !line.startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = lines[0].split(",").map((column) => column.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+    }
+    return lines.slice(1).map((line, i) => {
+        const cells = line.split(",").map((cell) => cell.trim());
+        if (cells.length !== header.length) {
+            throw new Error(`CSV line ${i + 2} has ${cells.length} cells, expected ${header.length}`);
+        }
+        const row = {};
+        header.forEach((column, j) => {
+            row[column] = cells[j];
+        });
+        return row;
+    });
+};
+
+/**
+ * Reads an allocation list from a `.csv` or `.json` file
+ * @param {string} file path of the allocation list
+ */
+const readAllocationFile = (file) => {
+    const content = fs.readFileSync(file, "utf8");
+    if (path.extname(file).toLowerCase() === ".json") {
+        const rows = JSON.parse(content);
+        if (!Array.isArray(rows)) {
+            throw new Error(`${file} must contain a JSON array`);
+        }
+        return rows;
+    }
+    return parseCsv(content);
+};
+
+/**
+ * Returns the sha256 of a file, used to tie a journal to the list it was created from
+ */
+const fileHash = (file) =>
+    crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+
+/**
+ * Validates raw rows and converts them to `{ address, amount, round }` with checksummed addresses,
+ * amounts in wei & numeric rounds. All problems are collected and reported in a single error.
+ * @param {object[]} rows rows returned by {readAllocationFile}
+ * @param {object} [options]
+ * @param {number} [options.roundCount] number of investment types, rounds must be below it
+ */
+const validateAllocations = (rows, { roundCount = DEFAULT_ROUND_COUNT } = {}) => {
+    const maxRound = roundCount - 1;
+    const errors = [];
+    const seen = new Set();
+    const allocations = [];
+
+    rows.forEach((row, i) => {
+        const label = `row ${i + 1}`;
+        let address;
+        let amount;
+        const round = Number(row.round);
+
+        try {
+            address = ethers.utils.getAddress(String(row.address));
+        } catch (err) {
+            errors.push(`${label}: invalid address or checksum "${row.address}"`);
+        }
+        try {
+            amount = ethers.utils.parseUnits(String(row.amount), SHUB_DECIMALS);
+            if (amount.lte(0)) {
+                errors.push(`${label}: amount must be greater than 0`);
+            }
+        } catch (err) {
+            errors.push(`${label}: invalid SHUB amount "${row.amount}"`);
+        }
+        if (!Number.isInteger(round) || round < 0 || round > maxRound) {
+            errors.push(`${label}: round must be between 0 and ${maxRound}, got "${row.round}"`);
+        }
+        if (address !== undefined) {
+            const key = `${address}-${round}`;
+            if (seen.has(key)) {
+                errors.push(`${label}: duplicate entry for ${address} in round ${round}`);
+            }
+            seen.add(key);
+        }
+        allocations.push({ address, amount, round });
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid allocation list:\n  ${errors.join("\n  ")}`);
+    }
+    return allocations;
+};
+
+/**
+ * Splits allocations into batches of at most `batchSize` entries, each holding a single round
+ * since addInvestmentDetails takes one investment type per call
+ * @param {object[]} allocations allocations returned by {validateAllocations}
+ * @param {number} batchSize maximum number of investors per transaction
+ */
+const batchAllocations = (allocations, batchSize) => {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+        throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+    }
+    const byRound = new Map();
+    allocations.forEach((allocation) => {
+        if (!byRound.has(allocation.round)) {
+            byRound.set(allocation.round, []);
+        }
+        byRound.get(allocation.round).push(allocation);
+    });
+
+    const batches = [];
+    [...byRound.keys()].sort((a, b) => a - b).forEach((round) => {
+        const entries = byRound.get(round);
+        for (let i = 0; i < entries.length; i += batchSize) {
+            const chunk = entries.slice(i, i + batchSize);
+            batches.push({
+                index: batches.length,
+                round,
+                addresses: chunk.map((entry) => entry.address),
+                amounts: chunk.map((entry) => entry.amount.toString()),
+            });
+        }
+    });
+    return batches;
+};
+
+module.exports = {
+    SHUB_DECIMALS,
+    parseCsv,
+    readAllocationFile,
+    fileHash,
+    validateAllocations,
+    batchAllocations,
+};
@@ -0,0 +1,80 @@
+// EIP-712 claim messages of NewSolhubInvestor & Vesting
+//
+// A beneficiary signs a claim off-chain and anyone can submit it with `claimWithSignature`. The message
+// carries the investment index (the round for Vesting), an optional maximum amount, the beneficiary's
+// current nonce & a deadline. Both contracts share the message type, only their EIP-712 domain differs.
+
+const { ethers } = require("ethers");
+
+const CLAIM_TYPES = {
+    Claim: [
+        { name: "beneficiary", type: "address" },
+        { name: "investmentIndex", type: "uint8" },
+        { name: "maxAmount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Reads the EIP-712 domain of a NewSolhubInvestor or Vesting contract
+ * @param {ethers.Contract} contract
+ */
+const claimDomain = async (contract) => {
+    const { name, version, chainId, verifyingContract } = await contract.eip712Domain();
+    return { name, version, chainId, verifyingContract };
+};
+
+/**
+ * Builds a claim message, reading the beneficiary's nonce from the contract unless given
+ * @param {ethers.Contract} contract NewSolhubInvestor or Vesting
+ * @param {object} claim
+ * @param {string} claim.beneficiary address of the beneficiary
+ * @param {number} claim.investmentIndex investment index, the round for Vesting
+ * @param {number} claim.deadline timestamp after which the signature cannot be used
+ * @param {ethers.BigNumberish} [claim.maxAmount] maximum amount in wei, 0 for no maximum
+ * @param {ethers.BigNumberish} [claim.nonce] defaults to the current nonce of the beneficiary
+ */
+const buildClaim = async (contract, { beneficiary, investmentIndex, deadline, maxAmount = 0, nonce }) => ({
+    beneficiary: ethers.utils.getAddress(beneficiary),
+    investmentIndex,
+    maxAmount: ethers.BigNumber.from(maxAmount),
+    nonce: ethers.BigNumber.from(nonce === undefined ? await contract.nonces(beneficiary) : nonce),
+    deadline: ethers.BigNumber.from(deadline),
+});
+
+/**
+ * Builds and signs a claim of `signer`
+ * @param {ethers.Signer} signer beneficiary of the claim
+ * @param {ethers.Contract} contract NewSolhubInvestor or Vesting
+ * @param {object} claim see {buildClaim}, without the beneficiary
+ * @returns {Promise<object>} the claim message along with its `signature`
+ */
+const signClaim = async (signer, contract, claim) => {
+    const message = await buildClaim(contract, { ...claim, beneficiary: await signer.getAddress() });
+    const signature = await signer._signTypedData(await claimDomain(contract), CLAIM_TYPES, message);
+    return { ...message, signature };
+};
+
+/**
+ * Submits a signed claim, the contract must be connected to the relayer paying for the transaction
+ * @param {ethers.Contract} contract NewSolhubInvestor or Vesting
+ * @param {object} signedClaim claim returned by {signClaim}
+ */
+const submitClaim = (contract, { beneficiary, investmentIndex, maxAmount, nonce, deadline, signature }) =>
+    contract.claimWithSignature(beneficiary, investmentIndex, maxAmount, nonce, deadline, signature);
+
+/**
+ * Returns the address which signed a claim, as the contracts recover it
+ */
+const recoverClaimSigner = (domain, { signature, ...message }) =>
+    ethers.utils.verifyTypedData(domain, CLAIM_TYPES, message, signature);
+
+module.exports = {
+    CLAIM_TYPES,
+    claimDomain,
+    buildClaim,
+    signClaim,
+    submitClaim,
+    recoverClaimSigner,
+};
@@ -393,6 +393,7 @@ const TETHER_ABI = [
 
 const TETHER_ADDRESS = "0xdAC17F958D2ee523a2206206994597C13D831ec7";
 const CHAINLINK_ETH_PRICE_FEED = "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419";
+// USDT / ETH feed, the USDT price is quoted in ETH: SolhubSale derives its USD price through the ETH / USD feed
 const CHAINLINK_USDT_PRICE_FEED = "0xEe9F2375b4bdF6387aa8265dD4FB8F16512A1d46";
 
 module.exports = {
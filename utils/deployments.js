@@ -0,0 +1,60 @@
+// Helpers to read and write the per-network deployment manifest
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Returns the path of the manifest file for the given network
+ * @param {string} networkName name of the hardhat network, e.g. `rinkeby`
+ * @param {string} [dir] directory holding the manifests
+ */
+const manifestPath = (networkName, dir = DEPLOYMENTS_DIR) =>
+    path.join(dir, `${networkName}.json`);
+
+/**
+ * Loads the manifest of a network, or an empty one if it was never deployed
+ * @param {string} networkName name of the hardhat network
+ * @param {number} chainId chain id reported by the provider
+ * @param {string} [dir] directory holding the manifests
+ */
+const loadManifest = (networkName, chainId, dir = DEPLOYMENTS_DIR) => {
+    const file = manifestPath(networkName, dir);
+    if (!fs.existsSync(file)) {
+        return { network: networkName, chainId, contracts: {}, funding: {} };
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.chainId !== chainId) {
+        throw new Error(
+            `${file} was written for chainId ${manifest.chainId}, connected to ${chainId}`
+        );
+    }
+    return { contracts: {}, funding: {}, ...manifest };
+};
+
+/**
+ * Writes the manifest of a network to disk
+ * @param {object} manifest manifest returned by {loadManifest}
+ * @param {string} [dir] directory holding the manifests
+ */
+const saveManifest = (manifest, dir = DEPLOYMENTS_DIR) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+        manifestPath(manifest.network, dir),
+        `${JSON.stringify(manifest, null, 4)}\n`
+    );
+};
+
+/**
+ * Constructor arguments are stored as strings so that BigNumbers survive the JSON round trip
+ */
+const serializeArgs = (args) => args.map((arg) => arg.toString());
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    manifestPath,
+    loadManifest,
+    saveManifest,
+    serializeArgs,
+};
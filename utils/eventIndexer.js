@@ -0,0 +1,243 @@
+// Indexes the events of NewSolhubInvestor, Vesting & SolhubInvestor into a JSON store for accounting
+//
+// The store keeps every decoded event with its block, transaction & timestamp, amounts as decimal strings
+// of wei. Each contract remembers the last indexed block, so indexing again only fetches new blocks.
+// The queries replay the stored events, they never read the chain.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+/**
+ * Loads a store, or returns an empty one if `file` does not exist
+ * @param {string} file path of the JSON store
+ */
+const loadStore = (file) => {
+    if (!fs.existsSync(file)) {
+        return { chainId: null, contracts: {}, events: [] };
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+/**
+ * Writes a store to disk
+ */
+const saveStore = (file, store) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(store, null, 2)}\n`);
+};
+
+/**
+ * Converts decoded event arguments to `{ name: value }`, in the order of the event signature
+ */
+const serializeArgs = (fragment, args) => {
+    const serialized = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        serialized[input.name || `arg${i}`] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+    return serialized;
+};
+
+/**
+ * Fetches the events of `contracts` up to `toBlock` and appends them to `store`
+ * @param {ethers.providers.Provider} provider Hardhat or JSON-RPC provider
+ * @param {object} store store returned by {loadStore}
+ * @param {object[]} contracts `{ name, address, abi, fromBlock }` of every contract to index
+ * @param {object} [options]
+ * @param {number} [options.toBlock] last block to index, defaults to the latest block
+ * @param {number} [options.batchSize] number of blocks per eth_getLogs request
+ * @param {function} [options.onBatch] called with the store after every batch, e.g. to save it
+ * @returns {Promise<number>} number of new events
+ */
+const indexEvents = async (provider, store, contracts, { toBlock, batchSize = DEFAULT_BATCH_SIZE, onBatch } = {}) => {
+    const { chainId } = await provider.getNetwork();
+    if (store.chainId !== null && store.chainId !== chainId) {
+        throw new Error(`The store was written for chainId ${store.chainId}, connected to ${chainId}`);
+    }
+    store.chainId = chainId;
+    const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const timestamps = {};
+    const sortEvents = () =>
+        store.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    let added = 0;
+
+    for (const { name, address, abi, fromBlock = 0 } of contracts) {
+        const key = ethers.utils.getAddress(address);
+        const entry = store.contracts[key] || { name, lastBlock: fromBlock - 1 };
+        store.contracts[key] = entry;
+        const iface = new ethers.utils.Interface(abi);
+
+        for (let start = entry.lastBlock + 1; start <= lastBlock; start += batchSize) {
+            const end = Math.min(start + batchSize - 1, lastBlock);
+            const logs = await provider.getLogs({ address: key, fromBlock: start, toBlock: end });
+            for (const log of logs) {
+                let parsed;
+                try {
+                    parsed = iface.parseLog(log);
+                } catch (err) {
+                    continue; // not an event of the ABI
+                }
+                if (timestamps[log.blockNumber] === undefined) {
+                    timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+                }
+                store.events.push({
+                    contract: name,
+                    address: key,
+                    event: parsed.name,
+                    blockNumber: log.blockNumber,
+                    logIndex: log.logIndex,
+                    transactionHash: log.transactionHash,
+                    timestamp: timestamps[log.blockNumber],
+                    args: serializeArgs(parsed.eventFragment, parsed.args),
+                });
+                added++;
+            }
+            entry.lastBlock = end;
+            if (onBatch) {
+                sortEvents();
+                onBatch(store);
+            }
+        }
+    }
+    sortEvents();
+    return added;
+};
+
+/**
+ * Returns the UTC day of a timestamp, e.g. `2021-06-26`
+ */
+const dayOf = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+const eventsOf = (store, contract) =>
+    store.events.filter((event) => contract === undefined || event.contract === contract);
+
+/**
+ * Returns the tokens claimed per contract, round & UTC day, TGE & vesting tokens apart
+ * @param {object} store store filled by {indexEvents}
+ * @param {object} [options]
+ * @param {string} [options.contract] only count the claims of this contract
+ * @returns {object[]} `{ contract, round, day, tgeTokens, vestingTokens, totalTokens }` sorted by day
+ */
+const claimedPerRoundPerDay = (store, { contract } = {}) => {
+    const rows = {};
+    eventsOf(store, contract)
+        .filter((event) => event.event === "TokensClaimed")
+        .forEach((event) => {
+            // TokensClaimed(investor, round, tgeTokens, vestingTokens) on every contract
+            const [, round, tgeTokens, vestingTokens] = Object.values(event.args);
+            const day = dayOf(event.timestamp);
+            const key = `${day}-${event.contract}-${round}`;
+            const row = rows[key] || {
+                contract: event.contract,
+                round,
+                day,
+                tgeTokens: ethers.BigNumber.from(0),
+                vestingTokens: ethers.BigNumber.from(0),
+            };
+            row.tgeTokens = row.tgeTokens.add(tgeTokens);
+            row.vestingTokens = row.vestingTokens.add(vestingTokens);
+            rows[key] = row;
+        });
+    return Object.values(rows)
+        .sort((a, b) => a.day.localeCompare(b.day) || a.contract.localeCompare(b.contract) || a.round - b.round)
+        .map((row) => ({
+            ...row,
+            tgeTokens: row.tgeTokens.toString(),
+            vestingTokens: row.vestingTokens.toString(),
+            totalTokens: row.tgeTokens.add(row.vestingTokens).toString(),
+        }));
+};
+
+/**
+ * Replays allocations, removals, claims, revocations & beneficiary changes into the current allocation of every
+ * (contract, investor, round)
+ * @returns {Map<string, object>} `{ contract, investor, round, totalTokensAllocated, totalTGETokens,
+ * totalTokensClaimed, isTGETokenClaimed }` by `contract:investor:round`
+ */
+const replayAllocations = (store, { contract } = {}) => {
+    const allocations = new Map();
+    const keyOf = (name, investor, round) => `${name}:${investor}:${round}`;
+    const get = (name, investor, round) => {
+        const key = keyOf(name, investor, round);
+        if (!allocations.has(key)) {
+            allocations.set(key, {
+                contract: name,
+                investor,
+                round,
+                totalTokensAllocated: ethers.BigNumber.from(0),
+                totalTGETokens: ethers.BigNumber.from(0),
+                totalTokensClaimed: ethers.BigNumber.from(0),
+                isTGETokenClaimed: false,
+            });
+        }
+        return allocations.get(key);
+    };
+
+    eventsOf(store, contract).forEach((event) => {
+        const args = Object.values(event.args);
+        if (event.event === "InvestmentAllocated" || event.event === "InvestmentRemoved") {
+            const [investor, round, , totalTokensAllocated, totalTGETokens] = args;
+            const allocation = get(event.contract, investor, round);
+            allocation.totalTokensAllocated = ethers.BigNumber.from(totalTokensAllocated);
+            allocation.totalTGETokens = ethers.BigNumber.from(totalTGETokens);
+        } else if (event.event === "TokensClaimed") {
+            const [investor, round, tgeTokens, vestingTokens] = args;
+            const allocation = get(event.contract, investor, round);
+            allocation.totalTokensClaimed = allocation.totalTokensClaimed.add(tgeTokens).add(vestingTokens);
+            if (!ethers.BigNumber.from(tgeTokens).isZero()) {
+                allocation.isTGETokenClaimed = true;
+            }
+        } else if (event.event === "AllocationRevoked") {
+            const [investor, round, vestedTokens] = args;
+            const allocation = get(event.contract, investor, round);
+            allocation.totalTokensAllocated = ethers.BigNumber.from(vestedTokens);
+            // Nothing is vested before the listing, TGE tokens included
+            if (allocation.totalTokensAllocated.isZero()) {
+                allocation.totalTGETokens = ethers.BigNumber.from(0);
+            }
+        } else if (event.event === "BeneficiaryChanged") {
+            const [previousBeneficiary, newBeneficiary] = args;
+            [...allocations.values()]
+                .filter((allocation) => allocation.contract === event.contract && allocation.investor === previousBeneficiary)
+                .forEach((allocation) => {
+                    allocations.delete(keyOf(allocation.contract, previousBeneficiary, allocation.round));
+                    allocation.investor = newBeneficiary;
+                    allocations.set(keyOf(allocation.contract, newBeneficiary, allocation.round), allocation);
+                });
+        }
+    });
+    return allocations;
+};
+
+/**
+ * Returns the allocations whose TGE tokens were never claimed
+ * @param {object} store store filled by {indexEvents}
+ * @param {object} [options]
+ * @param {string} [options.contract] only look at the allocations of this contract
+ * @returns {object[]} `{ contract, investor, round, totalTGETokens }` sorted by contract, investor & round
+ */
+const investorsWithUnclaimedTGE = (store, { contract } = {}) =>
+    [...replayAllocations(store, { contract }).values()]
+        .filter((allocation) => !allocation.isTGETokenClaimed && !allocation.totalTGETokens.isZero())
+        .sort((a, b) =>
+            a.contract.localeCompare(b.contract) || a.investor.localeCompare(b.investor) || a.round - b.round
+        )
+        .map(({ contract: name, investor, round, totalTGETokens }) => ({
+            contract: name,
+            investor,
+            round,
+            totalTGETokens: totalTGETokens.toString(),
+        }));
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    loadStore,
+    saveStore,
+    indexEvents,
+    claimedPerRoundPerDay,
+    replayAllocations,
+    investorsWithUnclaimedTGE,
+};
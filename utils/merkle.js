@@ -0,0 +1,92 @@
+// Merkle trees of investor allocations, for the allocation roots of NewSolhubInvestor & Vesting
+//
+// A leaf is `keccak256(keccak256(abi.encode(address, uint8 round, uint256 amount)))` and pairs are hashed
+// sorted, as verified by OpenZeppelin's MerkleProof. One tree is built per round since each round has
+// its own root on-chain.
+
+const { ethers } = require("ethers");
+
+/**
+ * Returns the leaf of an allocation, `amount` in wei
+ */
+const allocationLeaf = (address, round, amount) =>
+    ethers.utils.keccak256(
+        ethers.utils.keccak256(
+            ethers.utils.defaultAbiCoder.encode(["address", "uint8", "uint256"], [address, round, amount])
+        )
+    );
+
+const hashPair = (a, b) =>
+    ethers.utils.keccak256(ethers.utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+
+/**
+ * Builds a tree over `leaves` and returns its root along with the proof of every leaf, in the order
+ * of `leaves`. A node without sibling is moved up to the next layer as is.
+ * @param {string[]} leaves hex encoded leaves
+ */
+const buildMerkleTree = (leaves) => {
+    if (leaves.length === 0) {
+        throw new Error("Cannot build a Merkle tree without leaves");
+    }
+    const proofs = leaves.map(() => []);
+    // positions[i] is the index of the node holding leaf i in the current layer
+    let positions = leaves.map((_, i) => i);
+    let layer = leaves;
+    while (layer.length > 1) {
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        positions = positions.map((position, i) => {
+            const sibling = position ^ 1;
+            if (sibling < layer.length) {
+                proofs[i].push(layer[sibling]);
+            }
+            return position >> 1;
+        });
+        layer = next;
+    }
+    return { root: layer[0], proofs };
+};
+
+/**
+ * Checks a proof the way MerkleProof.verify does
+ */
+const verifyProof = (proof, root, leaf) => proof.reduce(hashPair, leaf) === root;
+
+/**
+ * Builds the tree of every round of an allocation list
+ * @param {object[]} allocations allocations returned by {validateAllocations}
+ * @returns {object} `{ [round]: { root, entries: [{ address, round, amount, proof }] } }`, amounts in wei
+ */
+const buildAllocationTrees = (allocations) => {
+    const byRound = {};
+    allocations.forEach((allocation) => {
+        (byRound[allocation.round] = byRound[allocation.round] || []).push(allocation);
+    });
+
+    const trees = {};
+    Object.keys(byRound).forEach((round) => {
+        const entries = byRound[round];
+        const { root, proofs } = buildMerkleTree(
+            entries.map((entry) => allocationLeaf(entry.address, entry.round, entry.amount))
+        );
+        trees[round] = {
+            root,
+            entries: entries.map((entry, i) => ({
+                address: entry.address,
+                round: entry.round,
+                amount: entry.amount.toString(),
+                proof: proofs[i],
+            })),
+        };
+    });
+    return trees;
+};
+
+module.exports = {
+    allocationLeaf,
+    buildMerkleTree,
+    verifyProof,
+    buildAllocationTrees,
+};
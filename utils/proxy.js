@@ -0,0 +1,102 @@
+// Deploys & upgrades the vesting contracts behind OpenZeppelin TransparentUpgradeableProxy instances
+//
+// Every proxy is administered by a ProxyAdmin, whose owner is the only account able to upgrade it. The
+// implementations are deployed without arguments, the proxy calls `initialize(...args)` when deployed.
+
+const { normalizeStorageLayout, compareStorageLayouts } = require("./storageLayout");
+
+/**
+ * Returns the normalized storage layout of a compiled contract, see {normalizeStorageLayout}
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} name contract name, e.g. `NewSolhubInvestor`
+ */
+const readStorageLayout = async (hre, name) => {
+    const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+    const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+    if (!storageLayout) {
+        throw new Error(`No storage layout compiled for ${name}, check the outputSelection of hardhat.config.js`);
+    }
+    return normalizeStorageLayout(storageLayout);
+};
+
+/**
+ * Deploys a new ProxyAdmin owned by the signer
+ */
+const deployProxyAdmin = async (hre) => {
+    const proxyAdmin = await (await hre.ethers.getContractFactory("ProxyAdmin")).deploy();
+    await proxyAdmin.deployed();
+    return proxyAdmin;
+};
+
+/**
+ * Deploys the implementation of `name` and a proxy initialized with `args`
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} name contract name, e.g. `NewSolhubInvestor`
+ * @param {Array} args arguments of `initialize`
+ * @param {object} [proxyAdmin] ProxyAdmin of the proxy, a new one is deployed when left out
+ * @returns {Promise<object>} `name` at the proxy address, its `deployTransaction` is the one of the proxy
+ */
+const deployProxy = async (hre, name, args, proxyAdmin) => {
+    const admin = proxyAdmin || (await deployProxyAdmin(hre));
+    const Implementation = await hre.ethers.getContractFactory(name);
+    const implementation = await Implementation.deploy();
+    await implementation.deployed();
+    const Proxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy");
+    const proxy = await Proxy.deploy(
+        implementation.address,
+        admin.address,
+        Implementation.interface.encodeFunctionData("initialize", args)
+    );
+    await proxy.deployed();
+    const contract = Implementation.attach(proxy.address);
+    hre.ethers.utils.defineReadOnly(contract, "deployTransaction", proxy.deployTransaction);
+    return contract;
+};
+
+/**
+ * Returns the storage layout of `name`, or throws if a proxy whose implementation has `deployedLayout`
+ * cannot be upgraded to it
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} proxyAddress address of the proxy
+ * @param {string} name contract name of the new implementation
+ * @param {object[]} deployedLayout normalized layout of the current implementation
+ */
+const checkUpgrade = async (hre, proxyAddress, name, deployedLayout) => {
+    const storageLayout = await readStorageLayout(hre, name);
+    const errors = compareStorageLayouts(deployedLayout, storageLayout);
+    if (errors.length > 0) {
+        throw new Error(
+            `The storage layout of ${name} is incompatible with the proxy at ${proxyAddress}:\n` +
+                errors.map((error) => `  - ${error}`).join("\n")
+        );
+    }
+    return storageLayout;
+};
+
+/**
+ * Upgrades `proxyAddress` to a new implementation of `name`, unless its storage layout is incompatible
+ * with `deployedLayout`
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} proxyAdmin ProxyAdmin of the proxy, connected to its owner
+ * @param {string} proxyAddress address of the proxy
+ * @param {string} name contract name of the new implementation
+ * @param {object[]} deployedLayout normalized layout of the current implementation
+ * @returns {Promise<object>} `{ implementation, storageLayout, transactionHash }`
+ */
+const upgradeProxy = async (hre, proxyAdmin, proxyAddress, name, deployedLayout) => {
+    const storageLayout = await checkUpgrade(hre, proxyAddress, name, deployedLayout);
+    const implementation = await (await hre.ethers.getContractFactory(name)).deploy();
+    await implementation.deployed();
+    const tx = await proxyAdmin.upgrade(proxyAddress, implementation.address);
+    await tx.wait();
+    return { implementation: implementation.address, storageLayout, transactionHash: tx.hash };
+};
+
+module.exports = {
+    readStorageLayout,
+    deployProxyAdmin,
+    deployProxy,
+    checkUpgrade,
+    upgradeProxy,
+};
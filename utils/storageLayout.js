@@ -0,0 +1,124 @@
+// Compares the storage layouts solc reports for two versions of an upgradeable contract
+//
+// Layouts are first normalized: type ids carry AST ids which change between compilations, so every variable
+// keeps its label, slot & offset along with its type described by labels only. An upgrade is compatible when
+// every variable of the old layout is found at the same slot & offset, under the same name and with a
+// compatible type. New variables can only come after the old ones, and structs only grow where they are stored
+// as mapping values, whose members never overlap the next value.
+
+/**
+ * Describes the type `typeId` of a solc storage layout without its AST ids
+ */
+const normalizeType = (types, typeId) => {
+  const type = types[typeId];
+  const normalized = {
+    label: type.label,
+    encoding: type.encoding,
+    numberOfBytes: type.numberOfBytes,
+  };
+  if (type.key) {
+    normalized.key = normalizeType(types, type.key);
+  }
+  if (type.value) {
+    normalized.value = normalizeType(types, type.value);
+  }
+  if (type.base) {
+    normalized.base = normalizeType(types, type.base);
+  }
+  if (type.members) {
+    normalized.members = type.members.map((member) => normalizeVariable(types, member));
+  }
+  return normalized;
+};
+
+const normalizeVariable = (types, { label, slot, offset, type }) => ({
+  label,
+  slot,
+  offset,
+  type: normalizeType(types, type),
+});
+
+/**
+ * Turns the `storageLayout` output of solc into the form stored in the deployment manifest
+ * @param {object} storageLayout `{ storage, types }` of one contract
+ * @returns {object[]} `{ label, slot, offset, type }` of every state variable, in slot order
+ */
+const normalizeStorageLayout = ({ storage, types }) =>
+  storage.map((variable) => normalizeVariable(types || {}, variable));
+
+/**
+ * Returns why `newType` cannot replace `oldType`, or an empty array
+ * @param {boolean} canGrow whether the type may take more bytes, true for mapping values only
+ */
+const compareTypes = (oldType, newType, path, canGrow) => {
+  if (oldType.encoding !== newType.encoding) {
+    return [`${path} changed from ${oldType.label} to ${newType.label}`];
+  }
+  if (oldType.members) {
+    if (!newType.members) {
+      return [`${path} changed from ${oldType.label} to ${newType.label}`];
+    }
+    const errors = compareVariables(oldType.members, newType.members, `${path}.`);
+    if (!canGrow && oldType.numberOfBytes !== newType.numberOfBytes) {
+      errors.push(`${path} (${newType.label}) changed size, it is not stored as a mapping value`);
+    }
+    return errors;
+  }
+  if (oldType.key || oldType.base) {
+    const errors = [];
+    if (oldType.key) {
+      errors.push(...compareTypes(oldType.key, newType.key, `${path} key`, false));
+    }
+    if (oldType.value) {
+      errors.push(...compareTypes(oldType.value, newType.value, `${path} value`, true));
+    }
+    if (oldType.base) {
+      errors.push(...compareTypes(oldType.base, newType.base, `${path} element`, false));
+      if (oldType.numberOfBytes !== newType.numberOfBytes && oldType.encoding === "inplace") {
+        errors.push(`${path} changed from ${oldType.label} to ${newType.label}`);
+      }
+    }
+    return errors;
+  }
+  if (oldType.label !== newType.label || oldType.numberOfBytes !== newType.numberOfBytes) {
+    return [`${path} changed from ${oldType.label} to ${newType.label}`];
+  }
+  return [];
+};
+
+/**
+ * Compares state variables or struct members, new ones may only be appended
+ */
+const compareVariables = (oldVariables, newVariables, prefix) => {
+  const errors = [];
+  oldVariables.forEach((oldVariable, i) => {
+    const newVariable = newVariables[i];
+    const path = `${prefix}${oldVariable.label}`;
+    if (!newVariable) {
+      errors.push(`${path} was removed`);
+    } else if (newVariable.label !== oldVariable.label) {
+      errors.push(`${path} at slot ${oldVariable.slot} was replaced by ${prefix}${newVariable.label}`);
+    } else if (newVariable.slot !== oldVariable.slot || newVariable.offset !== oldVariable.offset) {
+      errors.push(
+        `${path} moved from slot ${oldVariable.slot} offset ${oldVariable.offset} ` +
+          `to slot ${newVariable.slot} offset ${newVariable.offset}`
+      );
+    } else {
+      errors.push(...compareTypes(oldVariable.type, newVariable.type, path, false));
+    }
+  });
+  return errors;
+};
+
+/**
+ * Returns why the layout `newLayout` cannot be upgraded to from `oldLayout`
+ * @param {object[]} oldLayout layout of the deployed implementation, see {normalizeStorageLayout}
+ * @param {object[]} newLayout layout of the new implementation
+ * @returns {string[]} one message per incompatibility, empty when the upgrade is safe
+ */
+const compareStorageLayouts = (oldLayout, newLayout) => compareVariables(oldLayout, newLayout, "");
+
+module.exports = {
+  normalizeStorageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,285 @@
+// Off-chain mirror of the release math of NewSolhubInvestor & Vesting
+//
+// Every amount is an ethers BigNumber in wei and every time a unix timestamp in seconds, so the
+// results can be compared 1:1 with the values read from the contracts.
+
+const { BigNumber } = require("ethers");
+
+const DAY = 86400;
+const MONTH = 2592000; // 30 days, as in both contracts
+
+/**
+ * Mirrors NewSolhubInvestor: TGE percent at TGE, then a share of the allocation per release interval
+ * (`allocation / 365` per day by default) counted from the investment, once the lock period (in months
+ * counted from TGE) is over
+ */
+const newSolhubInvestor = {
+    // TGE of the first deployment (June 26, 2021), default `tgeTime` of the helpers below. Other deployments
+    // pass their tgeTime()
+    TGE_TIME: 1624710715,
+
+    // investorsInvestmentType as set in the constructor, more can be added with addInvestmentType
+    INVESTMENT_TYPES: {
+        0: { indexId: 0, vestingDuration: 12, lockPeriod: 1, tgePercent: 5, releaseInterval: DAY }, // SEED
+        1: { indexId: 1, vestingDuration: 12, lockPeriod: 1, tgePercent: 5, releaseInterval: DAY }, // STRATEGIC
+        2: { indexId: 2, vestingDuration: 12, lockPeriod: 1, tgePercent: 10, releaseInterval: DAY }, // PRIVATE
+    },
+
+    /**
+     * Returns the InvestorAllocation addInvestmentDetails stores for an investor. `investmentType`
+     * defaults to the constructor's definition of `investmentIndex`.
+     */
+    createAllocation(
+        investmentIndex,
+        amount,
+        investmentTimestamp,
+        investmentType = newSolhubInvestor.INVESTMENT_TYPES[investmentIndex]
+    ) {
+        if (!investmentType) {
+            throw new Error(`Invalid Invested Index ${investmentIndex}`);
+        }
+        const totalTokensAllocated = BigNumber.from(amount);
+        return {
+            investmentTypeId: investmentIndex,
+            vestingDuration: investmentType.vestingDuration,
+            lockPeriod: investmentType.lockPeriod,
+            releaseInterval: investmentType.releaseInterval,
+            totalTokensAllocated,
+            totalTGETokens: totalTokensAllocated.mul(investmentType.tgePercent).div(100),
+            totalTokensClaimed: BigNumber.from(0),
+            dailyTokens: totalTokensAllocated.mul(investmentType.releaseInterval).div(365 * DAY),
+            investmentTimestamp,
+            isVesting: true,
+            isTGETokenClaimed: false,
+            alreadyWithdrawnDays: 0,
+        };
+    },
+
+    /**
+     * Months since TGE as counted by calculateClaimableTokens, a started month counts as a full one
+     */
+    monthsElapsed(now, tgeTime = newSolhubInvestor.TGE_TIME) {
+        const timeElapsed = now - tgeTime;
+        let totalMonthsElapsed = Math.floor(timeElapsed / MONTH);
+        const partialDaysElapsed = Math.floor(timeElapsed / DAY) % 30;
+        if (partialDaysElapsed > 0 && totalMonthsElapsed > 0) {
+            totalMonthsElapsed += 1;
+        }
+        return totalMonthsElapsed;
+    },
+
+    /**
+     * Mirrors totalTokensClaimed(), claimed TGE tokens included
+     */
+    totalTokensClaimed(allocation) {
+        return allocation.totalTokensClaimed;
+    },
+
+    /**
+     * Mirrors calculateClaimableTokens() and returns the claimable amount along with the
+     * alreadyWithdrawnDays value the contract would store
+     */
+    claimableTokens(allocation, now, tgeTime = newSolhubInvestor.TGE_TIME) {
+        if (now <= tgeTime) {
+            throw new Error("TGE not yet started");
+        }
+        const months = newSolhubInvestor.monthsElapsed(now, tgeTime);
+        if (months <= allocation.lockPeriod) {
+            throw new Error("Locperiod not yet over");
+        }
+        if (months > allocation.vestingDuration) {
+            return {
+                amount: allocation.totalTokensAllocated.sub(newSolhubInvestor.totalTokensClaimed(allocation)),
+                alreadyWithdrawnDays: allocation.alreadyWithdrawnDays,
+            };
+        }
+        const withdrawnDays = Math.floor((now - allocation.investmentTimestamp) / allocation.releaseInterval);
+        return {
+            amount: allocation.dailyTokens.mul(withdrawnDays - allocation.alreadyWithdrawnDays),
+            alreadyWithdrawnDays: withdrawnDays,
+        };
+    },
+
+    /**
+     * Day-by-day unlock table of an untouched allocation, from TGE until everything is unlocked.
+     * `unlocked` is the cumulative amount claimable at the start of each day.
+     */
+    unlockSchedule(
+        investmentIndex,
+        amount,
+        investmentTimestamp,
+        tgeTime = newSolhubInvestor.TGE_TIME,
+        investmentType = newSolhubInvestor.INVESTMENT_TYPES[investmentIndex]
+    ) {
+        const allocation = newSolhubInvestor.createAllocation(
+            investmentIndex, amount, investmentTimestamp, investmentType
+        );
+        const total = allocation.totalTokensAllocated;
+        const rows = [];
+        let previous = BigNumber.from(0);
+        for (let day = 0; previous.lt(total); day++) {
+            // +1 as claims only open strictly after TGE
+            const timestamp = tgeTime + day * DAY + 1;
+            const months = newSolhubInvestor.monthsElapsed(timestamp, tgeTime);
+            let unlocked = allocation.totalTGETokens;
+            if (months > allocation.vestingDuration) {
+                unlocked = total;
+            } else if (months > allocation.lockPeriod) {
+                const vestedDays = Math.max(0, Math.floor((timestamp - investmentTimestamp) / allocation.releaseInterval));
+                unlocked = unlocked.add(allocation.dailyTokens.mul(vestedDays));
+            }
+            if (unlocked.gt(total)) {
+                unlocked = total;
+            }
+            rows.push({ day, timestamp, released: unlocked.sub(previous), unlocked });
+            previous = unlocked;
+        }
+        return rows;
+    },
+};
+
+/**
+ * Mirrors Vesting: TGE percent for MARKETING at its listing, then `tokenPercent` of the allocation
+ * per month once `lockPeriod` months have passed since the listing of the round
+ */
+const vesting = {
+    // Rounds added by the constructor, more can be added with addRound
+    ROUNDS: {
+        0: { vestingDuration: 12, lockPeriod: 1, tgePercent: 5, tokenPercent: 5, releaseInterval: MONTH }, // MARKETING
+        1: { vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 5, releaseInterval: MONTH }, // ADVISORS
+        2: { vestingDuration: 12, lockPeriod: 12, tgePercent: 0, tokenPercent: 10, releaseInterval: MONTH }, // TEAM
+        3: { vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 10, releaseInterval: MONTH }, // RESERVES
+        4: { vestingDuration: 12, lockPeriod: 1, tgePercent: 0, tokenPercent: 5, releaseInterval: MONTH }, // MINING_REWARDS
+        5: { vestingDuration: 12, lockPeriod: 0, tgePercent: 0, tokenPercent: 100, releaseInterval: MONTH }, // EXCHANGE_LIQUIDITY
+        6: { vestingDuration: 12, lockPeriod: 6, tgePercent: 0, tokenPercent: 10, releaseInterval: MONTH }, // ECOSYSTEM
+    },
+
+    /**
+     * Mirrors getTokensBasedOnPercent(), percentages are scaled by 10000 and divided by 1000000
+     */
+    tokensBasedOnPercent(amount, percent) {
+        return BigNumber.from(amount).mul(percent * 10000).div(1000000);
+    },
+
+    /**
+     * Returns the InvestmentType & InvestorAllocation transferSHUBTo stores for an investor. `roundConstants`
+     * defaults to the constructor's definition of `round`.
+     */
+    createAllocation(round, amount, investmentTimestamp, roundConstants = vesting.ROUNDS[round]) {
+        if (!roundConstants) {
+            throw new Error("Round does not exist");
+        }
+        const totalTokensAllocated = BigNumber.from(amount);
+        return {
+            ...roundConstants,
+            indexId: round,
+            investmentTimestamp,
+            totalTokensAllocated,
+            totalTGETokens: vesting.tokensBasedOnPercent(totalTokensAllocated, roundConstants.tgePercent),
+            monthlyTokens: vesting.tokensBasedOnPercent(totalTokensAllocated, roundConstants.tokenPercent),
+            totalTokensClaimed: BigNumber.from(0),
+            // Rounds without TGE have nothing to claim at TGE
+            isTGETokenClaimed: roundConstants.tgePercent === 0,
+            revokedTimestamp: 0,
+        };
+    },
+
+    /**
+     * Vesting tokens (TGE excluded) unlocked `intervalsElapsed` full release intervals after the listing
+     */
+    vestedTokens(allocation, intervalsElapsed) {
+        if (intervalsElapsed < allocation.lockPeriod) {
+            return BigNumber.from(0);
+        }
+        const releases = intervalsElapsed - allocation.lockPeriod + 1;
+        const vestingTokens = allocation.totalTokensAllocated.sub(allocation.totalTGETokens);
+        if (releases >= allocation.vestingDuration) {
+            return vestingTokens;
+        }
+        const vested = allocation.monthlyTokens.mul(releases);
+        return vested.gt(vestingTokens) ? vestingTokens : vested;
+    },
+
+    /**
+     * Mirrors revoke(), returns the revoked allocation along with the vested amount it keeps and the
+     * unvested amount sent to the treasury
+     */
+    revoke(allocation, now, listingTime) {
+        const listed = Boolean(listingTime) && listingTime <= now;
+        let vestedTokens = BigNumber.from(0);
+        if (listed) {
+            const intervalsElapsed = Math.floor((now - listingTime) / allocation.releaseInterval);
+            vestedTokens = allocation.totalTGETokens.add(vesting.vestedTokens(allocation, intervalsElapsed));
+        }
+        return {
+            allocation: {
+                ...allocation,
+                totalTokensAllocated: vestedTokens,
+                totalTGETokens: listed ? allocation.totalTGETokens : BigNumber.from(0),
+                isTGETokenClaimed: listed ? allocation.isTGETokenClaimed : true,
+                revokedTimestamp: now,
+            },
+            vestedTokens,
+            unvestedTokens: allocation.totalTokensAllocated.sub(vestedTokens),
+        };
+    },
+
+    /**
+     * Mirrors claimVestingTokens() & claimTokens(), the amount a claim transfers at `now`. The caller
+     * records the claim in `totalTokensClaimed`, like the contract does.
+     */
+    claimableTokens(allocation, now, listingTime) {
+        if (allocation.totalTokensClaimed.gte(allocation.totalTokensAllocated)) {
+            throw new Error("No tokens to claim");
+        }
+        if (!listingTime || listingTime > now) {
+            throw new Error("Round not listed yet");
+        }
+        // A revoked allocation only holds what vested before its revocation
+        let unlocked = allocation.totalTokensAllocated.sub(allocation.totalTGETokens);
+        if (!allocation.revokedTimestamp) {
+            const intervalsElapsed = Math.floor((now - listingTime) / allocation.releaseInterval);
+            if (intervalsElapsed < allocation.lockPeriod) {
+                throw new Error("Cannot claim in lock period");
+            }
+            unlocked = vesting.vestedTokens(allocation, intervalsElapsed);
+        }
+        if (allocation.isTGETokenClaimed) {
+            unlocked = unlocked.add(allocation.totalTGETokens);
+        }
+        if (unlocked.lte(allocation.totalTokensClaimed)) {
+            throw new Error("Withdrawal already processed");
+        }
+        return unlocked.sub(allocation.totalTokensClaimed);
+    },
+
+    /**
+     * Unlock table of an allocation counted from the listing, one row per release interval (month by
+     * month for the default rounds): the TGE amount in month 0, one slice per interval from the end of
+     * the lock period, and the rest of the allocation with the last of the `vestingDuration` slices
+     */
+    unlockSchedule(round, amount, listingTime, roundConstants = vesting.ROUNDS[round]) {
+        const allocation = vesting.createAllocation(round, amount, listingTime, roundConstants);
+        const lastMonth = allocation.lockPeriod + allocation.vestingDuration - 1;
+        const rows = [];
+        let previous = BigNumber.from(0);
+        for (let month = 0; month <= lastMonth; month++) {
+            const unlocked = allocation.totalTGETokens.add(vesting.vestedTokens(allocation, month));
+            rows.push({
+                month,
+                timestamp: listingTime + month * allocation.releaseInterval,
+                released: unlocked.sub(previous),
+                unlocked,
+            });
+            previous = unlocked;
+        }
+        return rows;
+    },
+};
+
+module.exports = {
+    DAY,
+    MONTH,
+    newSolhubInvestor,
+    vesting,
+};